@@ -1,32 +1,182 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import Maze from "./components/Maze";
 import Statistics from "./components/Statistics";
 import Controls from "./components/Controls";
 import NeuralNetworkPanel from "./components/NeuralNetworkPanel";
-import { generateMaze, findMazeSolution } from "./utils/mazeGenerator";
-import { QLearningAgent } from "./ai/QLearningAgent";
+import BenchmarkPanel from "./components/BenchmarkPanel";
+import TopologyMazeView from "./components/TopologyMazeView";
+import {
+  generateMaze,
+  generateMazeAsync,
+  generateTerrain,
+  findMazeSolution,
+  normalizeMazeDimension,
+  MAZE_ALGORITHMS,
+  DEFAULT_MAZE_ALGORITHM,
+  MAX_MAZE_FLOORS,
+} from "./utils/mazeGenerator";
+import {
+  createRng,
+  deriveSeed,
+  normalizeSeed,
+  randomSeed,
+} from "./utils/random";
+import { defaultEndpoints, isGoal, isInterior } from "./utils/mazeEndpoints";
+import { analyzeMaze } from "./utils/mazeAnalysis";
+import {
+  DEFAULT_FLOORS,
+  DEFAULT_TOPOLOGY,
+  TOPOLOGIES,
+  createTopology,
+} from "./utils/topology";
+import {
+  TOPOLOGY_MAZE_ALGORITHMS,
+  generateTopologyMaze,
+} from "./utils/topologyMaze";
+import { TERRAIN_TYPES, fitTerrain, pathCost } from "./utils/terrain";
+import {
+  downloadFile,
+  importMazeFile,
+  mazeToAscii,
+  mazeToJSON,
+  mazeToPngBlob,
+} from "./utils/mazeIO";
+import {
+  editorToolsForMode,
+  isEditableCell,
+  isElementTool,
+  isEndpoint,
+  setCell,
+  toggleGoal,
+} from "./utils/mazeEditor";
+import { agentKind, createMazeAgent } from "./ai/AgentFactory";
+import { agentStats, episodeView, runTrainingStep } from "./ai/TrainingLoop";
+import {
+  DEFAULT_TD_ALGORITHM,
+  QLearningAgent,
+  TD_ALGORITHMS,
+  TD_STEP_OPTIONS,
+  TRACE_TYPES,
+} from "./ai/QLearningAgent";
 import { HybridMazeAgent } from "./ai/HybridMazeAgent";
 import { NeuralMazeAgent } from "./ai/NeuralMazeAgent";
 import { GameModes } from "./ai/EnhancedGameModes";
+import {
+  DEFAULT_PATHFINDING_ALGORITHM,
+  PATHFINDING_ALGORITHMS,
+  fastSolver,
+} from "./ai/FastMazeSolver";
+import { scoreRoute } from "./ai/RouteAnalysis";
+import {
+  DEFAULT_BENCHMARK_CONFIG,
+  benchmarkToCSV,
+  benchmarkToJSON,
+  runBenchmarkSuite,
+  runMazeBenchmark,
+} from "./ai/SolverBenchmark";
+import { DynamicMazeElements } from "./ai/DynamicMazeElements";
 import { AutoEpsilonScheduler } from "./ai/AutoEpsilonScheduler";
 import { FlowSimulator } from "./sim/FlowSimulator";
+import { MazeWorkerClient } from "./workers/MazeWorkerClient";
+import { WORKER_COMMANDS } from "./workers/protocol";
 import "./App.css";
 
+// Larger grids are generated in time slices so the UI stays responsive
+const ASYNC_GENERATION_CELLS = 151 * 151;
+
+// Search visualisation advances 2^(speed - 1) expansions per tick
+const SEARCH_TICK_MS = 50;
+
 function App() {
   // Maze state
   const [maze, setMaze] = useState([]);
-  const [mazeSize, setMazeSize] = useState(21);
+  const [mazeWidth, setMazeWidth] = useState(21); // Columns
+  const [mazeHeight, setMazeHeight] = useState(21); // Rows
+  const [mazeAlgorithm, setMazeAlgorithm] = useState(DEFAULT_MAZE_ALGORITHM);
+  // Square grids, stacked floors, or hex/triangle/polar passage mazes (see
+  // utils/topology.js)
+  const [topologyId, setTopologyId] = useState(DEFAULT_TOPOLOGY);
+  const [mazeFloors, setMazeFloors] = useState(DEFAULT_FLOORS); // Layered mazes only
+  const topology = useMemo(
+    () => createTopology(topologyId, mazeWidth, mazeHeight, mazeFloors),
+    [topologyId, mazeWidth, mazeHeight, mazeFloors]
+  );
+  const passages = topology.passages;
+  const layered = topologyId === "layered";
+  // Analysis, overlays, terrain, the editor and the worker read plain
+  // square grids only
+  const squareGrid = topologyId === "square";
+  const [braidDensity, setBraidDensity] = useState(0); // 0 = perfect maze, 1 = no dead ends
+  const [terrainDensity, setTerrainDensity] = useState(0); // Share of open cells with weighted terrain
+  const [terrain, setTerrain] = useState(null); // Terrain id grid, null when off
+  const [seed, setSeed] = useState(() => randomSeed()); // Reproduces maze, elements and exploration
+  const [generationProgress, setGenerationProgress] = useState(null); // 0..1 while building large mazes
+  const generationAbortRef = useRef(null);
+  const importedMazeRef = useRef(null); // Loaded/edited maze used instead of generating once
   const [solution, setSolution] = useState([]);
   const [showSolution, setShowSolution] = useState(false);
+  const [endpoints, setEndpoints] = useState(() => defaultEndpoints(21, 21)); // { start, goals } as [row, col]
+  const [randomStart, setRandomStart] = useState(false); // Random start cell each episode
+  const [placementMode, setPlacementMode] = useState("none"); // none, start or goal
+  // Maze editor: edits apply to `maze`/`endpoints` directly; elements live in
+  // a scratch DynamicMazeElements until the edited maze is used for training
+  const [editMode, setEditMode] = useState(false);
+  const [editorTool, setEditorTool] = useState("wall");
+  const editorElementsRef = useRef(null);
+  const editStrokeRef = useRef(0); // Wall value painted by the current drag
+  // Structural metrics of the current maze for the statistics panel
+  // (square grids and their layered stacks)
+  const mazeAnalysis = useMemo(
+    () =>
+      maze.length > 0 && (squareGrid || layered)
+        ? analyzeMaze(maze, { ...endpoints, floors: topology.floors }, solution)
+        : null,
+    [maze, endpoints, solution, squareGrid, layered, topology.floors]
+  );
+  const [showBenchmark, setShowBenchmark] = useState(false);
+  const [benchmarkResult, setBenchmarkResult] = useState(null); // Last finished benchmark (see SolverBenchmark)
+  const [benchmarkProgress, setBenchmarkProgress] = useState(null); // { done, total, label } while running
+  const benchmarkAbortRef = useRef(null);
   const [gameMode, setGameMode] = useState("classic"); // New game mode state
   const [agentType, setAgentType] = useState("hybrid"); // qlearning, hybrid, or neural
+  const [pathfinder, setPathfinder] = useState(DEFAULT_PATHFINDING_ALGORITHM); // Hybrid agent backend
+  const [tdAlgorithm, setTdAlgorithm] = useState(DEFAULT_TD_ALGORITHM); // Q-learning agent's TD target
+  const [tdSteps, setTdSteps] = useState(1); // n of its n-step returns
+  const [traceLambda, setTraceLambda] = useState(0); // Its eligibility trace λ (0 = no traces)
+  const [traceType, setTraceType] = useState("replacing");
+  const [searchAlgorithm, setSearchAlgorithm] = useState(
+    DEFAULT_PATHFINDING_ALGORITHM
+  ); // Solver shown by "Visualize Search"
+  const [searchSpeed, setSearchSpeed] = useState(3);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchView, setSearchView] = useState(null); // Latest search snapshot and found path
+  const searchRef = useRef(null); // { generator, algorithm, snapshot } of the running search
+  const [routeCount, setRouteCount] = useState(3); // k for the k cheapest routes
+  const [routeView, setRouteView] = useState(null); // { paths, dag, k } from route analysis
+  const [keyRoute, setKeyRoute] = useState(null); // Survival: optimal key-door route vs the agent's last episode
+  const [tourRoute, setTourRoute] = useState(null); // Fog/survival: max-score route vs the agent's last episode
+  const tourCacheRef = useRef(null); // { layoutKey, tour } of the last planned tour
 
   // Agent state
   const agentRef = useRef(null);
+  const agentConfigRef = useRef(null); // { kind, width, height, mode, options, seed } to rebuild the agent in the worker
   const [agentPosition, setAgentPosition] = useState([1, 1]);
   const [agentPath, setAgentPath] = useState([[1, 1]]);
+  // Distinct cells the agent has visited this episode (next to search stats)
+  const agentExplored = useMemo(
+    () => new Set(agentPath.map(([r, c]) => `${r},${c}`)).size,
+    [agentPath]
+  );
   const [gameStatus, setGameStatus] = useState("idle"); // idle, playing, won, lost
   const [visualData, setVisualData] = useState(null); // For dynamic elements
+  // How the agent's winning route compares with the analysed routes
+  const routeScore = useMemo(
+    () =>
+      routeView && gameStatus === "won"
+        ? scoreRoute(pathCost(agentPath, terrain), routeView)
+        : null,
+    [routeView, gameStatus, agentPath, terrain]
+  );
   const [waterSim, setWaterSim] = useState(null);
   const [electricSim, setElectricSim] = useState(null);
 
@@ -75,6 +225,12 @@ function App() {
   const schedulerRef = useRef(null);
   const [useMCTS, setUseMCTS] = useState(false);
 
+  // Training, Solve Instantly and benchmarks can run in a Web Worker
+  const [useWorker, setUseWorker] = useState(false);
+  const workerRef = useRef(null); // MazeWorkerClient, created when first enabled
+  const workerStopRef = useRef(Promise.resolve()); // Settles once the last worker run handed its learning back
+  const trainingSpeedRef = useRef(trainingSpeed); // Initial speed of a worker run
+
   // Training interval ref
   const trainingIntervalRef = useRef(null);
   const flowIntervalRef = useRef(null);
@@ -82,107 +238,189 @@ function App() {
   // Initialize maze and agent
   useEffect(() => {
     handleGenerateMaze();
-  }, [mazeSize, gameMode, agentType]);
-
-  // Training loop
-  const trainingStep = useCallback(() => {
-    if (!agentRef.current || !isTraining) return;
+  }, [
+    mazeWidth,
+    mazeHeight,
+    topologyId,
+    mazeFloors,
+    mazeAlgorithm,
+    braidDensity,
+    terrainDensity,
+    gameMode,
+    agentType,
+  ]);
+
+  // Live solvability check while editing
+  useEffect(() => {
+    if (editMode && maze.length > 0) {
+      setSolution(findMazeSolution(maze, endpoints) || []);
+    }
+  }, [editMode, maze, endpoints]);
 
-    const agent = agentRef.current;
+  // A visualised search belongs to one maze and set of endpoints
+  useEffect(() => {
+    searchRef.current = null;
+    setIsSearching(false);
+    setSearchView(null);
+  }, [maze, endpoints]);
 
-    // Handle different agent types
-    if (agent instanceof NeuralMazeAgent) {
-      // Neural agent training step
-      const currentState = agent.getState(maze);
-      const action = agent.selectAction(currentState, maze);
-      const result = agent.executeAction(action, maze);
+  // Route overlays and comparisons belong to one maze, set of endpoints
+  // and terrain
+  useEffect(() => {
+    setRouteView(null);
+    setKeyRoute(null);
+    setTourRoute(null);
+    tourCacheRef.current = null;
+  }, [maze, endpoints, terrain]);
 
-      setAgentPosition([...result.position]);
-      setAgentPath([...agent.agentState.path]);
-      setVisualData(result.visualData);
+  // Step the visualised search; the last snapshot of each tick is rendered
+  useEffect(() => {
+    if (!isSearching) return;
+    const stepsPerTick = 2 ** (searchSpeed - 1);
+    const interval = setInterval(() => {
+      const run = searchRef.current;
+      if (!run) return;
+      let step = { done: false };
+      for (let i = 0; i < stepsPerTick && !step.done; i++) {
+        step = run.generator.next();
+        if (!step.done) run.snapshot = step.value;
+      }
+      setSearchView({
+        ...run.snapshot,
+        algorithm: run.algorithm,
+        done: step.done,
+        path: step.done ? step.value : null,
+      });
+      if (step.done) {
+        searchRef.current = null;
+        setIsSearching(false);
+      }
+    }, SEARCH_TICK_MS);
+    return () => clearInterval(interval);
+  }, [isSearching, searchSpeed]);
+
+  // Survival: the optimal collect-then-unlock route for the episode that
+  // just ended (same start, keys and doors), next to the agent's route
+  const compareKeyRoute = useCallback(
+    (agent, won) => {
+      if (gameMode !== "survival" || !agent.dynamicElements) return;
+      const { path } = agent.agentState;
+      try {
+        setKeyRoute({
+          optimal: fastSolver.solveKeysAndDoors(
+            maze,
+            path[0],
+            endpoints.goals,
+            {
+              ...agent.dynamicElements.getKeyDoorLayout(),
+              terrain,
+            }
+          ),
+          agentCost: won ? pathCost(path, terrain) : null,
+        });
+      } catch (error) {
+        console.warn("Key-door search failed:", error.message);
+      }
+    },
+    [gameMode, maze, endpoints.goals, terrain]
+  );
 
-      if (result.isTerminal) {
-        if (result.isTerminal === "win") {
-          setGameStatus("won");
-        } else {
-          setGameStatus("lost");
-        }
-        // Auto-tune epsilon based on episode summary
-        if (autoTuneEpsilon && schedulerRef.current) {
-          try {
-            schedulerRef.current.onEpisodeEnd(agent, {
-              win: result.isTerminal === "win",
-              moves:
-                agent.agentState?.steps ?? agent.agentState?.path?.length ?? 0,
-              totalReward: agent.agentState?.score ?? 0,
-            });
-          } catch (_) {}
+  // Fog and survival: the max-score route (every reachable item, then the
+  // exit) for the episode that just ended, next to what the agent collected.
+  // Locked doors are walls here; routes through them are the key-door
+  // comparison's. Layouts usually repeat across episodes, so the last tour
+  // is reused while start, items and doors match.
+  const compareTourRoute = useCallback(
+    (agent, won) => {
+      if (
+        (gameMode !== "fog" && gameMode !== "survival") ||
+        !agent.dynamicElements
+      ) {
+        return;
+      }
+      const { path } = agent.agentState;
+      const items = agent.dynamicElements.getCollectibleLayout();
+      const { doors } = agent.dynamicElements.getKeyDoorLayout();
+      const layoutKey = JSON.stringify([
+        path[0],
+        items.map(({ position, value }) => [position, value]),
+        doors.map(({ position }) => position),
+      ]);
+      try {
+        if (tourCacheRef.current?.layoutKey !== layoutKey) {
+          tourCacheRef.current = {
+            layoutKey,
+            tour: fastSolver.planTour(maze, path[0], endpoints.goals, items, {
+              terrain,
+              doors,
+            }),
+          };
         }
-        agent.finishEpisode(result.isTerminal);
-        setStats(agent.getDetailedStats());
-
-        setTimeout(() => {
-          resetGame();
-        }, 500);
-      } else {
-        setStats(agent.getDetailedStats());
+        const collected = items.filter((item) => item.collected);
+        setTourRoute({
+          optimal: tourCacheRef.current.tour,
+          itemCount: items.length,
+          lockedDoors: doors.length,
+          agentItems: collected.length,
+          agentScore: collected.reduce((sum, item) => sum + item.value, 0),
+          agentCost: won ? pathCost(path, terrain) : null,
+        });
+      } catch (error) {
+        console.warn("Tour planning failed:", error.message);
       }
-    } else {
-      // Traditional agent training step
-      const previousState = [...agent.position];
-      const moveResult = agent.move(maze);
+    },
+    [gameMode, maze, endpoints.goals, terrain]
+  );
 
-      if (moveResult.isValid) {
-        setAgentPosition([...agent.position]);
-        setAgentPath([...agent.path]);
+  const compareReferenceRoutes = useCallback(
+    (agent, won) => {
+      compareKeyRoute(agent, won);
+      compareTourRoute(agent, won);
+    },
+    [compareKeyRoute, compareTourRoute]
+  );
 
-        const trainingResult = agent.trainStep(
-          maze,
-          previousState,
-          moveResult.action
-        );
-
-        if (trainingResult.isWin) {
-          setGameStatus("won");
-          if (autoTuneEpsilon && schedulerRef.current) {
-            try {
-              schedulerRef.current.onEpisodeEnd(agent, {
-                win: true,
-                moves: agent.moves,
-                totalReward: 100,
-              });
-            } catch (_) {}
-          }
-          agent.finishGame(true);
-          setStats(agent.getStats());
+  // Show a training step (see TrainingLoop), from this thread or the worker
+  const applyTrainingSnapshot = ({
+    position,
+    path,
+    stats,
+    visualData,
+    replaceVisualData,
+    outcome,
+  }) => {
+    setAgentPosition(position);
+    setAgentPath(path);
+    setStats(stats);
+    if (replaceVisualData) {
+      setVisualData((prev) =>
+        visualData && prev?.flows
+          ? { ...visualData, flows: prev.flows }
+          : visualData
+      );
+    } else if (visualData) {
+      setVisualData((prev) => ({ ...(prev || {}), ...visualData }));
+    }
+    if (outcome) setGameStatus(outcome === "win" ? "won" : "lost");
+  };
 
-          setTimeout(() => {
-            resetGame();
-          }, 500);
-        } else if (trainingResult.isGameOver) {
-          setGameStatus("lost");
-          if (autoTuneEpsilon && schedulerRef.current) {
-            try {
-              schedulerRef.current.onEpisodeEnd(agent, {
-                win: false,
-                moves: agent.moves,
-                totalReward: -50,
-              });
-            } catch (_) {}
-          }
-          agent.finishGame(false);
-          setStats(agent.getStats());
+  // Training loop
+  const trainingStep = useCallback(() => {
+    if (!agentRef.current || !isTraining) return;
 
-          setTimeout(() => {
-            resetGame();
-          }, 500);
-        }
-      } else {
-        // Invalid move: train (penalize internally) and continue episode
-        agent.trainStep(maze, previousState, moveResult.action);
-        setStats(agent.getStats());
-        // Keep status as playing; do not finishGame or reset here
+    const agent = agentRef.current;
+    const step = runTrainingStep(agent, maze, {
+      scheduler: autoTuneEpsilon ? schedulerRef.current : null,
+    });
+    applyTrainingSnapshot(step);
+
+    if (step.outcome) {
+      if (agent instanceof NeuralMazeAgent) {
+        compareReferenceRoutes(agent, step.outcome === "win");
       }
+      setTimeout(() => {
+        resetGame();
+      }, 500);
     }
 
     // Advance flow simulations one step per tick while training
@@ -200,11 +438,19 @@ function App() {
         ...(electricSim ? electricSim.getVisualization() : []),
       ],
     }));
-  }, [maze, isTraining, gameMode, waterSim, electricSim]);
-
-  // Start training interval
+  }, [
+    maze,
+    isTraining,
+    gameMode,
+    waterSim,
+    electricSim,
+    terrain,
+    compareReferenceRoutes,
+  ]);
+
+  // Start training interval (worker training runs its own loop)
   useEffect(() => {
-    if (isTraining && maze.length > 0) {
+    if (isTraining && !useWorker && maze.length > 0) {
       trainingIntervalRef.current = setInterval(trainingStep, trainingSpeed);
     } else {
       if (trainingIntervalRef.current) {
@@ -217,12 +463,109 @@ function App() {
         clearInterval(trainingIntervalRef.current);
       }
     };
-  }, [isTraining, trainingStep, trainingSpeed]);
+  }, [isTraining, useWorker, trainingStep, trainingSpeed]);
 
-  // Animate flows even when not training
+  useEffect(() => {
+    trainingSpeedRef.current = trainingSpeed;
+  }, [trainingSpeed]);
+
+  // Worker training: the worker rebuilds the agent from its config and
+  // current learning, streams snapshots, and hands the learning back when
+  // the run stops, so agentRef stays the agent everything else uses. A
+  // change of maze, endpoints, terrain or agent settings restarts the run;
+  // each run starts only after the previous one's learning is back.
+  const runWorkerTraining = useCallback(() => {
+    const client = workerRef.current;
+    const agent = agentRef.current;
+    if (!client || !agent || maze.length === 0) return undefined;
+
+    let active = true;
+    let finished = null;
+    const started = workerStopRef.current.then(() => {
+      if (!active) return;
+      const { options, ...config } = agentConfigRef.current;
+      const run = client.request(
+        WORKER_COMMANDS.START,
+        {
+          agent: {
+            ...config,
+            options: {
+              ...options,
+              useMCTS,
+              pathfinder,
+              algorithm: tdAlgorithm,
+              nStep: tdSteps,
+              lambda: traceLambda,
+              traceType,
+            },
+          },
+          maze,
+          terrain,
+          endpoints: { ...endpoints, randomStart: agent.randomStart },
+          learning: agent.exportLearning(),
+          speed: trainingSpeedRef.current,
+          autoTune:
+            autoTuneEpsilon && schedulerRef.current
+              ? { ...schedulerRef.current }
+              : null,
+        },
+        {
+          grids: ["maze", "terrain"],
+          onProgress: (snapshot) => {
+            if (active) applyTrainingSnapshot(snapshot);
+          },
+        }
+      );
+      finished = run.result.catch((error) => {
+        console.warn("Worker training failed:", error.message);
+        setIsTraining(false);
+        return null;
+      });
+    });
+
+    return () => {
+      active = false;
+      workerStopRef.current = started.then(async () => {
+        if (!finished) return;
+        client.request(WORKER_COMMANDS.STOP);
+        const result = await finished;
+        if (!result || agentRef.current !== agent) return;
+        agent.importLearning(result.learning);
+        if (result.autoTune && schedulerRef.current) {
+          Object.assign(schedulerRef.current, result.autoTune);
+        }
+        agent.reset();
+        const { position, path } = episodeView(agent);
+        setAgentPosition(position);
+        setAgentPath(path);
+        setVisualData(null);
+        setStats(agentStats(agent));
+      });
+    };
+  }, [
+    maze,
+    terrain,
+    endpoints,
+    autoTuneEpsilon,
+    useMCTS,
+    pathfinder,
+    tdAlgorithm,
+    tdSteps,
+    traceLambda,
+    traceType,
+  ]);
+
+  useEffect(() => {
+    if (!isTraining || !useWorker) return undefined;
+    return runWorkerTraining();
+  }, [isTraining, useWorker, runWorkerTraining]);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  // Animate flows even when not training on this thread
   useEffect(() => {
     // If training, flows are advanced in trainingStep
-    if (isTraining) {
+    if (isTraining && !useWorker) {
       if (flowIntervalRef.current) clearInterval(flowIntervalRef.current);
       flowIntervalRef.current = null;
       return;
@@ -247,7 +590,7 @@ function App() {
         flowIntervalRef.current = null;
       }
     };
-  }, [isTraining, waterSim, electricSim]);
+  }, [isTraining, useWorker, waterSim, electricSim]);
 
   // Apply MCTS toggle to current agent without recreation
   useEffect(() => {
@@ -259,11 +602,47 @@ function App() {
     }
   }, [useMCTS]);
 
-  const createAgent = (width, height, mode, type) => {
+  // Swap the Hybrid agent's pathfinding backend in place; it replans
+  useEffect(() => {
+    const agent = agentRef.current;
+    if (agent instanceof HybridMazeAgent) {
+      agent.setPathfinder(pathfinder);
+    }
+  }, [pathfinder]);
+
+  // Swap the Q-learning agent's TD target in place; its learning starts
+  // over once a stopped worker run has handed its own learning back
+  useEffect(() => {
+    const agent = agentRef.current;
+    if (
+      !(agent instanceof QLearningAgent) ||
+      (agent.algorithm === tdAlgorithm && agent.nStep === tdSteps)
+    ) {
+      return;
+    }
+    workerStopRef.current.then(() => {
+      if (agentRef.current !== agent) return;
+      agent.setAlgorithm(tdAlgorithm, tdSteps);
+      setStats(agent.getStats());
+      resetGame();
+    });
+  }, [tdAlgorithm, tdSteps]);
+
+  const createAgent = (
+    width,
+    height,
+    mode,
+    type,
+    runSeed = seed,
+    episode = { ...endpoints, randomStart, maze, terrain }
+  ) => {
+    // Separate stream from the maze so every agent replays identically per seed
+    const agentSeed = deriveSeed(runSeed, "agent");
+    const rng = createRng(agentSeed);
     // (Re)create scheduler on env changes
     schedulerRef.current = new AutoEpsilonScheduler({
       gameMode: mode,
-      mazeSize: width,
+      mazeSize: Math.max(width, height),
       agentType: type,
     });
     // If auto-tune enabled, seed UI with defaults
@@ -274,38 +653,52 @@ function App() {
       if (end !== undefined) setEpsilonEnd(end);
       tunedDecay = Math.min(0.9999, Math.max(0.9, decay));
     }
-    if (mode !== "classic" || type === "neural") {
-      // Use neural network agent for complex game modes
-      agentRef.current = new NeuralMazeAgent(width, height, mode, {
-        // Let agent pick sensible per-mode defaults; only pass gamma if needed
-        gamma: 0.99,
-        // Respect UI or auto-tuned ε (agent may override for fog)
-        epsilon: epsilonStart,
-        epsilonDecay: tunedDecay ?? epsilonDecay,
-        epsilonMin: Math.min(epsilonEnd, 0.1),
-      });
-    } else if (type === "hybrid" || width > 31) {
-      agentRef.current = new HybridMazeAgent(width, height, {
-        epsilon: epsilonStart,
-        epsilonDecay: tunedDecay ?? epsilonDecay,
-        epsilonMin: epsilonEnd,
-        useMCTS,
-        mctsBudgetMs: 20,
-        mctsDepth: 25,
-      });
-    } else {
-      agentRef.current = new QLearningAgent(width, height, {
-        epsilon: epsilonStart,
-        epsilonDecay: tunedDecay ?? epsilonDecay,
-        epsilonMin: epsilonEnd,
-        useMCTS,
-        mctsBudgetMs: 20,
-        mctsDepth: 25,
-      });
-    }
+    const kind = agentKind(mode, type, width, height, topology.id);
+    const decay = tunedDecay ?? epsilonDecay;
+    const options =
+      kind === "neural"
+        ? {
+            // Let agent pick sensible per-mode defaults; only pass gamma if needed
+            gamma: 0.99,
+            // Respect UI or auto-tuned ε (agent may override for fog)
+            epsilon: epsilonStart,
+            epsilonDecay: decay,
+            epsilonMin: Math.min(epsilonEnd, 0.1),
+          }
+        : {
+            epsilon: epsilonStart,
+            epsilonDecay: decay,
+            epsilonMin: epsilonEnd,
+            useMCTS,
+            mctsBudgetMs: 20,
+            mctsDepth: 25,
+            ...(kind === "hybrid" && { pathfinder }),
+            ...(kind === "qlearning" && {
+              algorithm: tdAlgorithm,
+              nStep: tdSteps,
+              lambda: traceLambda,
+              traceType,
+            }),
+          };
+    const { maze: _maze, terrain: _terrain, ...placement } = episode;
+    agentRef.current = createMazeAgent(kind, width, height, mode, {
+      ...options,
+      rng,
+      ...episode,
+      ...(!squareGrid && { topology }),
+    });
+    // Enough to rebuild the agent in the training worker
+    agentConfigRef.current = {
+      kind,
+      width,
+      height,
+      mode,
+      options: { ...options, ...placement },
+      seed: agentSeed,
+    };
   };
 
-  const handleGenerateMaze = () => {
+  const handleGenerateMaze = async (nextSeed = randomSeed()) => {
     // If training, pause safely, regenerate, then resume
     const wasTraining = isTraining;
     if (wasTraining) {
@@ -313,27 +706,114 @@ function App() {
       setIsTraining(false);
     }
 
-    const newMaze = generateMaze(mazeSize, mazeSize);
-    const newSolution = findMazeSolution(newMaze);
+    // Any regeneration ends editing (applying edits comes through here too)
+    setEditMode(false);
+    editorElementsRef.current = null;
 
+    // A newer request supersedes any large maze still being built
+    generationAbortRef.current?.abort();
+    generationAbortRef.current = null;
+
+    // An imported or edited maze replaces generation once; its seed still
+    // drives the dynamic elements and agent exploration
+    const imported = importedMazeRef.current;
+    importedMazeRef.current = null;
+    if (imported?.seed !== null && imported?.seed !== undefined) {
+      nextSeed = normalizeSeed(imported.seed);
+    }
+
+    // Placed endpoints survive regeneration; the generator keeps them open
+    const mazeEndpoints = topology.fitEndpoints(imported || endpoints);
+    const generationOptions = {
+      algorithm: mazeAlgorithm,
+      braid: braidDensity,
+      rng: createRng(deriveSeed(nextSeed, "maze")),
+      ...(layered && { floors: mazeFloors }),
+      ...mazeEndpoints,
+    };
+    let newMaze;
+    if (passages) {
+      // Small enough to build at once (see MAX_PASSAGE_ROWS)
+      newMaze = generateTopologyMaze(topology, generationOptions);
+    } else if (imported) {
+      newMaze = imported.maze;
+    } else if (topology.width * topology.height > ASYNC_GENERATION_CELLS) {
+      const controller = new AbortController();
+      generationAbortRef.current = controller;
+      setGenerationProgress(0);
+      newMaze = await generateMazeAsync(mazeWidth, mazeHeight, {
+        ...generationOptions,
+        signal: controller.signal,
+        onProgress: setGenerationProgress,
+      });
+      if (!newMaze) return; // Aborted by a newer generation
+      generationAbortRef.current = null;
+    } else {
+      newMaze = generateMaze(mazeWidth, mazeHeight, generationOptions);
+    }
+    setGenerationProgress(null);
+
+    // Imported and edited mazes bring their terrain; otherwise it is drawn
+    // from its own seed stream, so switching it on keeps the same maze.
+    // Layered and passage mazes have no terrain.
+    const newTerrain = squareGrid
+      ? fitTerrain(imported?.terrain, newMaze) ||
+        generateTerrain(newMaze, {
+          terrain: terrainDensity,
+          rng: createRng(deriveSeed(nextSeed, "terrain")),
+        })
+      : null;
+
+    const newSolution = findSolution(newMaze, mazeEndpoints);
+
+    setSeed(nextSeed);
     setMaze(newMaze);
+    setTerrain(newTerrain);
+    setEndpoints(mazeEndpoints);
     setSolution(newSolution || []);
 
     // Create appropriate agent based on game mode and agent type
-    createAgent(mazeSize, mazeSize, gameMode, agentType);
+    createAgent(mazeWidth, mazeHeight, gameMode, agentType, nextSeed, {
+      ...mazeEndpoints,
+      randomStart,
+      maze: newMaze,
+      terrain: newTerrain,
+      elementPlacements: imported?.dynamicElements || null,
+    });
 
     resetGame();
 
-    // Initialize flow simulators for the new maze
-    const w = new FlowSimulator(mazeSize, mazeSize, newMaze, "water");
-    const e = new FlowSimulator(mazeSize, mazeSize, newMaze, "electric");
-    setWaterSim(w);
-    setElectricSim(e);
+    // Initialize flow simulators for the new maze (they flow down square
+    // grids only)
+    const flowOptions = { terrain: newTerrain };
+    setWaterSim(
+      squareGrid
+        ? new FlowSimulator(
+            mazeWidth,
+            mazeHeight,
+            newMaze,
+            "water",
+            flowOptions
+          )
+        : null
+    );
+    setElectricSim(
+      squareGrid
+        ? new FlowSimulator(
+            mazeWidth,
+            mazeHeight,
+            newMaze,
+            "electric",
+            flowOptions
+          )
+        : null
+    );
 
     // Update training speed based on maze size and game mode
-    if (gameMode !== "classic" || agentType === "neural" || mazeSize > 51) {
+    const largestSide = Math.max(mazeWidth, mazeHeight);
+    if (gameMode !== "classic" || agentType === "neural" || largestSide > 51) {
       setTrainingSpeed(1); // Ultra fast for complex modes and very large mazes
-    } else if (mazeSize > 31) {
+    } else if (largestSide > 31) {
       setTrainingSpeed(10); // Very fast for large mazes
     }
 
@@ -347,6 +827,23 @@ function App() {
       }, 0);
     }
   };
+
+  // Shortest solution as [x, y] points like findMazeSolution, on any
+  // topology; null when no goal is reachable
+  const findSolution = (grid, ends) => {
+    if (!passages) {
+      return findMazeSolution(grid, { ...ends, floors: topology.floors });
+    }
+    const path = fastSolver.solveTopology(
+      "bfs",
+      topology,
+      grid,
+      ends.start,
+      ends.goals
+    );
+    return path && path.map(([row, col]) => [col, row]);
+  };
+
   const resetGame = () => {
     if (agentRef.current) {
       agentRef.current.reset();
@@ -354,8 +851,8 @@ function App() {
         setAgentPosition([...agentRef.current.agentState.position]);
         setAgentPath([agentRef.current.agentState.position]);
       } else {
-        setAgentPosition([1, 1]);
-        setAgentPath([[1, 1]]);
+        setAgentPosition([...agentRef.current.position]);
+        setAgentPath([[...agentRef.current.position]]);
       }
       setGameStatus("idle");
       setVisualData(null);
@@ -405,20 +902,25 @@ function App() {
           } else {
             setGameStatus("lost");
           }
+          compareReferenceRoutes(agent, result.isTerminal === "win");
         }
       } else {
         // Traditional agent single step
         const previousState = [...agent.position];
         const moveResult = agent.move(maze);
+        if (agent.dynamicElements) {
+          setVisualData((prev) => ({
+            ...(prev || {}),
+            ...agent.getVisualizationData(),
+          }));
+        }
 
         if (moveResult.isValid) {
           setAgentPosition([...agent.position]);
           setAgentPath([...agent.path]);
 
           // Check win condition
-          const goalX = maze.length - 2;
-          const goalY = maze[0].length - 2;
-          if (agent.position[0] === goalX && agent.position[1] === goalY) {
+          if (isGoal(agent.position, agent.goals)) {
             setGameStatus("won");
           }
         } else {
@@ -450,6 +952,16 @@ function App() {
     handleGenerateMaze();
   };
 
+  const handleTdAlgorithmChange = (algorithm) => {
+    setIsTraining(false);
+    setTdAlgorithm(algorithm);
+  };
+
+  const handleTdStepsChange = (steps) => {
+    setIsTraining(false);
+    setTdSteps(steps);
+  };
+
   const handleAgentTypeChange = (newType) => {
     setAgentType(newType);
     setIsTraining(false);
@@ -457,17 +969,216 @@ function App() {
     handleGenerateMaze();
   };
 
+  // Regenerate the exact maze, elements and exploration of a previous run
+  const handleSeedChange = (value) => {
+    if (String(value ?? "").trim() === "") return;
+    handleGenerateMaze(normalizeSeed(value));
+  };
+
   const handleToggleSolution = () => {
     setShowSolution(!showSolution);
   };
 
-  const handleMazeSizeChange = (newSize) => {
-    setMazeSize(newSize);
+  // Width and height are independent; a single value keeps the maze square
+  const handleMazeSizeChange = (newWidth, newHeight = newWidth) => {
+    const width = normalizeMazeDimension(newWidth);
+    const height = normalizeMazeDimension(newHeight);
+    setMazeWidth(width);
+    setMazeHeight(height);
+    // Placed endpoints don't carry over to a different grid
+    setEndpoints(
+      createTopology(topologyId, width, height, mazeFloors).defaultEndpoints()
+    );
+    setIsTraining(false);
+  };
+
+  // Layered mazes: placed endpoints don't carry over to other floors
+  const handleFloorsChange = (floors) => {
+    setMazeFloors(floors);
+    setMaze([]);
+    setSolution([]);
+    setEndpoints(
+      createTopology(
+        topologyId,
+        mazeWidth,
+        mazeHeight,
+        floors
+      ).defaultEndpoints()
+    );
+    setIsTraining(false);
+  };
+
+  // Layered, hex, triangle and polar mazes only run the classic mode on
+  // this thread with a tabular agent, so switching to one turns the rest off
+  const handleTopologyChange = (id) => {
+    const next = createTopology(id, mazeWidth, mazeHeight, mazeFloors);
+    setTopologyId(id);
+    // The old grid means nothing on the new topology; regeneration follows
+    setMaze([]);
+    setSolution([]);
+    setEndpoints(next.defaultEndpoints());
+    setIsTraining(false);
+    if (id !== "square") {
+      setGameMode("classic");
+      setUseWorker(false);
+    }
+    if (next.passages) {
+      setPlacementMode("none");
+      if (!TOPOLOGY_MAZE_ALGORITHMS.includes(mazeAlgorithm)) {
+        setMazeAlgorithm(DEFAULT_MAZE_ALGORITHM);
+      }
+    }
+  };
+
+  // Place the start or toggle a goal on an open cell; ends the current episode
+  const handleCellClick = (row, col) => {
+    if (placementMode === "none") return;
+    if (passages) {
+      if (!topology.isCell([row, col])) return;
+    } else {
+      if (maze[row]?.[col] !== 0) return;
+      if (!isInterior([row, col], topology.width, topology.height)) return;
+    }
+
+    const { goals } = endpoints;
+    const cell = [row, col];
+    let next;
+    if (placementMode === "start") {
+      if (isGoal(cell, goals)) return;
+      next = { start: cell, goals };
+    } else {
+      next = toggleGoal(endpoints, cell); // Keeps at least one goal
+      if (next.goals === goals) return;
+    }
+
+    setEndpoints(next);
+    setSolution(findSolution(maze, next) || []);
+    if (isTraining) handleStopTraining();
+    agentRef.current?.setEndpoints(next, maze);
+    resetGame();
+  };
+
+  // Enter the editor on the current layout; dynamic elements start from the
+  // ones the agent's current episode uses
+  const handleStartEditing = () => {
+    if (isTraining) handleStopTraining();
+    resetGame();
+    if (gameMode !== "classic") {
+      const elements = new DynamicMazeElements(
+        mazeWidth,
+        mazeHeight,
+        gameMode,
+        {
+          ...endpoints,
+          placements: agentRef.current?.episodePlacements,
+        }
+      );
+      editorElementsRef.current = elements;
+      setVisualData(elements.getVisualizationData(endpoints.start));
+    }
+    if (!editorToolsForMode(gameMode)[editorTool]) setEditorTool("wall");
+    setEditMode(true);
+  };
+
+  // Rebuild the agent on the edited layout, keeping the seed
+  const handleFinishEditing = () => {
+    if (
+      solution.length === 0 &&
+      !window.confirm("No start reaches a goal. Use this maze anyway?")
+    ) {
+      return;
+    }
+    importedMazeRef.current = {
+      maze,
+      ...endpoints,
+      seed,
+      terrain,
+      dynamicElements: editorElementsRef.current?.getPlacements() || null,
+    };
+    handleGenerateMaze(seed);
+  };
+
+  // One editor action on [row, col]. A wall drag paints the value its first
+  // cell toggled to; start and goal only react to the click itself.
+  const handleCellPaint = (row, col, isStrokeStart) => {
+    const cell = [row, col];
+    if (!isEditableCell(maze, cell)) return;
+    const elements = editorElementsRef.current;
+    const refreshElements = () =>
+      setVisualData((prev) => ({
+        ...(prev || {}),
+        ...elements.getVisualizationData(endpoints.start),
+      }));
+
+    if (editorTool === "wall") {
+      if (isEndpoint(endpoints, cell)) return;
+      if (isStrokeStart) editStrokeRef.current = maze[row][col] === 1 ? 0 : 1;
+      setMaze((prev) => setCell(prev, cell, editStrokeRef.current));
+      if (elements && editStrokeRef.current === 1) {
+        elements.removeElementsAt(cell);
+        refreshElements();
+      }
+    } else if (editorTool === "start" || editorTool === "goal") {
+      if (!isStrokeStart) return;
+      if (editorTool === "start" && isGoal(cell, endpoints.goals)) return;
+      const next =
+        editorTool === "start"
+          ? { ...endpoints, start: cell }
+          : toggleGoal(endpoints, cell);
+      // Endpoints are always open, as in generated mazes
+      setMaze((prev) => setCell(prev, cell, 0));
+      elements?.removeElementsAt(cell);
+      setEndpoints(next);
+    } else if (elements && isElementTool(editorTool)) {
+      if (maze[row][col] !== 0 || isEndpoint(endpoints, cell)) return;
+      if (editorTool === "erase") elements.removeElementsAt(cell);
+      else elements.placeElement(editorTool, cell);
+      refreshElements();
+    }
+  };
+
+  const handleResetEndpoints = () => {
+    const next = topology.defaultEndpoints();
+    setEndpoints(next);
+    setSolution(findSolution(maze, next) || []);
+    if (isTraining) handleStopTraining();
+    agentRef.current?.setEndpoints(next, maze);
+    resetGame();
+  };
+
+  const handleRandomStartChange = (checked) => {
+    setRandomStart(checked);
+    agentRef.current?.setEndpoints({ randomStart: checked }, maze);
+  };
+
+  const handleMazeAlgorithmChange = (newAlgorithm) => {
+    setMazeAlgorithm(newAlgorithm);
+    setIsTraining(false);
+  };
+
+  const handleBraidDensityChange = (newDensity) => {
+    setBraidDensity(newDensity);
+    setIsTraining(false);
+  };
+
+  const handleTerrainDensityChange = (newDensity) => {
+    setTerrainDensity(newDensity);
     setIsTraining(false);
   };
 
   const handleTrainingSpeedChange = (newSpeed) => {
     setTrainingSpeed(newSpeed);
+    // A running worker loop changes pace without restarting
+    if (isTraining && useWorker) {
+      workerRef.current?.request(WORKER_COMMANDS.START, { speed: newSpeed });
+    }
+  };
+
+  const handleUseWorkerChange = (checked) => {
+    if (checked && !workerRef.current) {
+      workerRef.current = new MazeWorkerClient();
+    }
+    setUseWorker(checked);
   };
 
   const handlePourWater = () => {
@@ -498,7 +1209,7 @@ function App() {
   const handleToggleAutoTune = (checked) => {
     setAutoTuneEpsilon(checked);
     // Recreate agent to apply new schedule policy
-    createAgent(mazeSize, mazeSize, gameMode, agentType);
+    createAgent(mazeWidth, mazeHeight, gameMode, agentType);
   };
 
   // Handle epsilon configuration changes with guardrails and live application on next episode
@@ -535,48 +1246,280 @@ function App() {
     }
   };
 
-  const handleSolveMazeInstantly = () => {
-    if (agentRef.current && agentRef.current.getSolution) {
-      const start = performance.now();
-      const solution = agentRef.current.getSolution(maze);
-      const end = performance.now();
-
-      if (solution) {
-        // Show the solution path
-        setAgentPath(solution);
-        setAgentPosition(solution[solution.length - 1]);
-        setGameStatus("won");
-
-        // Update stats
-        agentRef.current.moves = solution.length - 1;
-        agentRef.current.finishGame(true);
-        setStats(agentRef.current.getStats());
+  // Eligibility trace settings apply to the Q-learning agent from its next step
+  const handleTraceConfigChange = (partial) => {
+    if (partial.lambda !== undefined) {
+      setTraceLambda(Math.min(1, Math.max(0, partial.lambda)));
+    }
+    if (partial.traceType !== undefined) setTraceType(partial.traceType);
+    const agent = agentRef.current;
+    if (agent instanceof QLearningAgent) {
+      agent.setTraces(partial);
+      setStats(agent.getStats());
+    }
+  };
 
-        console.log(
-          `Solved in ${(end - start).toFixed(2)}ms with ${
-            solution.length - 1
-          } moves`
-        );
+  const handleSolveMazeInstantly = async () => {
+    const agent = agentRef.current;
+    if (!agent?.getSolution) return;
+
+    let solution;
+    let time;
+    if (useWorker && workerRef.current) {
+      // Same search as the agent's getSolution, off the main thread
+      try {
+        ({ path: solution, time } = await workerRef.current.request(
+          WORKER_COMMANDS.SOLVE,
+          {
+            algorithm: agent.pathfinder,
+            fallback: DEFAULT_PATHFINDING_ALGORITHM,
+            maze,
+            terrain,
+            start: agent.start,
+            goals: agent.goals,
+          },
+          { grids: ["maze", "terrain"] }
+        ).result);
+      } catch (error) {
+        console.warn("Worker solve failed:", error.message);
+        return;
       }
+      if (agentRef.current !== agent) return;
+    } else {
+      const start = performance.now();
+      solution = agent.getSolution(maze);
+      time = performance.now() - start;
+    }
+
+    if (solution) {
+      // Show the solution path
+      setAgentPath(solution);
+      setAgentPosition(solution[solution.length - 1]);
+      setGameStatus("won");
+
+      // Update stats
+      agent.moves = solution.length - 1;
+      agent.finishGame(true);
+      setStats(agent.getStats());
+
+      console.log(
+        `Solved in ${time.toFixed(2)}ms with ${solution.length - 1} moves`
+      );
     }
   };
 
+  const handleExportMaze = async (format) => {
+    if (maze.length === 0) return;
+    const name = `maze-${mazeWidth}x${mazeHeight}-${seed}`;
+    const { start, goals } = endpoints;
+
+    if (format === "json") {
+      const placements =
+        editorElementsRef.current?.getPlacements() ||
+        agentRef.current?.episodePlacements ||
+        null;
+      const json = mazeToJSON({
+        maze,
+        start,
+        goals,
+        seed,
+        gameMode,
+        algorithm: mazeAlgorithm,
+        braid: braidDensity,
+        terrain,
+        terrainDensity,
+        dynamicElements: gameMode !== "classic" ? placements : null,
+      });
+      downloadFile(`${name}.json`, json, "application/json");
+    } else if (format === "ascii") {
+      downloadFile(`${name}.txt`, mazeToAscii({ maze, start, goals }));
+    } else if (format === "png") {
+      downloadFile(`${name}.png`, await mazeToPngBlob({ maze, start, goals }));
+    }
+  };
+
+  // Load a JSON/ASCII/PNG maze. Settings that feed the regeneration effect
+  // are updated first; if none changed, regenerate directly.
+  const handleImportMaze = async (file) => {
+    let data;
+    try {
+      data = await importMazeFile(file);
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+      return;
+    }
+
+    const height = data.maze.length;
+    const width = data.maze[0].length;
+    const nextMode =
+      data.gameMode && GameModes[data.gameMode] ? data.gameMode : gameMode;
+    const nextAlgorithm =
+      data.algorithm && MAZE_ALGORITHMS[data.algorithm]
+        ? data.algorithm
+        : mazeAlgorithm;
+    const nextBraid = data.braid ?? braidDensity;
+    // Imported files are square grids
+    const triggersEffect =
+      topologyId !== "square" ||
+      width !== mazeWidth ||
+      height !== mazeHeight ||
+      nextMode !== gameMode ||
+      nextAlgorithm !== mazeAlgorithm ||
+      nextBraid !== braidDensity;
+
+    importedMazeRef.current = data;
+    setIsTraining(false);
+    setTopologyId("square");
+    setMazeWidth(width);
+    setMazeHeight(height);
+    setGameMode(nextMode);
+    setMazeAlgorithm(nextAlgorithm);
+    setBraidDensity(nextBraid);
+    setEndpoints({ start: data.start, goals: data.goals });
+    if (!triggersEffect) handleGenerateMaze();
+  };
+
+  // Start a step-by-step run of the selected solver, or stop the current one
+  // (its last snapshot stays on the maze until cleared)
+  const handleToggleSearch = () => {
+    if (isSearching) {
+      searchRef.current = null;
+      setIsSearching(false);
+      return;
+    }
+    if (maze.length === 0) return;
+    const algorithm = PATHFINDING_ALGORITHMS[searchAlgorithm];
+    searchRef.current = {
+      generator: fastSolver.search(
+        searchAlgorithm,
+        maze,
+        endpoints.start,
+        endpoints.goals,
+        { rng: createRng(deriveSeed(seed, "search")), terrain }
+      ),
+      algorithm: algorithm.name,
+      snapshot: null,
+    };
+    setSearchView({ algorithm: algorithm.name, done: false, path: null });
+    setIsSearching(true);
+  };
+
+  const handleClearSearch = () => {
+    searchRef.current = null;
+    setIsSearching(false);
+    setSearchView(null);
+  };
+
+  // The k cheapest loopless routes plus every optimal route, for the overlay
+  const analyzeRoutes = (k) => {
+    const { start, goals } = endpoints;
+    setRouteView({
+      k,
+      paths: fastSolver.kShortestPaths(maze, start, goals, k, { terrain }),
+      dag: fastSolver.optimalPaths(maze, start, goals, { terrain }),
+    });
+  };
+
+  const handleToggleRoutes = () => {
+    if (routeView) setRouteView(null);
+    else if (maze.length > 0) analyzeRoutes(routeCount);
+  };
+
+  const handleRouteCountChange = (k) => {
+    setRouteCount(k);
+    if (routeView) analyzeRoutes(k);
+  };
+
+  // Opening the panel the first time benchmarks the current maze right away
   const handleBenchmarkAlgorithms = () => {
-    if (agentRef.current && agentRef.current.benchmarkSolution) {
-      const results = agentRef.current.benchmarkSolution(maze);
-      console.log("Algorithm Benchmark Results:", results);
+    setShowBenchmark(true);
+    if (!benchmarkResult && !benchmarkProgress) {
+      handleBenchmarkCurrent(DEFAULT_BENCHMARK_CONFIG);
+    }
+  };
+
+  // Shared by both benchmark kinds: progress while `run` works, then the
+  // result (kept unless the run was cancelled)
+  const runBenchmark = async (run) => {
+    benchmarkAbortRef.current?.abort();
+    const controller = new AbortController();
+    benchmarkAbortRef.current = controller;
+    setBenchmarkProgress({ done: 0, total: 0, label: "" });
+    const result = await run(controller.signal);
+    if (benchmarkAbortRef.current === controller) {
+      benchmarkAbortRef.current = null;
+      setBenchmarkProgress(null);
+    }
+    if (result) setBenchmarkResult(result);
+    return result;
+  };
 
-      // Show results in an alert for now (could be a modal in production)
-      const resultText = results
-        .map(
-          (r) =>
-            `${r.algorithm}: ${r.time.toFixed(2)}ms, ${r.pathLength} steps, ${
-              r.found ? "Success" : "Failed"
-            }`
-        )
-        .join("\n");
+  // The same benchmark in the worker; resolves to its result, or null if
+  // cancelled or failed
+  const workerBenchmark = (payload, signal) =>
+    workerRef.current
+      .request(WORKER_COMMANDS.BENCHMARK, payload, {
+        grids: payload.maze ? ["maze", "terrain"] : [],
+        signal,
+        onProgress: (progress) => {
+          if (!signal.aborted) setBenchmarkProgress(progress);
+        },
+      })
+      .result.catch((error) => {
+        console.warn("Worker benchmark failed:", error.message);
+        return null;
+      });
+
+  // Every selected solver on the current maze, endpoints and terrain
+  const handleBenchmarkCurrent = (config) => {
+    if (maze.length === 0) return;
+    const { start, goals } = endpoints;
+    runBenchmark((signal) =>
+      useWorker && workerRef.current
+        ? workerBenchmark({ config, seed, maze, terrain, start, goals }, signal)
+        : runMazeBenchmark(maze, start, goals, config, {
+            seed,
+            terrain,
+            signal,
+            onProgress: setBenchmarkProgress,
+          })
+    );
+  };
 
-      alert(`Benchmark Results:\n\n${resultText}`);
+  // Generated mazes over the selected sizes, generators and braid levels
+  const handleBenchmarkSweep = (config) =>
+    runBenchmark((signal) =>
+      useWorker && workerRef.current
+        ? workerBenchmark({ sweep: true, config, seed }, signal)
+        : runBenchmarkSuite(config, {
+            seed,
+            signal,
+            onProgress: setBenchmarkProgress,
+          })
+    );
+
+  const handleCancelBenchmark = () => {
+    benchmarkAbortRef.current?.abort();
+    benchmarkAbortRef.current = null;
+    setBenchmarkProgress(null);
+  };
+
+  const handleCloseBenchmark = () => {
+    handleCancelBenchmark();
+    setShowBenchmark(false);
+  };
+
+  const handleExportBenchmark = (format) => {
+    if (!benchmarkResult) return;
+    const name = `benchmark-${benchmarkResult.startedAt.replace(/[:.]/g, "-")}`;
+    if (format === "json") {
+      downloadFile(
+        `${name}.json`,
+        benchmarkToJSON(benchmarkResult),
+        "application/json"
+      );
+    } else {
+      downloadFile(`${name}.csv`, benchmarkToCSV(benchmarkResult), "text/csv");
     }
   };
 
@@ -592,60 +1535,212 @@ function App() {
       <main className="app-main">
         <div className="app-layout">
           <div className="left-panel">
-            <Maze
-              maze={maze}
-              agentPosition={agentPosition}
-              agentPath={agentPath}
-              solution={solution}
-              showSolution={showSolution}
-              isTraining={isTraining}
-              gameStatus={gameStatus}
-              gameMode={gameMode}
-              visualData={visualData}
-            />
+            {passages ? (
+              <TopologyMazeView
+                topology={topology}
+                maze={maze}
+                agentPosition={agentPosition}
+                agentPath={agentPath}
+                solution={solution}
+                showSolution={showSolution}
+                isTraining={isTraining}
+                gameStatus={gameStatus}
+                start={endpoints.start}
+                goals={endpoints.goals}
+                onCellClick={placementMode !== "none" ? handleCellClick : null}
+              />
+            ) : (
+              <Maze
+                maze={maze}
+                agentPosition={editMode ? null : agentPosition}
+                agentPath={editMode ? [] : agentPath}
+                solution={solution}
+                showSolution={showSolution}
+                isTraining={isTraining}
+                gameStatus={gameStatus}
+                gameMode={gameMode}
+                visualData={visualData}
+                generationProgress={generationProgress}
+                start={endpoints.start}
+                goals={endpoints.goals}
+                terrain={terrain}
+                onCellClick={
+                  !editMode && placementMode !== "none" ? handleCellClick : null
+                }
+                onCellPaint={editMode ? handleCellPaint : null}
+                searchView={editMode ? null : searchView}
+                routeView={editMode ? null : routeView}
+                routeScore={routeScore}
+                keyRoute={editMode ? null : keyRoute}
+                tourRoute={editMode ? null : tourRoute}
+                floors={
+                  layered
+                    ? { count: topology.floors, height: topology.floorHeight }
+                    : null
+                }
+              />
+            )}
+
+            {showBenchmark && (
+              <BenchmarkPanel
+                result={benchmarkResult}
+                progress={benchmarkProgress}
+                mazeAlgorithms={MAZE_ALGORITHMS}
+                pathfinders={PATHFINDING_ALGORITHMS}
+                onRunCurrent={handleBenchmarkCurrent}
+                onRunSweep={handleBenchmarkSweep}
+                onCancel={handleCancelBenchmark}
+                onExport={handleExportBenchmark}
+                onClose={handleCloseBenchmark}
+              />
+            )}
           </div>
 
           <div className="right-panel">
-            <Statistics stats={stats} gameStatus={gameStatus} />
+            <Statistics
+              stats={stats}
+              gameStatus={gameStatus}
+              mazeAnalysis={mazeAnalysis}
+              searchProgress={searchView}
+              agentExplored={agentExplored}
+            />
 
             <NeuralNetworkPanel
               stats={stats}
-              isNeuralAgent={agentType === "neural" || gameMode !== "classic"}
+              isNeuralAgent={agentRef.current instanceof NeuralMazeAgent}
             />
 
             <Controls
-              onGenerateMaze={handleGenerateMaze}
+              onGenerateMaze={() => handleGenerateMaze()}
               onStartTraining={handleStartTraining}
               onStopTraining={handleStopTraining}
               onResetStats={handleResetStats}
               onSingleStep={handleSingleStep}
               onToggleSolution={handleToggleSolution}
               onSolveMazeInstantly={handleSolveMazeInstantly}
-              onBenchmarkAlgorithms={handleBenchmarkAlgorithms}
-              onPourWater={handlePourWater}
-              onPulseElectricity={handlePulseElectricity}
+              onBenchmarkAlgorithms={
+                squareGrid ? handleBenchmarkAlgorithms : undefined
+              }
+              onPourWater={squareGrid ? handlePourWater : undefined}
+              onPulseElectricity={
+                squareGrid ? handlePulseElectricity : undefined
+              }
               onAgentTypeChange={handleAgentTypeChange}
               onGameModeChange={handleGameModeChange}
               isTraining={isTraining}
               showSolution={showSolution}
               gameStatus={gameStatus}
-              mazeSize={mazeSize}
+              mazeWidth={mazeWidth}
+              mazeHeight={mazeHeight}
               onMazeSizeChange={handleMazeSizeChange}
+              topology={topologyId}
+              topologies={TOPOLOGIES}
+              onTopologyChange={handleTopologyChange}
+              floors={mazeFloors}
+              maxFloors={MAX_MAZE_FLOORS}
+              onFloorsChange={layered ? handleFloorsChange : undefined}
+              mazeAlgorithm={mazeAlgorithm}
+              mazeAlgorithms={
+                passages
+                  ? Object.fromEntries(
+                      TOPOLOGY_MAZE_ALGORITHMS.map((id) => [
+                        id,
+                        MAZE_ALGORITHMS[id],
+                      ])
+                    )
+                  : MAZE_ALGORITHMS
+              }
+              onMazeAlgorithmChange={handleMazeAlgorithmChange}
+              braidDensity={braidDensity}
+              onBraidDensityChange={handleBraidDensityChange}
+              terrainDensity={terrainDensity}
+              terrainTypes={TERRAIN_TYPES}
+              onTerrainDensityChange={
+                squareGrid ? handleTerrainDensityChange : undefined
+              }
+              seed={seed}
+              onSeedChange={handleSeedChange}
               trainingSpeed={trainingSpeed}
               onTrainingSpeedChange={handleTrainingSpeedChange}
               agentType={agentType}
+              pathfinder={pathfinder}
+              pathfinders={PATHFINDING_ALGORITHMS}
+              onPathfinderChange={
+                agentRef.current instanceof HybridMazeAgent
+                  ? setPathfinder
+                  : null
+              }
+              tdAlgorithm={tdAlgorithm}
+              tdAlgorithms={TD_ALGORITHMS}
+              onTdAlgorithmChange={
+                agentRef.current instanceof QLearningAgent
+                  ? handleTdAlgorithmChange
+                  : null
+              }
+              tdSteps={tdSteps}
+              tdStepOptions={TD_STEP_OPTIONS}
+              onTdStepsChange={handleTdStepsChange}
               gameMode={gameMode}
-              gameModes={GameModes}
+              gameModes={
+                squareGrid ? GameModes : { classic: GameModes.classic }
+              }
               stats={stats}
               epsilonStart={epsilonStart}
               epsilonEnd={epsilonEnd}
               epsilonHorizon={epsilonHorizon}
               epsilonDecay={epsilonDecay}
               onEpsilonConfigChange={handleEpsilonConfigChange}
+              traceLambda={traceLambda}
+              traceType={traceType}
+              traceTypes={TRACE_TYPES}
+              onTraceConfigChange={
+                agentRef.current instanceof QLearningAgent
+                  ? handleTraceConfigChange
+                  : undefined
+              }
               autoTuneEpsilon={autoTuneEpsilon}
               onToggleAutoTune={handleToggleAutoTune}
               useMCTS={useMCTS}
               onToggleMCTS={setUseMCTS}
+              useWorker={useWorker}
+              onToggleWorker={
+                MazeWorkerClient.isSupported() && squareGrid
+                  ? handleUseWorkerChange
+                  : undefined
+              }
+              placementMode={placementMode}
+              onPlacementModeChange={setPlacementMode}
+              goalCount={endpoints.goals.length}
+              randomStart={randomStart}
+              onRandomStartChange={handleRandomStartChange}
+              onResetEndpoints={handleResetEndpoints}
+              isEditing={editMode}
+              editorTool={editorTool}
+              editorTools={editorToolsForMode(gameMode)}
+              onEditorToolChange={setEditorTool}
+              onToggleEditMode={
+                !squareGrid
+                  ? undefined
+                  : editMode
+                  ? handleFinishEditing
+                  : handleStartEditing
+              }
+              mazeSolvable={solution.length > 0}
+              onExportMaze={squareGrid ? handleExportMaze : undefined}
+              onImportMaze={handleImportMaze}
+              searchAlgorithm={searchAlgorithm}
+              onSearchAlgorithmChange={setSearchAlgorithm}
+              searchSpeed={searchSpeed}
+              onSearchSpeedChange={setSearchSpeed}
+              isSearching={isSearching}
+              onToggleSearch={squareGrid ? handleToggleSearch : undefined}
+              onClearSearch={
+                searchView && !isSearching ? handleClearSearch : null
+              }
+              routeCount={routeCount}
+              onRouteCountChange={handleRouteCountChange}
+              showRoutes={!!routeView}
+              onToggleRoutes={squareGrid ? handleToggleRoutes : undefined}
             />
           </div>
         </div>
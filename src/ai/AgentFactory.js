@@ -0,0 +1,33 @@
+// Agent construction shared by the app and the training worker
+// The agent class follows from the game mode, the selected type and the
+// maze size; options are the constructor options of that class.
+
+import { QLearningAgent } from "./QLearningAgent.js";
+import { HybridMazeAgent } from "./HybridMazeAgent.js";
+import { NeuralMazeAgent } from "./NeuralMazeAgent.js";
+
+// "neural", "hybrid" or "qlearning". The Hybrid agent plans around moving
+// walls; the other complex modes need the neural agent, and large mazes
+// are beyond the tabular one. Only the tabular agents (Q-learning and
+// Hybrid) move through a topology's neighbours, so other topologies get
+// one of those; the neural agent reads the square grid.
+export const agentKind = (mode, type, width, height, topology = "square") => {
+  if (topology !== "square") return type === "hybrid" ? "hybrid" : "qlearning";
+  const hybridDynamic = mode === "dynamic" && type === "hybrid";
+  if ((mode !== "classic" && !hybridDynamic) || type === "neural") {
+    return "neural";
+  }
+  if (type === "hybrid" || Math.max(width, height) > 31) return "hybrid";
+  return "qlearning";
+};
+
+export const createMazeAgent = (kind, width, height, mode, options = {}) => {
+  switch (kind) {
+    case "neural":
+      return new NeuralMazeAgent(width, height, mode, options);
+    case "hybrid":
+      return new HybridMazeAgent(width, height, { ...options, gameMode: mode });
+    default:
+      return new QLearningAgent(width, height, options);
+  }
+};
@@ -0,0 +1,234 @@
+// D* Lite: incremental shortest paths for mazes whose walls move
+// The search runs backward from the goals, so g(cell) is the cost from the
+// cell to the nearest goal. When cells become blocked or free, only the
+// vertices whose costs actually change are re-expanded, and the path from
+// the agent's current cell is repaired in place instead of re-planned.
+// Cells are flat indices (row * cols + col); positions are [row, col].
+
+import { IndexedMinHeap } from "../utils/indexedHeap.js";
+import { MIN_TERRAIN_COST, terrainCostGrid } from "../utils/terrain.js";
+
+const DIRECTIONS = [
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1],
+];
+
+export class DStarLite {
+  constructor(maze, start, goals, { terrain = null, blocked = [] } = {}) {
+    this.maze = maze;
+    this.rows = maze.length;
+    this.cols = maze[0].length;
+    const size = this.rows * this.cols;
+
+    this.stepCosts = terrainCostGrid(terrain);
+    this.hScale = this.stepCosts ? MIN_TERRAIN_COST : 1;
+    // Keys (k1, k2) pack into one priority k1 * scale + k2. Both are
+    // multiples of TERRAIN_COST_STEP and k2 never exceeds the costliest
+    // path (4 per cell), so k2 < scale * TERRAIN_COST_STEP keeps the order.
+    this.scale = size * 8 + 1;
+
+    this.g = new Float64Array(size).fill(Infinity);
+    this.rhs = new Float64Array(size).fill(Infinity);
+    this.blocked = new Uint8Array(size);
+    this.goalCells = new Uint8Array(size);
+    this.open = new IndexedMinHeap(size);
+    this.km = 0;
+    this.expanded = 0;
+
+    for (const [row, col] of blocked) this.blocked[row * this.cols + col] = 1;
+
+    this.start = start[0] * this.cols + start[1];
+    this.last = this.start;
+    for (const [row, col] of goals) {
+      if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) continue;
+      const goal = row * this.cols + col;
+      this.goalCells[goal] = 1;
+      this.rhs[goal] = 0;
+      this.open.push(goal, this.key(goal));
+    }
+  }
+
+  isOpen(cell) {
+    const row = Math.floor(cell / this.cols);
+    return (
+      this.maze[row][cell - row * this.cols] === 0 && this.blocked[cell] === 0
+    );
+  }
+
+  // Cost of stepping into `cell` (Infinity when it is a wall or blocked)
+  enterCost(cell) {
+    if (!this.isOpen(cell)) return Infinity;
+    return this.stepCosts ? this.stepCosts[cell] : 1;
+  }
+
+  // Manhattan distance from the agent, scaled to stay admissible
+  heuristic(from, to) {
+    const { cols } = this;
+    const fromRow = Math.floor(from / cols);
+    const toRow = Math.floor(to / cols);
+    return (
+      (Math.abs(fromRow - toRow) +
+        Math.abs(from - fromRow * cols - (to - toRow * cols))) *
+      this.hScale
+    );
+  }
+
+  key(cell) {
+    const best = Math.min(this.g[cell], this.rhs[cell]);
+    if (best === Infinity) return Infinity;
+    return (
+      (best + this.heuristic(this.start, cell) + this.km) * this.scale + best
+    );
+  }
+
+  // In-bounds neighbours of `cell`
+  neighbours(cell) {
+    const { rows, cols } = this;
+    const row = Math.floor(cell / cols);
+    const col = cell - row * cols;
+    const result = [];
+    for (const [dr, dc] of DIRECTIONS) {
+      const r = row + dr;
+      const c = col + dc;
+      if (r >= 0 && r < rows && c >= 0 && c < cols) result.push(r * cols + c);
+    }
+    return result;
+  }
+
+  // rhs = one-step lookahead over the cells reachable from `cell`
+  lookahead(cell) {
+    let best = Infinity;
+    for (const next of this.neighbours(cell)) {
+      const value = this.enterCost(next) + this.g[next];
+      if (value < best) best = value;
+    }
+    return best;
+  }
+
+  updateVertex(cell) {
+    if (this.g[cell] !== this.rhs[cell]) {
+      this.open.update(cell, this.key(cell));
+    } else {
+      this.open.remove(cell);
+    }
+  }
+
+  // Optimised ComputeShortestPath. With a trace, yields a snapshot after
+  // each expansion; returns the repaired path (or null).
+  *computeSteps(trace = null) {
+    const { g, rhs, open, goalCells } = this;
+    while (
+      open.size > 0 &&
+      (open.peekPriority() < this.key(this.start) ||
+        rhs[this.start] > g[this.start])
+    ) {
+      const cell = open.heap[0];
+      const oldKey = open.peekPriority();
+      const newKey = this.key(cell);
+      if (oldKey < newKey) {
+        open.update(cell, newKey); // Stale after km grew
+        continue;
+      }
+
+      this.expanded++;
+      if (g[cell] > rhs[cell]) {
+        // Overconsistent: settle it and relax the cells that step into it
+        g[cell] = rhs[cell];
+        open.remove(cell);
+        const cost = this.enterCost(cell);
+        for (const prev of this.neighbours(cell)) {
+          if (goalCells[prev]) continue;
+          const value = cost + g[cell];
+          if (value < rhs[prev]) {
+            rhs[prev] = value;
+            this.updateVertex(prev);
+            trace?.open(prev);
+          }
+        }
+      } else {
+        // Underconsistent: the cell got worse; re-derive it and its users
+        const oldG = g[cell];
+        g[cell] = Infinity;
+        const cost = this.enterCost(cell);
+        for (const prev of [...this.neighbours(cell), cell]) {
+          if (goalCells[prev]) continue;
+          if (prev === cell || rhs[prev] === cost + oldG) {
+            rhs[prev] = this.lookahead(prev);
+          }
+          this.updateVertex(prev);
+          if (open.has(prev)) trace?.open(prev);
+        }
+      }
+
+      if (trace) {
+        trace.close(cell);
+        yield trace.snapshot();
+      }
+    }
+    return this.getPath();
+  }
+
+  computeShortestPath() {
+    const steps = this.computeSteps();
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+  }
+
+  // The agent moved; keys are corrected lazily through km on the next repair
+  moveStart([row, col]) {
+    this.start = row * this.cols + col;
+  }
+
+  // Apply wall change events ({position: [row, col], blocked}) and repair
+  // the path. Returns the new path from the current start (or null).
+  applyChanges(changes = []) {
+    const affected = new Set();
+    for (const { position, blocked } of changes) {
+      const cell = position[0] * this.cols + position[1];
+      const value = blocked ? 1 : 0;
+      if (this.blocked[cell] === value) continue;
+      this.blocked[cell] = value;
+      // Entering `cell` changed price, so every cell next to it may too
+      for (const prev of this.neighbours(cell)) affected.add(prev);
+    }
+
+    if (affected.size > 0) {
+      this.km += this.heuristic(this.last, this.start);
+      this.last = this.start;
+      for (const cell of affected) {
+        if (this.goalCells[cell]) continue;
+        this.rhs[cell] = this.lookahead(cell);
+        this.updateVertex(cell);
+      }
+    }
+    return this.computeShortestPath();
+  }
+
+  // Greedy walk down g from the start; null when no goal is reachable
+  getPath() {
+    const { cols } = this;
+    if (this.rhs[this.start] === Infinity) return null;
+    const path = [[Math.floor(this.start / cols), this.start % cols]];
+    let cell = this.start;
+    // g is consistent along the path, so this ends well before the bound
+    for (let step = 0; !this.goalCells[cell]; step++) {
+      if (step >= this.g.length) return null;
+      let best = -1;
+      let bestValue = Infinity;
+      for (const next of this.neighbours(cell)) {
+        const value = this.enterCost(next) + this.g[next];
+        if (value < bestValue) {
+          best = next;
+          bestValue = value;
+        }
+      }
+      if (best === -1) return null;
+      cell = best;
+      path.push([Math.floor(cell / cols), cell % cols]);
+    }
+    return path;
+  }
+}
@@ -1,13 +1,34 @@
 // Dynamic maze elements for enhanced game modes
 // These create environments that require neural networks and continuous learning
 
+import {
+  fitEndpoints,
+  isGoal,
+  nearestGoal,
+  samePosition,
+} from "../utils/mazeEndpoints.js";
+import { searchKeyDoorRoute } from "./KeyDoorSearch.js";
+
+// Survival mode locks at most this many doors, each needing one key type
+const MAX_DOORS = 3;
+
 export class DynamicMazeElements {
-  constructor(width, height, gameMode) {
+  constructor(width, height, gameMode, options = {}) {
     this.width = width;
     this.height = height;
     this.gameMode = gameMode;
     this.time = 0;
 
+    // Pluggable PRNG so element placement is reproducible from a seed
+    this.rng = options.rng || Math.random;
+
+    // Start and goals ([row, col]) stay free of items and hazards
+    const { start, goals } = fitEndpoints(options, width, height);
+    this.start = start;
+    this.goals = goals;
+    // Grid the doors are placed on (survival); elements work without it
+    this.maze = options.maze || null;
+
     // Moving walls for dynamic mode
     this.movingWalls = [];
     this.rotatingSections = [];
@@ -18,6 +39,7 @@ export class DynamicMazeElements {
     this.collectibles = new Map();
     this.food = new Map();
     this.keys = new Map();
+    this.doors = new Map(); // Locked until the agent holds `keyType`
     this.traps = new Map();
 
     // Other agents for competitive mode
@@ -31,7 +53,154 @@ export class DynamicMazeElements {
     this.generatedSections = new Set();
     this.difficultyModifier = 1.0;
 
-    this.initialize();
+    // Saved placements (see getPlacements) replace random initialization
+    if (options.placements) {
+      this.loadPlacements(options.placements);
+    } else {
+      this.initialize();
+    }
+  }
+
+  // JSON-safe snapshot of every element, e.g. for maze export. Maps become
+  // [key, value] entry lists; values are deep-copied.
+  getPlacements() {
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    return {
+      movingWalls: copy(this.movingWalls),
+      rotatingSections: copy(this.rotatingSections),
+      temporaryWalls: copy([...this.temporaryWalls]),
+      hazards: copy([...this.hazards]),
+      collectibles: copy([...this.collectibles]),
+      food: copy([...this.food]),
+      keys: copy([...this.keys]),
+      doors: copy([...this.doors]),
+      traps: copy([...this.traps]),
+      otherAgents: copy(this.otherAgents),
+      visionRadius: this.visionRadius,
+      difficultyModifier: this.difficultyModifier,
+    };
+  }
+
+  loadPlacements(placements) {
+    const copy = (value) => JSON.parse(JSON.stringify(value ?? []));
+    this.movingWalls = copy(placements.movingWalls);
+    this.rotatingSections = copy(placements.rotatingSections);
+    this.temporaryWalls = new Map(copy(placements.temporaryWalls));
+    this.hazards = new Map(copy(placements.hazards));
+    this.collectibles = new Map(copy(placements.collectibles));
+    this.food = new Map(copy(placements.food));
+    this.keys = new Map(copy(placements.keys));
+    this.doors = new Map(copy(placements.doors));
+    this.traps = new Map(copy(placements.traps));
+    this.otherAgents = copy(placements.otherAgents);
+    if (placements.visionRadius !== undefined) {
+      this.visionRadius = placements.visionRadius;
+    }
+    if (placements.difficultyModifier !== undefined) {
+      this.difficultyModifier = placements.difficultyModifier;
+    }
+  }
+
+  // Place a single element at [row, col] (maze editor), replacing whatever
+  // was there. Values match the ones the random initializers pick.
+  placeElement(type, position) {
+    const [row, col] = position;
+    const key = `${row},${col}`;
+    this.removeElementsAt(position);
+
+    switch (type) {
+      case "hazard":
+        this.hazards.set(key, {
+          type: this.getRandomHazardType(),
+          damage: 15 + Math.floor(this.rng() * 15),
+          activePattern: 0, // Always active, so hand-made traps are reliable
+          lastActivation: 0,
+          isActive: false,
+        });
+        break;
+      case "food":
+        this.food.set(key, {
+          healing: 20 + Math.floor(this.rng() * 20),
+          energy: 15 + Math.floor(this.rng() * 15),
+          respawnTime: 50 + Math.floor(this.rng() * 50),
+          lastTaken: -1000,
+        });
+        break;
+      case "key":
+        this.keys.set(key, {
+          keyType: `key_${this.keys.size}`,
+          collected: false,
+        });
+        break;
+      case "door": {
+        // Opened by the most recently placed key
+        const lastKey = [...this.keys.values()].pop();
+        this.doors.set(key, { keyType: lastKey ? lastKey.keyType : "key_0" });
+        break;
+      }
+      case "collectible":
+        this.collectibles.set(key, {
+          value: 10 + Math.floor(this.rng() * 20),
+          type:
+            this.gameMode === "fog"
+              ? "treasure"
+              : this.getRandomCollectibleType(),
+          collected: false,
+          respawnTime: 30 + Math.floor(this.rng() * 30),
+          lastTaken: -1000,
+        });
+        break;
+      case "movingWall":
+        this.movingWalls.push({
+          id: this.nextElementId(this.movingWalls),
+          position: [row, col],
+          direction: Math.floor(this.rng() * 4),
+          speed: 3 + Math.floor(this.rng() * 3),
+          lastMove: 0,
+          length: 2,
+        });
+        break;
+      case "opponent":
+        this.otherAgents.push({
+          id: this.nextElementId(this.otherAgents),
+          position: [row, col],
+          health: 100,
+          score: 0,
+          strategy: this.getRandomStrategy(),
+          lastMove: 0,
+          target: null,
+        });
+        break;
+    }
+  }
+
+  // Remove every element anchored at [row, col]
+  removeElementsAt(position) {
+    const key = `${position[0]},${position[1]}`;
+    for (const map of [
+      this.hazards,
+      this.food,
+      this.keys,
+      this.doors,
+      this.collectibles,
+      this.traps,
+      this.temporaryWalls,
+    ]) {
+      map.delete(key);
+    }
+    this.movingWalls = this.movingWalls.filter(
+      (wall) => !samePosition(wall.position, position)
+    );
+    this.rotatingSections = this.rotatingSections.filter(
+      (section) => !samePosition(section.center, position)
+    );
+    this.otherAgents = this.otherAgents.filter(
+      (agent) => !samePosition(agent.position, position)
+    );
+  }
+
+  nextElementId(list) {
+    return list.reduce((max, item) => Math.max(max, item.id + 1), 0);
   }
 
   initialize() {
@@ -61,13 +230,13 @@ export class DynamicMazeElements {
       this.movingWalls.push({
         id: i,
         position: [
-          Math.floor(Math.random() * (this.height - 4)) + 2,
-          Math.floor(Math.random() * (this.width - 4)) + 2,
+          Math.floor(this.rng() * (this.height - 4)) + 2,
+          Math.floor(this.rng() * (this.width - 4)) + 2,
         ],
-        direction: Math.floor(Math.random() * 4),
-        speed: 3 + Math.floor(Math.random() * 3), // Move every 3-5 steps
+        direction: Math.floor(this.rng() * 4),
+        speed: 3 + Math.floor(this.rng() * 3), // Move every 3-5 steps
         lastMove: 0,
-        length: 2 + Math.floor(Math.random() * 3),
+        length: 2 + Math.floor(this.rng() * 3),
       });
     }
 
@@ -76,14 +245,14 @@ export class DynamicMazeElements {
       Math.min(this.width, this.height) / 15
     );
     for (let i = 0; i < numRotatingSections; i++) {
-      const centerX = Math.floor(Math.random() * (this.height - 8)) + 4;
-      const centerY = Math.floor(Math.random() * (this.width - 8)) + 4;
+      const centerX = Math.floor(this.rng() * (this.height - 8)) + 4;
+      const centerY = Math.floor(this.rng() * (this.width - 8)) + 4;
 
       this.rotatingSections.push({
         id: i,
         center: [centerX, centerY],
-        radius: 2 + Math.floor(Math.random() * 2),
-        rotationSpeed: 8 + Math.floor(Math.random() * 4), // Rotate every 8-11 steps
+        radius: 2 + Math.floor(this.rng() * 2),
+        rotationSpeed: 8 + Math.floor(this.rng() * 4), // Rotate every 8-11 steps
         lastRotation: 0,
         angle: 0,
       });
@@ -99,8 +268,8 @@ export class DynamicMazeElements {
       if (pos) {
         this.hazards.set(`${pos[0]},${pos[1]}`, {
           type: this.getRandomHazardType(),
-          damage: 15 + Math.floor(Math.random() * 15),
-          activePattern: Math.floor(Math.random() * 3), // Different activation patterns
+          damage: 15 + Math.floor(this.rng() * 15),
+          activePattern: Math.floor(this.rng() * 3), // Different activation patterns
           lastActivation: 0,
           isActive: false,
         });
@@ -112,9 +281,9 @@ export class DynamicMazeElements {
       const pos = this.getRandomOpenPosition();
       if (pos) {
         this.food.set(`${pos[0]},${pos[1]}`, {
-          healing: 20 + Math.floor(Math.random() * 20),
-          energy: 15 + Math.floor(Math.random() * 15),
-          respawnTime: 50 + Math.floor(Math.random() * 50),
+          healing: 20 + Math.floor(this.rng() * 20),
+          energy: 15 + Math.floor(this.rng() * 15),
+          respawnTime: 50 + Math.floor(this.rng() * 50),
           lastTaken: -1000,
         });
       }
@@ -136,17 +305,79 @@ export class DynamicMazeElements {
       const pos = this.getRandomOpenPosition();
       if (pos) {
         this.collectibles.set(`${pos[0]},${pos[1]}`, {
-          value: 5 + Math.floor(Math.random() * 15),
+          value: 5 + Math.floor(this.rng() * 15),
           type: this.getRandomCollectibleType(),
           collected: false,
         });
       }
     }
+
+    // Doors last, so the other elements keep their seeded positions
+    if (this.maze) this.placeDoors();
+  }
+
+  // Lock up to MAX_DOORS cells on the current optimal route, each opened by
+  // one of the keys. A door that would make every goal unreachable (its key
+  // behind it, say) is taken out again.
+  placeDoors() {
+    const keyTypes = [
+      ...new Set([...this.keys.values()].map((k) => k.keyType)),
+    ];
+    for (const keyType of keyTypes.slice(0, MAX_DOORS)) {
+      const route = this.solveKeysAndDoors();
+      if (!route) return;
+      const candidates = route.path.slice(2, -2).filter(([x, y]) => {
+        const key = `${x},${y}`;
+        return (
+          !this.hazards.has(key) &&
+          !this.food.has(key) &&
+          !this.keys.has(key) &&
+          !this.doors.has(key) &&
+          !this.collectibles.has(key)
+        );
+      });
+      if (candidates.length === 0) return;
+      const [x, y] = candidates[Math.floor(this.rng() * candidates.length)];
+      const doorKey = `${x},${y}`;
+      this.doors.set(doorKey, { keyType });
+      if (!this.solveKeysAndDoors()) this.doors.delete(doorKey);
+    }
+  }
+
+  // Keys and doors as [{ position, keyType }] lists for the key-door search
+  getKeyDoorLayout() {
+    const toList = (map) =>
+      Array.from(map.entries()).map(([key, { keyType }]) => ({
+        position: key.split(",").map(Number),
+        keyType,
+      }));
+    return { keys: toList(this.keys), doors: toList(this.doors) };
+  }
+
+  // Optimal collect-then-unlock route from the start on `maze` (defaults to
+  // the grid the doors were placed on); null when no goal is reachable
+  solveKeysAndDoors(maze = this.maze, options = {}) {
+    return searchKeyDoorRoute(maze, this.start, this.goals, {
+      ...this.getKeyDoorLayout(),
+      ...options,
+    });
+  }
+
+  // Collectibles and treasures as [{ position, value, collected }] for the
+  // tour planner, hidden ones included
+  getCollectibleLayout() {
+    return Array.from(this.collectibles.entries()).map(
+      ([key, { value, collected }]) => ({
+        position: key.split(",").map(Number),
+        value,
+        collected,
+      })
+    );
   }
 
   initializeCompetitiveElements() {
     // Create other AI agents
-    const numAgents = 2 + Math.floor(Math.random() * 3);
+    const numAgents = 2 + Math.floor(this.rng() * 3);
     for (let i = 0; i < numAgents; i++) {
       const pos = this.getRandomOpenPosition();
       if (pos) {
@@ -168,9 +399,9 @@ export class DynamicMazeElements {
       const pos = this.getRandomOpenPosition();
       if (pos) {
         this.collectibles.set(`${pos[0]},${pos[1]}`, {
-          value: 10 + Math.floor(Math.random() * 20),
+          value: 10 + Math.floor(this.rng() * 20),
           collected: false,
-          respawnTime: 30 + Math.floor(Math.random() * 30),
+          respawnTime: 30 + Math.floor(this.rng() * 30),
           lastTaken: -1000,
         });
       }
@@ -179,7 +410,7 @@ export class DynamicMazeElements {
 
   initializeFogElements() {
     // No special initialization needed - fog is handled by agent state
-    this.visionRadius = 2 + Math.floor(Math.random() * 2); // Variable vision
+    this.visionRadius = 2 + Math.floor(this.rng() * 2); // Variable vision
 
     // But add some hidden treasures to encourage exploration
     const numTreasures = Math.floor((this.width * this.height) / 150);
@@ -187,7 +418,7 @@ export class DynamicMazeElements {
       const pos = this.getRandomOpenPosition();
       if (pos) {
         this.collectibles.set(`${pos[0]},${pos[1]}`, {
-          value: 25 + Math.floor(Math.random() * 25),
+          value: 25 + Math.floor(this.rng() * 25),
           type: "treasure",
           hidden: true,
           collected: false,
@@ -201,9 +432,12 @@ export class DynamicMazeElements {
     // Procedural elements are generated on-demand
   }
 
-  // Update dynamic elements each step
+  // Update dynamic elements each step. `events.wallChanges` lists the cells
+  // whose blocked state changed ({position: [row, col], blocked}), for
+  // incremental planners such as D* Lite.
   update(maze, agentPosition, agentStats) {
     this.time++;
+    const blockedBefore = this.getBlockedCells();
     const events = {
       adaptedToChange: false,
       caughtByMovingWall: false,
@@ -230,9 +464,44 @@ export class DynamicMazeElements {
         break;
     }
 
+    events.wallChanges = this.diffBlockedCells(
+      blockedBefore,
+      this.getBlockedCells()
+    );
     return events;
   }
 
+  // "row,col" keys of every cell a dynamic element currently occupies
+  getBlockedCells() {
+    const blocked = new Set(this.temporaryWalls.keys());
+    for (const wall of this.movingWalls) {
+      for (const [x, y] of this.getMovingWallCells(wall))
+        blocked.add(`${x},${y}`);
+    }
+    for (const section of this.rotatingSections) {
+      for (const [x, y] of this.getRotatingSectionCells(section)) {
+        blocked.add(`${x},${y}`);
+      }
+    }
+    return blocked;
+  }
+
+  diffBlockedCells(before, after) {
+    const changes = [];
+    const toPosition = (key) => key.split(",").map(Number);
+    for (const key of before) {
+      if (!after.has(key)) {
+        changes.push({ position: toPosition(key), blocked: false });
+      }
+    }
+    for (const key of after) {
+      if (!before.has(key)) {
+        changes.push({ position: toPosition(key), blocked: true });
+      }
+    }
+    return changes;
+  }
+
   updateDynamicElements(maze, agentPosition, events) {
     // Update moving walls
     this.movingWalls.forEach((wall) => {
@@ -297,6 +566,12 @@ export class DynamicMazeElements {
     return false;
   }
 
+  // True if a door on the cell needs a key type missing from `heldKeys`
+  isLocked(x, y, heldKeys = null) {
+    const door = this.doors.get(`${x},${y}`);
+    return Boolean(door) && !heldKeys?.has(door.keyType);
+  }
+
   getMovingWallCells(wall) {
     const cells = [];
     const [x, y] = wall.position;
@@ -381,6 +656,7 @@ export class DynamicMazeElements {
       const key = this.keys.get(agentKey);
       if (!key.collected) {
         events.foundKey = true;
+        events.keyType = key.keyType;
         key.collected = true;
       }
     }
@@ -456,15 +732,18 @@ export class DynamicMazeElements {
   // Helper methods
   getRandomOpenPosition() {
     for (let attempts = 0; attempts < 50; attempts++) {
-      const x = Math.floor(Math.random() * (this.height - 4)) + 2;
-      const y = Math.floor(Math.random() * (this.width - 4)) + 2;
+      const x = Math.floor(this.rng() * (this.height - 4)) + 2;
+      const y = Math.floor(this.rng() * (this.width - 4)) + 2;
 
-      // Check if position is not blocked by other elements
+      // Check if position is not blocked by other elements or an endpoint
       const key = `${x},${y}`;
       if (
+        !samePosition([x, y], this.start) &&
+        !isGoal([x, y], this.goals) &&
         !this.hazards.has(key) &&
         !this.food.has(key) &&
         !this.keys.has(key) &&
+        !this.doors.has(key) &&
         !this.collectibles.has(key)
       ) {
         return [x, y];
@@ -475,17 +754,17 @@ export class DynamicMazeElements {
 
   getRandomHazardType() {
     const types = ["spikes", "fire", "poison", "electricity", "ice"];
-    return types[Math.floor(Math.random() * types.length)];
+    return types[Math.floor(this.rng() * types.length)];
   }
 
   getRandomCollectibleType() {
     const types = ["gem", "coin", "powerup", "energy", "tool"];
-    return types[Math.floor(Math.random() * types.length)];
+    return types[Math.floor(this.rng() * types.length)];
   }
 
   getRandomStrategy() {
     const strategies = ["aggressive", "defensive", "greedy", "explorer"];
-    return strategies[Math.floor(Math.random() * strategies.length)];
+    return strategies[Math.floor(this.rng() * strategies.length)];
   }
 
   shouldHazardActivate(hazard) {
@@ -495,16 +774,15 @@ export class DynamicMazeElements {
       case 1:
         return this.time % 10 < 3; // Periodic
       case 2:
-        return Math.random() < 0.3; // Random
+        return this.rng() < 0.3; // Random
       default:
         return false;
     }
   }
 
   moveAgentTowardsGoal(agent, maze) {
-    const goal = [this.height - 2, this.width - 2];
     const [x, y] = agent.position;
-    const [gx, gy] = goal;
+    const [gx, gy] = nearestGoal(agent.position, this.goals);
 
     const directions = [];
     if (gx > x) directions.push([1, 0]);
@@ -514,7 +792,7 @@ export class DynamicMazeElements {
 
     if (directions.length === 0) return agent.position;
 
-    const [dx, dy] = directions[Math.floor(Math.random() * directions.length)];
+    const [dx, dy] = directions[Math.floor(this.rng() * directions.length)];
     const newX = x + dx;
     const newY = y + dy;
 
@@ -538,12 +816,12 @@ export class DynamicMazeElements {
     for (let i = 0; i < numNewElements; i++) {
       const pos = this.getRandomOpenPosition();
       if (pos) {
-        if (Math.random() < 0.4) {
+        if (this.rng() < 0.4) {
           // Add hazard
           this.hazards.set(`${pos[0]},${pos[1]}`, {
             type: this.getRandomHazardType(),
             damage: Math.floor(15 * this.difficultyModifier),
-            activePattern: Math.floor(Math.random() * 3),
+            activePattern: Math.floor(this.rng() * 3),
             lastActivation: 0,
             isActive: false,
           });
@@ -592,6 +870,10 @@ export class DynamicMazeElements {
           position: key.split(",").map(Number),
           ...keyItem,
         })),
+      doors: Array.from(this.doors.entries()).map(([key, door]) => ({
+        position: key.split(",").map(Number),
+        ...door,
+      })),
       otherAgents: this.otherAgents,
     };
 
@@ -1,6 +1,12 @@
 // Enhanced game modes that require neural networks and reinforcement learning
 // Each mode presents unique challenges that can't be solved with simple pathfinding
 
+import {
+  defaultEndpoints,
+  isGoal,
+  nearestGoal,
+} from "../utils/mazeEndpoints.js";
+
 export const GAME_MODES = {
   CLASSIC: {
     id: "classic",
@@ -120,17 +126,27 @@ export class EnhancedAgentState {
     this.stepsWithoutProgress = 0;
     this.lastDamageTime = 0;
 
-    // Goals and objectives
-    this.primaryGoal = [mazeHeight - 2, mazeWidth - 2];
+    // Goals and objectives; any goal wins, primaryGoal is the one nearest
+    // to the episode start and drives the goal-seeking features
+    const { start, goals } = defaultEndpoints(mazeWidth, mazeHeight);
+    this.start = start;
+    this.goals = goals;
+    this.primaryGoal = goals[0];
     this.subGoals = [];
     this.completedGoals = new Set();
 
     this.reset();
   }
 
-  reset() {
-    this.position = [1, 1];
-    this.path = [[1, 1]];
+  setEndpoints(start, goals) {
+    this.start = [...start];
+    this.goals = goals;
+  }
+
+  reset(start = this.start) {
+    this.position = [...start];
+    this.path = [[...start]];
+    this.primaryGoal = nearestGoal(start, this.goals);
     this.moves = 0;
     this.health = this.maxHealth;
     this.energy = this.maxEnergy;
@@ -324,10 +340,7 @@ export class EnhancedAgentState {
     }
 
     // Win condition
-    if (
-      newPosition[0] === this.primaryGoal[0] &&
-      newPosition[1] === this.primaryGoal[1]
-    ) {
+    if (isGoal(newPosition, this.goals)) {
       reward += 100;
       // Bonus for efficiency
       const efficiency = Math.max(0, 1000 - this.moves) / 10;
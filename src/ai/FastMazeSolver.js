@@ -1,5 +1,176 @@
 // Fast pathfinding algorithms for maze solving
 // These algorithms can solve large mazes in milliseconds
+// `end` is one [row, col] goal or a list of goals; the search stops at
+// whichever goal it reaches first (the closest for the optimal solvers)
+// Each solver is a generator (`search*`) that yields a SearchTrace snapshot
+// after every expansion when given a trace, and returns the path (or null);
+// `solveMaze*` runs one to completion.
+
+import {
+  defaultGoals,
+  goalDistance,
+  isGoal,
+  nearestGoal,
+} from "../utils/mazeEndpoints.js";
+import { IndexedMinHeap } from "../utils/indexedHeap.js";
+import { SearchTrace } from "./SearchTrace.js";
+import { DStarLite } from "./DStarLite.js";
+import { kShortestPaths, optimalPathDag } from "./RouteAnalysis.js";
+import { searchKeyDoorRoute } from "./KeyDoorSearch.js";
+import { planTour, tourDistanceMatrix } from "./TourPlanner.js";
+import { searchTopology } from "./TopologySearch.js";
+import {
+  MIN_TERRAIN_COST,
+  TERRAIN_COST_STEP,
+  pathCost,
+  terrainCostGrid,
+} from "../utils/terrain.js";
+
+// Solvers selectable for benchmarks and as the HybridMazeAgent backend.
+// `optimal` solvers always return a shortest path. The wall followers,
+// Pledge, Trémaux and the random mouse return the route actually walked,
+// backtracking included. `weighted` solvers take terrain costs into account
+// (cheapest path); the others count steps and ignore terrain. `incremental`
+// solvers can also repair their path as walls change (see
+// createIncrementalPlanner).
+export const PATHFINDING_ALGORITHMS = {
+  astar: {
+    id: "astar",
+    name: "A*",
+    description: "Best-first search guided by Manhattan distance",
+    method: "solveMazeAStar",
+    search: "searchAStar",
+    optimal: true,
+    weighted: true,
+  },
+  bfs: {
+    id: "bfs",
+    name: "BFS",
+    description: "Breadth-first flood from the start",
+    method: "solveMazeBFS",
+    search: "searchBFS",
+    optimal: true,
+  },
+  dfs: {
+    id: "dfs",
+    name: "DFS",
+    description: "Depth-first; fast but rarely the shortest path",
+    method: "solveMazeDFS",
+    search: "searchDFS",
+    optimal: false,
+  },
+  dijkstra: {
+    id: "dijkstra",
+    name: "Dijkstra",
+    description: "Uniform-cost search without a heuristic",
+    method: "solveMazeDijkstra",
+    search: "searchDijkstra",
+    optimal: true,
+    weighted: true,
+  },
+  wallFollower: {
+    id: "wallFollower",
+    name: "Wall Follower (Right Hand)",
+    description: "Right-hand rule; fails when the goal is on an island",
+    method: "solveMazeWallFollower",
+    search: "searchWallFollower",
+    optimal: false,
+  },
+  leftWallFollower: {
+    id: "leftWallFollower",
+    name: "Wall Follower (Left Hand)",
+    description: "Left-hand rule; explores the maze in the opposite order",
+    method: "solveMazeLeftWallFollower",
+    search: "searchLeftWallFollower",
+    optimal: false,
+  },
+  pledge: {
+    id: "pledge",
+    name: "Pledge",
+    description:
+      "Heads toward the goal, follows walls until its turns cancel out",
+    method: "solveMazePledge",
+    search: "searchPledge",
+    optimal: false,
+  },
+  tremaux: {
+    id: "tremaux",
+    name: "Trémaux",
+    description: "Marks passages; never walks one more than twice",
+    method: "solveMazeTremaux",
+    search: "searchTremaux",
+    optimal: false,
+  },
+  deadEndFilling: {
+    id: "deadEndFilling",
+    name: "Dead-End Filling",
+    description: "Fills every dead end until only solution routes remain",
+    method: "solveMazeDeadEndFilling",
+    search: "searchDeadEndFilling",
+    optimal: true,
+  },
+  randomMouse: {
+    id: "randomMouse",
+    name: "Random Mouse",
+    description: "Random turns at junctions; the baseline to beat",
+    method: "solveMazeRandomMouse",
+    search: "searchRandomMouse",
+    optimal: false,
+  },
+  jps: {
+    id: "jps",
+    name: "Jump Point Search",
+    description: "A* that jumps along straight runs; shines in open areas",
+    method: "solveMazeJPS",
+    search: "searchJPS",
+    optimal: true,
+  },
+  bidirectionalBfs: {
+    id: "bidirectionalBfs",
+    name: "Bidirectional BFS",
+    description: "BFS from the start and the goals until the frontiers meet",
+    method: "solveMazeBidirectionalBFS",
+    search: "searchBidirectionalBFS",
+    optimal: true,
+  },
+  bidirectionalAStar: {
+    id: "bidirectionalAStar",
+    name: "Bidirectional A*",
+    description: "A* from both ends, stopping once no shorter path can exist",
+    method: "solveMazeBidirectionalAStar",
+    search: "searchBidirectionalAStar",
+    optimal: true,
+  },
+  idaStar: {
+    id: "idaStar",
+    name: "IDA*",
+    description: "Iterative-deepening A*; tiny memory, many re-expansions",
+    method: "solveMazeIDAStar",
+    search: "searchIDAStar",
+    optimal: true,
+  },
+  dstarLite: {
+    id: "dstarLite",
+    name: "D* Lite",
+    description:
+      "Plans backward from the goals and repairs its path when walls move",
+    method: "solveMazeDStarLite",
+    search: "searchDStarLite",
+    optimal: true,
+    weighted: true,
+    incremental: true,
+  },
+};
+
+export const DEFAULT_PATHFINDING_ALGORITHM = "astar";
+
+// IDA* re-expands cells on every deepening pass; past this many expansions
+// it gives up (returns null) instead of stalling the UI on huge mazes
+const IDA_STAR_MAX_EXPANSIONS = 3000000;
+
+// The random mouse gives up after this many steps per open cell (capped)
+const RANDOM_MOUSE_STEPS_PER_CELL = 100;
+const RANDOM_MOUSE_MAX_STEPS = 2000000;
 
 export class FastMazeSolver {
   constructor() {
@@ -11,64 +182,128 @@ export class FastMazeSolver {
     ];
   }
 
-  // A* Algorithm - Optimal pathfinding with heuristic
-  solveMazeAStar(maze, start = [1, 1], end = null) {
-    if (!end) {
-      end = [maze.length - 2, maze[0].length - 2];
-    }
+  // Plain solvers: run the search generators below to completion. Without a
+  // trace the generators never yield, so this costs a single next() call.
+  solveMazeAStar(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchAStar(maze, start, end, options));
+  }
 
-    const openSet = [
-      {
-        pos: start,
-        g: 0,
-        h: this.heuristic(start, end),
-        f: this.heuristic(start, end),
-        parent: null,
-      },
-    ];
-    const closedSet = new Set();
-    const visited = new Map();
+  solveMazeBFS(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchBFS(maze, start, end, options));
+  }
+
+  solveMazeDFS(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchDFS(maze, start, end, options));
+  }
+
+  solveMazeDijkstra(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchDijkstra(maze, start, end, options));
+  }
+
+  solveMazeWallFollower(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchWallFollower(maze, start, end, options));
+  }
+
+  solveMazeLeftWallFollower(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(
+      this.searchLeftWallFollower(maze, start, end, options)
+    );
+  }
+
+  solveMazePledge(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchPledge(maze, start, end, options));
+  }
+
+  solveMazeTremaux(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchTremaux(maze, start, end, options));
+  }
+
+  solveMazeDeadEndFilling(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchDeadEndFilling(maze, start, end, options));
+  }
+
+  solveMazeRandomMouse(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchRandomMouse(maze, start, end, options));
+  }
+
+  solveMazeJPS(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchJPS(maze, start, end, options));
+  }
+
+  solveMazeBidirectionalBFS(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(
+      this.searchBidirectionalBFS(maze, start, end, options)
+    );
+  }
 
-    while (openSet.length > 0) {
-      // Get node with lowest f score
-      openSet.sort((a, b) => a.f - b.f);
-      const current = openSet.shift();
-      const [x, y] = current.pos;
-      const key = `${x},${y}`;
+  solveMazeBidirectionalAStar(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(
+      this.searchBidirectionalAStar(maze, start, end, options)
+    );
+  }
+
+  solveMazeIDAStar(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchIDAStar(maze, start, end, options));
+  }
 
-      if (closedSet.has(key)) continue;
-      closedSet.add(key);
+  solveMazeDStarLite(maze, start = [1, 1], end = null, options = {}) {
+    return this.runSearch(this.searchDStarLite(maze, start, end, options));
+  }
+
+  // A* Algorithm - Optimal pathfinding with heuristic. With a `terrain`
+  // layer, steps cost the entered cell's terrain cost and the heuristic is
+  // scaled by the cheapest terrain so it stays admissible.
+  *searchAStar(
+    maze,
+    start = [1, 1],
+    end = null,
+    { trace = null, terrain = null } = {}
+  ) {
+    const goals = this.toGoals(maze, end);
+    const { rows, cols, cost, parent } = this.createSearchBuffers(maze);
+    const goalCells = this.goalMask(goals, rows, cols);
+    const closed = new Uint8Array(rows * cols);
+    const open = new IndexedMinHeap(rows * cols);
+    const stepCosts = terrainCostGrid(terrain);
+    const hScale = stepCosts ? MIN_TERRAIN_COST : 1;
+    // Priority is f, ties broken toward the smaller h, so the search runs
+    // down corridors instead of widening its frontier. f is a multiple of
+    // TERRAIN_COST_STEP and h < scale * TERRAIN_COST_STEP, so ties never
+    // reorder different f values.
+    const scale = (rows + cols + 1) / TERRAIN_COST_STEP;
 
-      // Check if we reached the goal
-      if (x === end[0] && y === end[1]) {
-        return this.reconstructPath(current);
+    const startIndex = start[0] * cols + start[1];
+    const startH = this.heuristic(start, goals) * hScale;
+    cost[startIndex] = 0;
+    open.push(startIndex, startH * scale + startH);
+    trace?.open(startIndex);
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (goalCells[current]) {
+        return this.reconstructIndexPath(parent, current, cols);
+      }
+      closed[current] = 1;
+      if (trace) {
+        trace.close(current);
+        yield trace.snapshot();
       }
+      const x = Math.floor(current / cols);
+      const y = current - x * cols;
 
-      // Explore neighbors
       for (const [dx, dy] of this.directions) {
         const newX = x + dx;
         const newY = y + dy;
-        const newKey = `${newX},${newY}`;
+        if (!this.isValidMove(maze, newX, newY)) continue;
+        const next = newX * cols + newY;
+        const g = cost[current] + (stepCosts ? stepCosts[next] : 1);
+        if (closed[next] || g >= cost[next]) continue;
 
-        if (
-          newX >= 0 &&
-          newX < maze.length &&
-          newY >= 0 &&
-          newY < maze[0].length &&
-          maze[newX][newY] === 0 &&
-          !closedSet.has(newKey)
-        ) {
-          const g = current.g + 1;
-          const h = this.heuristic([newX, newY], end);
-          const f = g + h;
-
-          const existing = visited.get(newKey);
-          if (!existing || g < existing.g) {
-            const node = { pos: [newX, newY], g, h, f, parent: current };
-            visited.set(newKey, node);
-            openSet.push(node);
-          }
-        }
+        cost[next] = g;
+        parent[next] = current;
+        const h = this.heuristic([newX, newY], goals) * hScale;
+        open.push(next, (g + h) * scale + h); // Decrease-key if queued
+        trace?.open(next);
       }
     }
 
@@ -76,45 +311,42 @@ export class FastMazeSolver {
   }
 
   // Breadth-First Search - Guaranteed shortest path
-  solveMazeBFS(maze, start = [1, 1], end = null) {
-    if (!end) {
-      end = [maze.length - 2, maze[0].length - 2];
-    }
-
-    const queue = [{ pos: start, path: [start] }];
-    const visited = new Set();
-    const startKey = `${start[0]},${start[1]}`;
-    visited.add(startKey);
+  *searchBFS(maze, start = [1, 1], end = null, { trace = null } = {}) {
+    const goals = this.toGoals(maze, end);
+    const { rows, cols, parent } = this.createSearchBuffers(maze);
+    const goalCells = this.goalMask(goals, rows, cols);
+    const visited = new Uint8Array(rows * cols);
+    const queue = new Int32Array(rows * cols); // Each cell is queued once
+    let head = 0;
+    let tail = 0;
 
-    while (queue.length > 0) {
-      const {
-        pos: [x, y],
-        path,
-      } = queue.shift();
+    const startIndex = start[0] * cols + start[1];
+    visited[startIndex] = 1;
+    queue[tail++] = startIndex;
+    trace?.open(startIndex);
 
-      if (x === end[0] && y === end[1]) {
-        return path;
+    while (head < tail) {
+      const current = queue[head++];
+      if (goalCells[current]) {
+        return this.reconstructIndexPath(parent, current, cols);
+      }
+      if (trace) {
+        trace.close(current);
+        yield trace.snapshot();
       }
+      const x = Math.floor(current / cols);
+      const y = current - x * cols;
 
       for (const [dx, dy] of this.directions) {
         const newX = x + dx;
         const newY = y + dy;
-        const key = `${newX},${newY}`;
-
-        if (
-          newX >= 0 &&
-          newX < maze.length &&
-          newY >= 0 &&
-          newY < maze[0].length &&
-          maze[newX][newY] === 0 &&
-          !visited.has(key)
-        ) {
-          visited.add(key);
-          queue.push({
-            pos: [newX, newY],
-            path: [...path, [newX, newY]],
-          });
-        }
+        if (!this.isValidMove(maze, newX, newY)) continue;
+        const next = newX * cols + newY;
+        if (visited[next]) continue;
+        visited[next] = 1;
+        parent[next] = current;
+        queue[tail++] = next;
+        trace?.open(next);
       }
     }
 
@@ -122,45 +354,40 @@ export class FastMazeSolver {
   }
 
   // Depth-First Search - Fast but not optimal
-  solveMazeDFS(maze, start = [1, 1], end = null) {
-    if (!end) {
-      end = [maze.length - 2, maze[0].length - 2];
-    }
-
-    const stack = [{ pos: start, path: [start] }];
-    const visited = new Set();
+  *searchDFS(maze, start = [1, 1], end = null, { trace = null } = {}) {
+    const goals = this.toGoals(maze, end);
+    const { rows, cols, parent } = this.createSearchBuffers(maze);
+    const goalCells = this.goalMask(goals, rows, cols);
+    const visited = new Uint8Array(rows * cols);
+    // (cell, cell it was pushed from) pairs; the parent is fixed when the
+    // cell is first popped, so the path follows the DFS tree
+    const stack = [start[0] * cols + start[1], -1];
 
     while (stack.length > 0) {
-      const {
-        pos: [x, y],
-        path,
-      } = stack.pop();
-      const key = `${x},${y}`;
+      const from = stack.pop();
+      const current = stack.pop();
+      if (visited[current]) continue;
+      visited[current] = 1;
+      parent[current] = from;
 
-      if (visited.has(key)) continue;
-      visited.add(key);
-
-      if (x === end[0] && y === end[1]) {
-        return path;
+      if (goalCells[current]) {
+        return this.reconstructIndexPath(parent, current, cols);
+      }
+      if (trace) {
+        trace.close(current);
+        yield trace.snapshot();
       }
+      const x = Math.floor(current / cols);
+      const y = current - x * cols;
 
       for (const [dx, dy] of this.directions) {
         const newX = x + dx;
         const newY = y + dy;
-        const newKey = `${newX},${newY}`;
-
-        if (
-          newX >= 0 &&
-          newX < maze.length &&
-          newY >= 0 &&
-          newY < maze[0].length &&
-          maze[newX][newY] === 0 &&
-          !visited.has(newKey)
-        ) {
-          stack.push({
-            pos: [newX, newY],
-            path: [...path, [newX, newY]],
-          });
+        if (!this.isValidMove(maze, newX, newY)) continue;
+        const next = newX * cols + newY;
+        if (!visited[next]) {
+          stack.push(next, current);
+          trace?.open(next);
         }
       }
     }
@@ -168,28 +395,45 @@ export class FastMazeSolver {
     return null;
   }
 
-  // Wall Follower Algorithm - Always finds exit in simply connected mazes
-  solveMazeWallFollower(maze, start = [1, 1]) {
+  // Wall Follower Algorithm - Always finds exit in simply connected mazes.
+  // In braided mazes it can circle an island forever; that is detected by a
+  // repeated (cell, heading) state and reported as failure (null).
+  *searchWallFollower(maze, start = [1, 1], end = null, options = {}) {
+    return yield* this.followWall(maze, start, end, "right", options);
+  }
+
+  *searchLeftWallFollower(maze, start = [1, 1], end = null, options = {}) {
+    return yield* this.followWall(maze, start, end, "left", options);
+  }
+
+  // Keep one hand on the wall: turn toward that hand when possible, else go
+  // straight, else turn away from it
+  *followWall(maze, start, end, hand, { trace = null } = {}) {
+    const goals = this.toGoals(maze, end);
+    const toward = hand === "left" ? 3 : 1; // Quarter turns to that side
     const [startX, startY] = start;
     let x = startX;
     let y = startY;
     let direction = 1; // Start facing right
     const path = [[x, y]];
-    const visited = new Set();
-    const maxSteps = maze.length * maze[0].length * 2;
+    const seenStates = new Set();
+    const maxSteps = maze.length * maze[0].length * 4;
     let steps = 0;
 
     while (steps < maxSteps) {
-      const key = `${x},${y}`;
-      if (visited.has(key) && steps > 10) {
-        // Avoid infinite loops
-        break;
+      const stateKey = `${x},${y},${direction}`;
+      if (seenStates.has(stateKey)) {
+        return null; // Looping without reaching the exit
+      }
+      seenStates.add(stateKey);
+      if (trace) {
+        trace.close(x * maze[0].length + y);
+        yield trace.snapshot();
       }
-      visited.add(key);
 
-      // Check if we reached a potential end
+      // Check if we reached a goal or an opening in the outer wall
       if (
-        (x === maze.length - 2 && y === maze[0].length - 2) ||
+        isGoal([x, y], goals) ||
         x === 0 ||
         x === maze.length - 1 ||
         y === 0 ||
@@ -200,17 +444,16 @@ export class FastMazeSolver {
         }
       }
 
-      // Wall following logic (right-hand rule)
-      const rightDir = (direction + 1) % 4;
-      const [rightDx, rightDy] = this.directions[rightDir];
-      const rightX = x + rightDx;
-      const rightY = y + rightDy;
+      const sideDir = (direction + toward) % 4;
+      const [sideDx, sideDy] = this.directions[sideDir];
+      const sideX = x + sideDx;
+      const sideY = y + sideDy;
 
-      if (this.isValidMove(maze, rightX, rightY)) {
-        // Turn right and move
-        direction = rightDir;
-        x = rightX;
-        y = rightY;
+      if (this.isValidMove(maze, sideX, sideY)) {
+        // Turn toward the wall hand and move
+        direction = sideDir;
+        x = sideX;
+        y = sideY;
         path.push([x, y]);
       } else {
         // Try to go forward
@@ -223,87 +466,779 @@ export class FastMazeSolver {
           y = newY;
           path.push([x, y]);
         } else {
-          // Turn left
-          direction = (direction + 3) % 4;
+          // Turn away from the wall hand
+          direction = (direction + 4 - toward) % 4;
         }
       }
 
       steps++;
     }
 
-    return path;
+    return null;
   }
 
-  // Dijkstra's Algorithm - Optimal for weighted graphs
-  solveMazeDijkstra(maze, start = [1, 1], end = null) {
-    if (!end) {
-      end = [maze.length - 2, maze[0].length - 2];
+  // Dijkstra's Algorithm - Optimal for weighted graphs (terrain costs)
+  *searchDijkstra(
+    maze,
+    start = [1, 1],
+    end = null,
+    { trace = null, terrain = null } = {}
+  ) {
+    const goals = this.toGoals(maze, end);
+    const { rows, cols, cost, parent } = this.createSearchBuffers(maze);
+    const goalCells = this.goalMask(goals, rows, cols);
+    const closed = new Uint8Array(rows * cols);
+    const open = new IndexedMinHeap(rows * cols);
+    const stepCosts = terrainCostGrid(terrain);
+
+    const startIndex = start[0] * cols + start[1];
+    cost[startIndex] = 0;
+    open.push(startIndex, 0);
+    trace?.open(startIndex);
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (goalCells[current]) {
+        return this.reconstructIndexPath(parent, current, cols);
+      }
+      closed[current] = 1;
+      if (trace) {
+        trace.close(current);
+        yield trace.snapshot();
+      }
+      const x = Math.floor(current / cols);
+      const y = current - x * cols;
+
+      for (const [dx, dy] of this.directions) {
+        const newX = x + dx;
+        const newY = y + dy;
+        if (!this.isValidMove(maze, newX, newY)) continue;
+        const next = newX * cols + newY;
+        const alt = cost[current] + (stepCosts ? stepCosts[next] : 1);
+        if (closed[next] || alt >= cost[next]) continue;
+
+        cost[next] = alt;
+        parent[next] = current;
+        open.push(next, alt); // Decrease-key if queued
+        trace?.open(next);
+      }
     }
 
-    const distances = new Map();
-    const previous = new Map();
-    const unvisited = [];
-
-    // Initialize distances
-    for (let i = 0; i < maze.length; i++) {
-      for (let j = 0; j < maze[0].length; j++) {
-        if (maze[i][j] === 0) {
-          const key = `${i},${j}`;
-          distances.set(key, Infinity);
-          unvisited.push([i, j]);
+    return null;
+  }
+
+  // Jump Point Search on a 4-connected grid. Straight runs are skipped:
+  // a horizontal jump stops where a side opening appears, a vertical jump
+  // also stops where a horizontal jump from it would find something. Only
+  // those jump points enter the open set; the path is filled in afterwards.
+  *searchJPS(maze, start = [1, 1], end = null, { trace = null } = {}) {
+    const goals = this.toGoals(maze, end);
+    const { rows, cols, cost, parent } = this.createSearchBuffers(maze);
+    const goalCells = this.goalMask(goals, rows, cols);
+    const closed = new Uint8Array(rows * cols);
+    const open = new IndexedMinHeap(rows * cols);
+    const scale = rows + cols + 1;
+    const isOpen = (r, c) => this.isValidMove(maze, r, c);
+
+    // Returns the jump point reached from (r, c) moving by dc, or -1
+    const jumpHorizontal = (r, c, dc) => {
+      for (;;) {
+        c += dc;
+        if (!isOpen(r, c)) return -1;
+        if (goalCells[r * cols + c]) return r * cols + c;
+        if (
+          (isOpen(r - 1, c) && !isOpen(r - 1, c - dc)) ||
+          (isOpen(r + 1, c) && !isOpen(r + 1, c - dc))
+        ) {
+          return r * cols + c;
         }
       }
-    }
+    };
 
-    const startKey = `${start[0]},${start[1]}`;
-    distances.set(startKey, 0);
-
-    while (unvisited.length > 0) {
-      // Find unvisited node with minimum distance
-      let current = unvisited[0];
-      let minDist = distances.get(`${current[0]},${current[1]}`);
-      let minIndex = 0;
-
-      for (let i = 1; i < unvisited.length; i++) {
-        const dist = distances.get(`${unvisited[i][0]},${unvisited[i][1]}`);
-        if (dist < minDist) {
-          minDist = dist;
-          current = unvisited[i];
-          minIndex = i;
+    const jumpVertical = (r, c, dr) => {
+      for (;;) {
+        r += dr;
+        if (!isOpen(r, c)) return -1;
+        if (goalCells[r * cols + c]) return r * cols + c;
+        if (
+          (isOpen(r, c - 1) && !isOpen(r - dr, c - 1)) ||
+          (isOpen(r, c + 1) && !isOpen(r - dr, c + 1)) ||
+          jumpHorizontal(r, c, 1) !== -1 ||
+          jumpHorizontal(r, c, -1) !== -1
+        ) {
+          return r * cols + c;
         }
       }
+    };
 
-      unvisited.splice(minIndex, 1);
-      const [x, y] = current;
-      const currentKey = `${x},${y}`;
+    const startIndex = start[0] * cols + start[1];
+    const startH = this.heuristic(start, goals);
+    cost[startIndex] = 0;
+    open.push(startIndex, startH * scale + startH);
+    trace?.open(startIndex);
 
-      if (x === end[0] && y === end[1]) {
-        return this.reconstructDijkstraPath(previous, start, end);
+    while (open.size > 0) {
+      const current = open.pop();
+      if (goalCells[current]) {
+        return this.fillJumpPath(
+          this.reconstructIndexPath(parent, current, cols)
+        );
+      }
+      closed[current] = 1;
+      if (trace) {
+        trace.close(current);
+        yield trace.snapshot();
       }
+      const x = Math.floor(current / cols);
+      const y = current - x * cols;
 
-      if (distances.get(currentKey) === Infinity) break;
+      // Prune to the travel direction plus both perpendiculars
+      let directions = this.directions;
+      if (parent[current] !== -1) {
+        const px = Math.floor(parent[current] / cols);
+        const py = parent[current] - px * cols;
+        const dx = Math.sign(x - px);
+        const dy = Math.sign(y - py);
+        directions =
+          dx !== 0
+            ? [
+                [dx, 0],
+                [0, -1],
+                [0, 1],
+              ]
+            : [
+                [0, dy],
+                [-1, 0],
+                [1, 0],
+              ];
+      }
+
+      for (const [dx, dy] of directions) {
+        const next =
+          dx !== 0 ? jumpVertical(x, y, dx) : jumpHorizontal(x, y, dy);
+        if (next === -1 || closed[next]) continue;
+        const newX = Math.floor(next / cols);
+        const newY = next - newX * cols;
+        const g = cost[current] + Math.abs(newX - x) + Math.abs(newY - y);
+        if (g >= cost[next]) continue;
+
+        cost[next] = g;
+        parent[next] = current;
+        const h = this.heuristic([newX, newY], goals);
+        open.push(next, (g + h) * scale + h);
+        trace?.open(next);
+      }
+    }
+
+    return null;
+  }
+
+  // Expand a list of jump points (straight segments) into every cell
+  fillJumpPath(jumpPoints) {
+    const path = [jumpPoints[0]];
+    for (let i = 1; i < jumpPoints.length; i++) {
+      let [x, y] = jumpPoints[i - 1];
+      const [tx, ty] = jumpPoints[i];
+      const dx = Math.sign(tx - x);
+      const dy = Math.sign(ty - y);
+      while (x !== tx || y !== ty) {
+        x += dx;
+        y += dy;
+        path.push([x, y]);
+      }
+    }
+    return path;
+  }
+
+  // Bidirectional BFS: one frontier from the start, one from all goals.
+  // Whole levels are expanded (smaller frontier first) and the best meeting
+  // point of a level is kept, so the result is a shortest path.
+  *searchBidirectionalBFS(
+    maze,
+    start = [1, 1],
+    end = null,
+    { trace = null } = {}
+  ) {
+    const goals = this.toGoals(maze, end);
+    const rows = maze.length;
+    const cols = maze[0].length;
+    const size = rows * cols;
+    const sides = [0, 1].map(() => ({
+      dist: new Int32Array(size).fill(-1),
+      parent: new Int32Array(size).fill(-1),
+      frontier: [],
+    }));
+    const [forward, backward] = sides;
+
+    const startIndex = start[0] * cols + start[1];
+    forward.dist[startIndex] = 0;
+    forward.frontier.push(startIndex);
+    trace?.open(startIndex);
+    for (const [row, col] of goals) {
+      const index = row * cols + col;
+      if (index === startIndex) return [[...start]];
+      if (backward.dist[index] === -1) {
+        backward.dist[index] = 0;
+        backward.frontier.push(index);
+        trace?.open(index);
+      }
+    }
+
+    let meeting = -1;
+    let best = Infinity;
+    while (
+      meeting === -1 &&
+      forward.frontier.length > 0 &&
+      backward.frontier.length > 0
+    ) {
+      const side =
+        forward.frontier.length <= backward.frontier.length
+          ? forward
+          : backward;
+      const other = side === forward ? backward : forward;
+      const nextFrontier = [];
+
+      for (const current of side.frontier) {
+        if (trace) {
+          trace.close(current);
+          yield trace.snapshot();
+        }
+        const x = Math.floor(current / cols);
+        const y = current - x * cols;
+        for (const [dx, dy] of this.directions) {
+          const newX = x + dx;
+          const newY = y + dy;
+          if (!this.isValidMove(maze, newX, newY)) continue;
+          const next = newX * cols + newY;
+          if (side.dist[next] !== -1) continue;
+          side.dist[next] = side.dist[current] + 1;
+          side.parent[next] = current;
+          nextFrontier.push(next);
+          trace?.open(next);
+          if (other.dist[next] !== -1) {
+            const total = side.dist[next] + other.dist[next];
+            if (total < best) {
+              best = total;
+              meeting = next;
+            }
+          }
+        }
+      }
+      side.frontier = nextFrontier;
+    }
+
+    if (meeting === -1) return null;
+    return this.joinPaths(forward.parent, backward.parent, meeting, cols);
+  }
+
+  // Bidirectional A*: forward toward the goals, backward toward the start.
+  // `best` tracks the shortest start-goal path seen where the searches
+  // touch; once either open set's smallest f reaches it, nothing shorter
+  // can remain (both heuristics are consistent).
+  *searchBidirectionalAStar(
+    maze,
+    start = [1, 1],
+    end = null,
+    { trace = null } = {}
+  ) {
+    const goals = this.toGoals(maze, end);
+    const rows = maze.length;
+    const cols = maze[0].length;
+    const startGoal = [start];
+    const sides = [goals, startGoal].map((targets) => ({
+      ...this.createSearchBuffers(maze),
+      closed: new Uint8Array(rows * cols),
+      open: new IndexedMinHeap(rows * cols),
+      targets,
+    }));
+    const [forward, backward] = sides;
+
+    const seed = (side, [row, col]) => {
+      const index = row * cols + col;
+      side.cost[index] = 0;
+      side.open.push(index, this.heuristic([row, col], side.targets));
+      trace?.open(index);
+    };
+    seed(forward, start);
+    for (const goal of goals) seed(backward, goal);
+
+    let best = Infinity;
+    let meeting = -1;
+    const startIndex = start[0] * cols + start[1];
+    if (backward.cost[startIndex] === 0) return [[...start]];
+
+    while (forward.open.size > 0 && backward.open.size > 0) {
+      if (
+        forward.open.peekPriority() >= best ||
+        backward.open.peekPriority() >= best
+      ) {
+        break;
+      }
+      const side = forward.open.size <= backward.open.size ? forward : backward;
+      const other = side === forward ? backward : forward;
+      const current = side.open.pop();
+      side.closed[current] = 1;
+      if (trace) {
+        trace.close(current);
+        yield trace.snapshot();
+      }
+      const x = Math.floor(current / cols);
+      const y = current - x * cols;
 
       for (const [dx, dy] of this.directions) {
         const newX = x + dx;
         const newY = y + dy;
-        const newKey = `${newX},${newY}`;
+        if (!this.isValidMove(maze, newX, newY)) continue;
+        const next = newX * cols + newY;
+        const g = side.cost[current] + 1;
+        if (side.closed[next] || g >= side.cost[next]) continue;
 
-        if (this.isValidMove(maze, newX, newY) && distances.has(newKey)) {
-          const alt = distances.get(currentKey) + 1;
-          if (alt < distances.get(newKey)) {
-            distances.set(newKey, alt);
-            previous.set(newKey, currentKey);
-          }
+        side.cost[next] = g;
+        side.parent[next] = current;
+        side.open.push(next, g + this.heuristic([newX, newY], side.targets));
+        trace?.open(next);
+        if (g + other.cost[next] < best) {
+          best = g + other.cost[next];
+          meeting = next;
+        }
+      }
+    }
+
+    if (meeting === -1) return null;
+    return this.joinPaths(forward.parent, backward.parent, meeting, cols);
+  }
+
+  // Start -> meeting cell from the forward parents, then meeting cell ->
+  // goal from the backward parents
+  joinPaths(forwardParent, backwardParent, meeting, cols) {
+    const path = this.reconstructIndexPath(forwardParent, meeting, cols);
+    for (let cell = backwardParent[meeting]; cell !== -1; ) {
+      path.push([Math.floor(cell / cols), cell % cols]);
+      cell = backwardParent[cell];
+    }
+    return path;
+  }
+
+  // IDA*: depth-first passes bounded by f = g + h, raising the bound to the
+  // smallest f that exceeded it. Cells reached again within a pass at no
+  // lower g are skipped, which keeps braided mazes from exploding.
+  // Explicit stack instead of recursion so long corridors cannot overflow.
+  *searchIDAStar(
+    maze,
+    start = [1, 1],
+    end = null,
+    { maxExpansions = IDA_STAR_MAX_EXPANSIONS, trace = null } = {}
+  ) {
+    const goals = this.toGoals(maze, end);
+    const rows = maze.length;
+    const cols = maze[0].length;
+    const goalCells = this.goalMask(goals, rows, cols);
+    const bestG = new Float64Array(rows * cols);
+    const startIndex = start[0] * cols + start[1];
+    const stack = new Int32Array(rows * cols); // Current path, one cell per depth
+    const nextDirection = new Uint8Array(rows * cols + 1);
+    let bound = this.heuristic(start, goals);
+    let expansions = 0;
+
+    while (bound < Infinity) {
+      bestG.fill(Infinity);
+      bestG[startIndex] = 0;
+      stack[0] = startIndex;
+      nextDirection[0] = 0;
+      let depth = 0;
+      let nextBound = Infinity;
+      if (trace) {
+        trace.clear(); // Each pass starts a fresh depth-first search
+        trace.open(startIndex);
+      }
+
+      while (depth >= 0) {
+        const current = stack[depth];
+        if (goalCells[current]) {
+          return Array.from(stack.subarray(0, depth + 1), (cell) => [
+            Math.floor(cell / cols),
+            cell % cols,
+          ]);
+        }
+        if (nextDirection[depth] === this.directions.length) {
+          depth--; // All neighbours tried: backtrack
+          continue;
+        }
+        if (trace && nextDirection[depth] === 0) {
+          trace.close(current);
+          yield trace.snapshot();
+        }
+        const [dx, dy] = this.directions[nextDirection[depth]++];
+        const x = Math.floor(current / cols);
+        const y = current - x * cols;
+        const newX = x + dx;
+        const newY = y + dy;
+        if (!this.isValidMove(maze, newX, newY)) continue;
+        const next = newX * cols + newY;
+        const g = depth + 1;
+        if (g >= bestG[next]) continue; // Already reached as cheaply
+
+        const f = g + this.heuristic([newX, newY], goals);
+        if (f > bound) {
+          nextBound = Math.min(nextBound, f);
+          continue;
+        }
+        if (++expansions > maxExpansions) return null;
+        bestG[next] = g;
+        depth++;
+        stack[depth] = next;
+        nextDirection[depth] = 0;
+        trace?.open(next);
+      }
+
+      bound = nextBound;
+    }
+
+    return null;
+  }
+
+  // Pledge algorithm: walk in a preferred heading (toward the nearest goal)
+  // until blocked, then follow the wall with the right hand while summing
+  // the turns; leave the wall once the sum is back to zero. Unlike the plain
+  // wall follower it escapes walls that are not connected to the rest, such
+  // as an island around the start.
+  *searchPledge(maze, start = [1, 1], end = null, { trace = null } = {}) {
+    const goals = this.toGoals(maze, end);
+    const [gx, gy] = nearestGoal(start, goals);
+    const [x0, y0] = start;
+    const preferred =
+      Math.abs(gx - x0) > Math.abs(gy - y0)
+        ? gx > x0
+          ? 2
+          : 0
+        : gy >= y0
+        ? 1
+        : 3;
+    let [x, y] = start;
+    let direction = preferred;
+    let turns = 0; // Net quarter turns while following, right positive
+    let following = false;
+    const path = [[x, y]];
+    const maxSteps = maze.length * maze[0].length * 8;
+
+    for (let steps = 0; steps < maxSteps; steps++) {
+      if (isGoal([x, y], goals)) return path;
+      if (trace) {
+        trace.close(x * maze[0].length + y);
+        yield trace.snapshot();
+      }
+
+      const [dx, dy] = this.directions[direction];
+      if (!following) {
+        if (this.isValidMove(maze, x + dx, y + dy)) {
+          x += dx;
+          y += dy;
+          path.push([x, y]);
+        } else {
+          // Blocked: turn left so the wall is on the right hand
+          following = true;
+          direction = (direction + 3) % 4;
+          turns--;
+        }
+        continue;
+      }
+
+      const rightDir = (direction + 1) % 4;
+      const [rightDx, rightDy] = this.directions[rightDir];
+      if (this.isValidMove(maze, x + rightDx, y + rightDy)) {
+        direction = rightDir;
+        turns++;
+        x += rightDx;
+        y += rightDy;
+        path.push([x, y]);
+      } else if (this.isValidMove(maze, x + dx, y + dy)) {
+        x += dx;
+        y += dy;
+        path.push([x, y]);
+      } else {
+        direction = (direction + 3) % 4;
+        turns--;
+      }
+      if (turns === 0) following = false; // Facing the preferred heading again
+    }
+
+    return null;
+  }
+
+  // Trémaux's algorithm: every passage walked gets a mark. At a cell seen
+  // before, arriving by a fresh passage means turning back; otherwise take
+  // the passage with the fewest marks, never one marked twice. Reaches any
+  // reachable goal; returns null once every passage is exhausted.
+  *searchTremaux(maze, start = [1, 1], end = null, { trace = null } = {}) {
+    const goals = this.toGoals(maze, end);
+    const rows = maze.length;
+    const cols = maze[0].length;
+    const goalCells = this.goalMask(goals, rows, cols);
+    const marks = new Uint8Array(rows * cols * 4); // Per cell and direction
+    let x = start[0];
+    let y = start[1];
+    let heading = -1; // Direction of the last move, -1 at the start
+    const path = [[x, y]];
+
+    for (;;) {
+      const current = x * cols + y;
+      if (goalCells[current]) return path;
+      if (trace) {
+        trace.close(current);
+        yield trace.snapshot();
+      }
+
+      const back = heading === -1 ? -1 : (heading + 2) % 4;
+      const exits = [];
+      for (let d = 0; d < 4; d++) {
+        const [dx, dy] = this.directions[d];
+        if (this.isValidMove(maze, x + dx, y + dy)) exits.push(d);
+      }
+      const seenBefore = exits.some(
+        (d) => d !== back && marks[current * 4 + d] > 0
+      );
+
+      let choice = -1;
+      if (back !== -1 && seenBefore && marks[current * 4 + back] === 1) {
+        choice = back; // Looped into a known cell: retreat
+      } else {
+        for (const d of exits) {
+          const m = marks[current * 4 + d];
+          if (m >= 2) continue;
+          const best = choice === -1 ? Infinity : marks[current * 4 + choice];
+          // Fewest marks wins; on a tie, avoid turning back
+          if (m < best || (m === best && choice === back)) choice = d;
+        }
+      }
+      if (choice === -1) return null; // Every passage walked twice
+
+      const [dx, dy] = this.directions[choice];
+      const next = (x + dx) * cols + (y + dy);
+      marks[current * 4 + choice]++;
+      marks[next * 4 + ((choice + 2) % 4)]++;
+      x += dx;
+      y += dy;
+      heading = choice;
+      path.push([x, y]);
+    }
+  }
+
+  // Dead-end filling: repeatedly wall off cells with at most one open
+  // neighbour (never the start or a goal). What remains are the routes
+  // between them, so a BFS over the remainder is a shortest path.
+  *searchDeadEndFilling(
+    maze,
+    start = [1, 1],
+    end = null,
+    { trace = null } = {}
+  ) {
+    const goals = this.toGoals(maze, end);
+    const rows = maze.length;
+    const cols = maze[0].length;
+    const keep = this.goalMask(goals, rows, cols);
+    keep[start[0] * cols + start[1]] = 1;
+    const filled = new Uint8Array(rows * cols);
+    const degree = new Uint8Array(rows * cols);
+    const queue = [];
+
+    const forNeighbours = (cell, visit) => {
+      const x = Math.floor(cell / cols);
+      const y = cell - x * cols;
+      for (const [dx, dy] of this.directions) {
+        if (this.isValidMove(maze, x + dx, y + dy)) {
+          visit((x + dx) * cols + (y + dy));
         }
       }
+    };
+
+    for (let x = 0; x < rows; x++) {
+      for (let y = 0; y < cols; y++) {
+        if (maze[x][y] !== 0) continue;
+        const cell = x * cols + y;
+        forNeighbours(cell, () => degree[cell]++);
+        if (degree[cell] <= 1 && !keep[cell]) queue.push(cell);
+      }
+    }
+
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      if (filled[cell]) continue;
+      filled[cell] = 1;
+      if (trace) {
+        trace.close(cell);
+        yield trace.snapshot();
+      }
+      forNeighbours(cell, (next) => {
+        if (filled[next]) return;
+        degree[next]--;
+        if (degree[next] <= 1 && !keep[next]) queue.push(next);
+      });
+    }
+
+    const remaining = maze.map((row, x) =>
+      row.map((cell, y) => (cell === 0 && !filled[x * cols + y] ? 0 : 1))
+    );
+    return yield* this.searchBFS(remaining, start, goals, { trace });
+  }
+
+  // Random mouse: keep going along corridors, pick a random exit at
+  // junctions and only turn back at dead ends
+  *searchRandomMouse(
+    maze,
+    start = [1, 1],
+    end = null,
+    { rng = Math.random, trace = null } = {}
+  ) {
+    const goals = this.toGoals(maze, end);
+    const rows = maze.length;
+    const cols = maze[0].length;
+    const goalCells = this.goalMask(goals, rows, cols);
+    const maxSteps = Math.min(
+      rows * cols * RANDOM_MOUSE_STEPS_PER_CELL,
+      RANDOM_MOUSE_MAX_STEPS
+    );
+    const trail = new Int32Array(maxSteps + 1);
+    let x = start[0];
+    let y = start[1];
+    let heading = -1;
+    trail[0] = x * cols + y;
+    const exits = [];
+
+    for (let step = 0; step <= maxSteps; step++) {
+      if (goalCells[x * cols + y]) {
+        return Array.from(trail.subarray(0, step + 1), (cell) => [
+          Math.floor(cell / cols),
+          cell % cols,
+        ]);
+      }
+      if (step === maxSteps) break;
+      if (trace) {
+        trace.close(x * cols + y);
+        yield trace.snapshot();
+      }
+
+      const back = heading === -1 ? -1 : (heading + 2) % 4;
+      exits.length = 0;
+      for (let d = 0; d < 4; d++) {
+        const [dx, dy] = this.directions[d];
+        if (d !== back && this.isValidMove(maze, x + dx, y + dy)) exits.push(d);
+      }
+      if (exits.length === 0) {
+        if (back === -1) return null; // Walled in
+        exits.push(back); // Dead end
+      }
+
+      heading = exits[Math.floor(rng() * exits.length)];
+      x += this.directions[heading][0];
+      y += this.directions[heading][1];
+      trail[step + 1] = x * cols + y;
     }
 
     return null;
   }
 
-  // Heuristic function for A* (Manhattan distance)
-  heuristic(pos1, pos2) {
-    return Math.abs(pos1[0] - pos2[0]) + Math.abs(pos1[1] - pos2[1]);
+  // D* Lite from scratch: the first plan of an incremental planner. Cells in
+  // `blocked` ([row, col]) are treated as walls.
+  *searchDStarLite(
+    maze,
+    start = [1, 1],
+    end = null,
+    { trace = null, terrain = null, blocked = [] } = {}
+  ) {
+    const planner = this.createIncrementalPlanner(maze, start, end, {
+      terrain,
+      blocked,
+    });
+    return yield* planner.computeSteps(trace);
+  }
+
+  // Planner for mazes whose walls change while the agent walks: call
+  // `computeShortestPath()` once, then `moveStart(position)` after each
+  // step and `applyChanges(events.wallChanges)` with the wall change events
+  // of DynamicMazeElements.update to get the repaired path.
+  createIncrementalPlanner(maze, start = [1, 1], end = null, options = {}) {
+    return new DStarLite(maze, start, this.toGoals(maze, end), options);
+  }
+
+  // Up to k cheapest loopless routes (Yen's algorithm), cheapest first, as
+  // [{ path, cost }] with [row, col] paths; costs follow `terrain`
+  kShortestPaths(maze, start = [1, 1], end = null, k = 3, options = {}) {
+    return kShortestPaths(maze, start, this.toGoals(maze, end), k, options);
+  }
+
+  // DAG of all equally optimal routes: { cost, cells, edges, pathCount }
+  // (see RouteAnalysis.js), or null when no goal is reachable
+  optimalPaths(maze, start = [1, 1], end = null, options = {}) {
+    return optimalPathDag(maze, start, this.toGoals(maze, end), options);
+  }
+
+  // Cheapest route through locked doors: searches (position, key set)
+  // states, so the route collects each key before the doors it opens.
+  // `options` holds `keys` and `doors` ([{ position, keyType }]) and
+  // `terrain`; returns { path, cost, keyOrder } or null (see KeyDoorSearch.js)
+  solveKeysAndDoors(maze, start = [1, 1], end = null, options = {}) {
+    return searchKeyDoorRoute(maze, start, this.toGoals(maze, end), options);
+  }
+
+  // Max-score route: the cheapest walk that collects every reachable item
+  // ([{ position, value }]) before reaching a goal. The order is exact
+  // (Held-Karp) for up to HELD_KARP_MAX_ITEMS items, nearest neighbour plus
+  // 2-opt beyond. `options` holds `terrain` and locked `doors` (walls to
+  // the tour). Returns { path, cost, order, score, skipped, exact } or null
+  // (see TourPlanner.js)
+  planTour(maze, start = [1, 1], end = null, items = [], options = {}) {
+    return planTour(maze, start, this.toGoals(maze, end), items, options);
+  }
+
+  // Pairwise cheapest costs between `points` plus a last column to the
+  // nearest goal, as used by planTour
+  tourDistanceMatrix(maze, points, end = null, options = {}) {
+    return tourDistanceMatrix(maze, points, this.toGoals(maze, end), options);
+  }
+
+  // Solve a hex, triangle or polar passage maze, or a layered maze whose
+  // staircases add moves between floors (see utils/topology.js). A*, BFS,
+  // DFS and Dijkstra have topology versions; others run as BFS.
+  solveTopology(algorithm, topology, maze, start, end) {
+    const goals = Array.isArray(end?.[0]) ? end : [end];
+    return searchTopology(algorithm, topology, maze, start, goals);
+  }
+
+  // Run a registered algorithm by id (see PATHFINDING_ALGORITHMS).
+  // `options` reach solvers that take them (e.g. the random mouse's rng).
+  solve(algorithm, maze, start = [1, 1], end = null, options = {}) {
+    const { method } =
+      PATHFINDING_ALGORITHMS[algorithm] ||
+      PATHFINDING_ALGORITHMS[DEFAULT_PATHFINDING_ALGORITHM];
+    return this[method](maze, start, end, options);
+  }
+
+  // Step-by-step search for visualisation: a generator yielding a snapshot
+  // of the frontier, closed set and current cell after each expansion. Its
+  // return value (from the final next()) is the path or null.
+  search(algorithm, maze, start = [1, 1], end = null, options = {}) {
+    const { search } =
+      PATHFINDING_ALGORITHMS[algorithm] ||
+      PATHFINDING_ALGORITHMS[DEFAULT_PATHFINDING_ALGORITHM];
+    const trace = new SearchTrace(maze.length, maze[0].length);
+    return this[search](maze, start, end, { ...options, trace });
+  }
+
+  runSearch(generator) {
+    let step = generator.next();
+    while (!step.done) step = generator.next();
+    return step.value;
+  }
+
+  // Heuristic function for A* (Manhattan distance to the closest goal)
+  heuristic(pos, goals) {
+    return goalDistance(pos, goals);
+  }
+
+  // Normalize `end` to a list of goals; bottom-right when omitted
+  toGoals(maze, end) {
+    if (!end) return defaultGoals(maze[0].length, maze.length);
+    return Array.isArray(end[0]) ? end : [end];
   }
 
   // Helper function to check if a move is valid
@@ -317,51 +1252,58 @@ export class FastMazeSolver {
     );
   }
 
-  // Reconstruct path for A*
-  reconstructPath(node) {
-    const path = [];
-    let current = node;
-    while (current) {
-      path.unshift(current.pos);
-      current = current.parent;
+  // Flat search buffers indexed by cell = row * cols + col: best known
+  // cost (Infinity when unreached) and predecessor cell (-1 for none)
+  createSearchBuffers(maze) {
+    const rows = maze.length;
+    const cols = maze[0].length;
+    return {
+      rows,
+      cols,
+      cost: new Float64Array(rows * cols).fill(Infinity),
+      parent: new Int32Array(rows * cols).fill(-1),
+    };
+  }
+
+  goalMask(goals, rows, cols) {
+    const mask = new Uint8Array(rows * cols);
+    for (const [row, col] of goals) {
+      if (row >= 0 && row < rows && col >= 0 && col < cols) {
+        mask[row * cols + col] = 1;
+      }
     }
-    return path;
+    return mask;
   }
 
-  // Reconstruct path for Dijkstra
-  reconstructDijkstraPath(previous, start, end) {
+  // Walk the parent buffer back from `index` to the start
+  reconstructIndexPath(parent, index, cols) {
     const path = [];
-    let currentKey = `${end[0]},${end[1]}`;
-
-    while (currentKey) {
-      const [x, y] = currentKey.split(",").map(Number);
-      path.unshift([x, y]);
-      currentKey = previous.get(currentKey);
+    for (let cell = index; cell !== -1; cell = parent[cell]) {
+      path.push([Math.floor(cell / cols), cell % cols]);
     }
-
-    return path;
+    return path.reverse();
   }
 
-  // Benchmark all algorithms
-  benchmarkAlgorithms(maze) {
-    const algorithms = [
-      { name: "A*", func: this.solveMazeAStar.bind(this) },
-      { name: "BFS", func: this.solveMazeBFS.bind(this) },
-      { name: "DFS", func: this.solveMazeDFS.bind(this) },
-      { name: "Dijkstra", func: this.solveMazeDijkstra.bind(this) },
-    ];
-
+  // Quick one-run timing of all algorithms; `pathCost` sums the terrain
+  // costs walked. SolverBenchmark.js has the repeated, statistical suite.
+  benchmarkAlgorithms(
+    maze,
+    start = [1, 1],
+    end = null,
+    { terrain = null } = {}
+  ) {
     const results = [];
 
-    for (const { name, func } of algorithms) {
-      const start = performance.now();
-      const path = func(maze);
-      const end = performance.now();
+    for (const { id, name } of Object.values(PATHFINDING_ALGORITHMS)) {
+      const startTime = performance.now();
+      const path = this.solve(id, maze, start, end, { terrain });
+      const endTime = performance.now();
 
       results.push({
         algorithm: name,
-        time: end - start,
+        time: endTime - startTime,
         pathLength: path ? path.length : 0,
+        pathCost: pathCost(path, terrain),
         found: !!path,
       });
     }
@@ -1,14 +1,46 @@
 // Hybrid AI Agent that combines Q-Learning with fast pathfinding
 // Uses different strategies based on maze size and learning progress
 
-import { fastSolver } from "./FastMazeSolver.js";
+import {
+  DEFAULT_PATHFINDING_ALGORITHM,
+  PATHFINDING_ALGORITHMS,
+  fastSolver,
+} from "./FastMazeSolver.js";
+import { DynamicMazeElements } from "./DynamicMazeElements.js";
 import { mctsPlan } from "./MCTS.js";
+import {
+  applyEndpoints,
+  episodeStart,
+  isGoal,
+  nearestGoal,
+} from "../utils/mazeEndpoints.js";
+import { terrainCostAt } from "../utils/terrain.js";
+import { createSquareTopology } from "../utils/topology.js";
 
 export class HybridMazeAgent {
   constructor(mazeWidth, mazeHeight, options = {}) {
-    this.width = mazeWidth;
-    this.height = mazeHeight;
-    this.mazeSize = mazeWidth * mazeHeight;
+    // Positions are [row, col]; moves and cells come from the topology as
+    // for QLearningAgent, so layered and passage mazes work too (their
+    // paths come from the topology search)
+    this.topology =
+      options.topology || createSquareTopology(mazeWidth, mazeHeight);
+    this.width = this.topology.width;
+    this.height = this.topology.height;
+    this.mazeSize = this.topology.cellCount ?? mazeWidth * mazeHeight;
+    this.actionCount = this.topology.directions;
+
+    this.maze = options.maze || null;
+    // Optional terrain layer: costs for weighted backends and step penalties
+    this.terrain = options.terrain || null;
+    // "dynamic" adds moving walls and rotating sections (other modes need
+    // the neural agent); `elementPlacements` replays a saved layout
+    this.gameMode = options.gameMode === "dynamic" ? "dynamic" : "classic";
+    this.elementPlacements = options.elementPlacements || null;
+    this.setEndpoints({
+      start: options.start,
+      goals: options.goals,
+      randomStart: !!options.randomStart,
+    });
 
     // Determine strategy based on maze size
     this.isLargeMaze = this.mazeSize > 1000; // Switch to fast pathfinding for large mazes
@@ -27,6 +59,9 @@ export class HybridMazeAgent {
     this.gamma = options.gamma || 0.95;
     this.learningRate = options.learningRate || 0.1;
 
+    // Pluggable PRNG for exploration (see utils/random.js)
+    this.rng = options.rng || Math.random;
+
     // Optional planning (MCTS)
     this.useMCTS = options.useMCTS || false;
     this.mctsBudgetMs = options.mctsBudgetMs || 20;
@@ -35,24 +70,15 @@ export class HybridMazeAgent {
     // Q-table with sparse representation for memory efficiency
     this.qTable = new Map();
 
-    // Actions: 0=up, 1=right, 2=down, 3=left
-    this.actions = [
-      [-1, 0], // up
-      [0, 1], // right
-      [1, 0], // down
-      [0, -1], // left
-    ];
-
-    // Fast pathfinding solver
+    // Fast pathfinding solver; `pathfinder` is a PATHFINDING_ALGORITHMS id
     this.fastSolver = fastSolver;
+    this.setPathfinder(options.pathfinder);
     this.knownSolution = null;
     this.solutionSteps = 0;
+    this.planner = null; // Incremental planner for dynamic mode
 
-    // Agent state
-    this.position = [1, 1];
-    this.path = [[1, 1]];
+    // Agent state (position, path and visited are set by reset)
     this.moves = 0;
-    this.visited = new Set([`1,1`]);
     this.isTraining = false;
     this.currentStrategy = this.isLargeMaze ? "pathfinding" : "qlearning";
 
@@ -67,14 +93,75 @@ export class HybridMazeAgent {
   }
 
   reset() {
-    this.position = [1, 1];
-    this.path = [[1, 1]];
+    this.position = episodeStart(this, this.maze, this.rng);
+    this.path = [[...this.position]];
     this.moves = 0;
     this.solutionSteps = 0;
     this.knownSolution = null;
-    this.visited = new Set([`1,1`]);
+    this.planner = null;
+    this.visited = new Set([`${this.position[0]},${this.position[1]}`]);
     this.prevPosition = null;
     this.lastAction = -1;
+    if (this.gameMode === "dynamic") this.createDynamicElements();
+  }
+
+  createDynamicElements() {
+    this.dynamicElements = new DynamicMazeElements(
+      this.width,
+      this.height,
+      this.gameMode,
+      {
+        rng: this.rng,
+        start: this.start,
+        goals: this.goals,
+        placements: this.elementPlacements,
+      }
+    );
+    // Layout this episode started with, for export
+    this.episodePlacements = this.dynamicElements.getPlacements();
+  }
+
+  // See applyEndpoints; endpoints are fitted to the agent's topology
+  setEndpoints(endpoints, maze) {
+    applyEndpoints(this, endpoints, maze, this.topology.fitEndpoints);
+  }
+
+  setPathfinder(pathfinder = DEFAULT_PATHFINDING_ALGORITHM) {
+    this.pathfinder = PATHFINDING_ALGORITHMS[pathfinder]
+      ? pathfinder
+      : DEFAULT_PATHFINDING_ALGORITHM;
+    this.knownSolution = null; // Replan with the new backend
+    this.solutionSteps = 0;
+    this.planner = null;
+  }
+
+  // Path from `from` to the nearest reachable goal with the selected
+  // backend. Backends that give up (IDA* past its budget, a wall follower
+  // circling an island, a random mouse out of steps) fall back to A*.
+  findPath(maze, from) {
+    const start = performance.now();
+    if (this.topology.id !== "square") {
+      const path = this.fastSolver.solveTopology(
+        this.pathfinder,
+        this.topology,
+        maze,
+        from,
+        this.goals
+      );
+      this.pathfindingTime += performance.now() - start;
+      return path;
+    }
+    let path = this.fastSolver.solve(this.pathfinder, maze, from, this.goals, {
+      rng: this.rng,
+      terrain: this.terrain,
+    });
+    if (!path && this.pathfinder !== DEFAULT_PATHFINDING_ALGORITHM) {
+      path = this.fastSolver.solveMazeAStar(maze, from, this.goals, {
+        terrain: this.terrain,
+      });
+    }
+    this.pathfindingTime += performance.now() - start;
+    return path;
   }
 
   // Adaptive strategy selection
@@ -82,6 +169,9 @@ export class HybridMazeAgent {
     if (this.isLargeMaze) {
       return "pathfinding"; // Always use pathfinding for large mazes
     }
+    if (this.dynamicElements) {
+      return "pathfinding"; // Moving walls invalidate learned Q-values
+    }
 
     // For small/medium mazes, use Q-learning initially, then pathfinding when learned
     const successRate =
@@ -96,11 +186,11 @@ export class HybridMazeAgent {
 
   // Fast pathfinding move
   pathfindingMove(maze) {
+    if (this.dynamicElements) return this.dynamicPathfindingMove(maze);
+
     if (!this.knownSolution || this.solutionSteps === 0) {
       // Calculate solution once
-      const start = performance.now();
-      this.knownSolution = this.fastSolver.solveMazeAStar(maze, this.position);
-      this.pathfindingTime += performance.now() - start;
+      this.knownSolution = this.findPath(maze, this.position);
       this.solutionSteps = 0;
     }
 
@@ -130,13 +220,89 @@ export class HybridMazeAgent {
     };
   }
 
+  // Dynamic mode: take the next step of the plan (or wait when a wall is in
+  // the way), then let the walls move and fix the plan. Incremental
+  // backends (D* Lite) repair it from the wall change events; the others
+  // replan from scratch whenever a wall moved.
+  dynamicPathfindingMove(maze) {
+    if (!this.knownSolution) this.knownSolution = this.replan(maze, []);
+
+    const next = this.knownSolution?.[1];
+    const canStep = !!next && !this.dynamicElements.isBlocked(...next);
+    if (canStep) {
+      this.position = [...next];
+      this.path.push([...next]);
+      this.visited.add(`${next[0]},${next[1]}`);
+    }
+    this.moves++;
+
+    const events = this.dynamicElements.update(maze, this.position, this);
+    this.knownSolution = this.replan(maze, events.wallChanges, canStep);
+
+    return {
+      position: [...this.position],
+      moves: this.moves,
+      isValid: true,
+      waited: !canStep,
+      strategy: "pathfinding",
+    };
+  }
+
+  // Current plan from this.position after `changes`; `stepped` says the
+  // agent moved one cell along the previous plan
+  replan(maze, changes, stepped = false) {
+    const start = performance.now();
+    let path;
+    if (PATHFINDING_ALGORITHMS[this.pathfinder].incremental) {
+      if (!this.planner) {
+        this.planner = this.fastSolver.createIncrementalPlanner(
+          maze,
+          this.position,
+          this.goals,
+          { terrain: this.terrain, blocked: this.blockedPositions() }
+        );
+        path = this.planner.computeShortestPath();
+      } else {
+        this.planner.moveStart(this.position);
+        path = this.planner.applyChanges(changes);
+      }
+    } else if (this.knownSolution && changes.length === 0) {
+      path = stepped ? this.knownSolution.slice(1) : this.knownSolution;
+    } else {
+      path = this.findPath(this.overlayMaze(maze), this.position);
+    }
+    this.pathfindingTime += performance.now() - start;
+    return path;
+  }
+
+  blockedPositions() {
+    return [...this.dynamicElements.getBlockedCells()].map((key) =>
+      key.split(",").map(Number)
+    );
+  }
+
+  // Copy of `maze` with the dynamic elements as walls (the agent's own cell
+  // stays open so it can step off a wall that moved onto it)
+  overlayMaze(maze) {
+    const overlay = maze.map((row) => [...row]);
+    for (const [row, col] of this.blockedPositions()) overlay[row][col] = 1;
+    overlay[this.position[0]][this.position[1]] = 0;
+    return overlay;
+  }
+
+  // Dynamic elements as drawn by the maze view (null in classic mode)
+  getVisualizationData() {
+    return this.dynamicElements
+      ? this.dynamicElements.getVisualizationData(this.position)
+      : null;
+  }
+
   // Q-Learning move (original implementation)
   qLearningMove(maze) {
     const action = this.chooseAction(this.position, maze);
-    const [dx, dy] = this.actions[action];
-    const newPosition = [this.position[0] + dx, this.position[1] + dy];
+    const newPosition = this.topology.neighbour(maze, this.position, action);
 
-    if (this.isValidMove(this.position, action, maze)) {
+    if (newPosition) {
       this.prevPosition = this.position;
       this.position = newPosition;
       this.path.push([...newPosition]);
@@ -200,15 +366,16 @@ export class HybridMazeAgent {
         maze,
         validActionsFn: (s, m) => this.validActionsFromState(s, m),
         stepFn: (s, a, m) => this.simStep(s, a, m),
-        evaluateFn: (s, m) => -this.manhattanToGoal(s),
+        evaluateFn: (s, m) => -this.distanceToGoal(s),
         budgetMs: this.mctsBudgetMs,
         maxDepth: this.mctsDepth,
         c: 1.2,
+        rng: this.rng,
       });
       return action;
     }
     const validActions = [];
-    for (let action = 0; action < 4; action++) {
+    for (let action = 0; action < this.actionCount; action++) {
       if (this.isValidMove(state, action, maze)) {
         validActions.push(action);
       }
@@ -217,32 +384,30 @@ export class HybridMazeAgent {
     if (validActions.length === 0) return 0;
 
     // Epsilon-greedy with heuristic bias for large mazes
-    if (Math.random() < this.epsilon && this.isTraining) {
+    if (this.rng() < this.epsilon && this.isTraining) {
       if (this.isLargeMaze) {
         // Bias towards goal direction for large mazes
-        return this.getBiasedAction(state, validActions);
+        return this.getBiasedAction(state, validActions, maze);
       } else {
         // Avoid immediate reverse where possible
-        const pool = validActions.filter((a) =>
-          this.lastAction === -1 ? true : (a + 2) % 4 !== this.lastAction
+        const pool = validActions.filter(
+          (a) => !this.isReverse(state, a, maze)
         );
         const arr = pool.length ? pool : validActions;
-        return arr[(Math.random() * arr.length) | 0];
+        return arr[(this.rng() * arr.length) | 0];
       }
     } else {
       let bestAction = validActions[0];
       let bestScore = -Infinity;
       for (const a of validActions) {
         const q = this.getQValue(state, a);
-        const [dx, dy] = this.actions[a];
-        const next = [state[0] + dx, state[1] + dy];
+        const next = this.topology.neighbour(maze, state, a);
         const key = `${next[0]},${next[1]}`;
         const unvisited = this.visited && !this.visited.has(key) ? 1 : 0;
-        const manhDelta =
-          this.manhattanToGoal(state) - this.manhattanToGoal(next);
-        const reverse =
-          this.lastAction !== -1 && (a + 2) % 4 === this.lastAction ? 1 : 0;
-        const score = q + 0.05 * manhDelta + 0.1 * unvisited - 0.05 * reverse;
+        const distDelta =
+          this.distanceToGoal(state) - this.distanceToGoal(next);
+        const reverse = this.isReverse(state, a, maze) ? 1 : 0;
+        const score = q + 0.05 * distDelta + 0.1 * unvisited - 0.05 * reverse;
         if (score > bestScore) {
           bestScore = score;
           bestAction = a;
@@ -252,22 +417,33 @@ export class HybridMazeAgent {
     }
   }
 
+  // Whether `action` steps straight back to the previous cell
+  isReverse(state, action, maze) {
+    if (!this.prevPosition) return false;
+    const next = this.topology.neighbour(maze, state, action);
+    return (
+      !!next &&
+      next[0] === this.prevPosition[0] &&
+      next[1] === this.prevPosition[1]
+    );
+  }
+
   // Heuristic-biased action selection for large mazes
-  getBiasedAction(state, validActions) {
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
+  getBiasedAction(state, validActions, maze) {
+    const [goalX, goalY] = nearestGoal(state, this.goals);
     const [x, y] = state;
 
     // Calculate direction towards goal
     const dx = goalX - x;
     const dy = goalY - y;
 
-    // Prefer actions that move towards the goal
+    // Prefer actions that move towards the goal (a staircase shifts the
+    // row by a whole floor, towards goals on higher floors)
     const actionScores = validActions.map((action) => {
-      const [actionDx, actionDy] = this.actions[action];
+      const [nextX, nextY] = this.topology.neighbour(maze, state, action);
       const score =
-        (dx !== 0 ? actionDx * Math.sign(dx) : 0) +
-        (dy !== 0 ? actionDy * Math.sign(dy) : 0);
+        (dx !== 0 ? Math.sign(nextX - x) * Math.sign(dx) : 0) +
+        (dy !== 0 ? Math.sign(nextY - y) * Math.sign(dy) : 0);
       return { action, score };
     });
 
@@ -276,37 +452,23 @@ export class HybridMazeAgent {
 
     // Choose from top 2 actions with some randomness
     const topActions = actionScores.slice(0, Math.min(2, actionScores.length));
-    return topActions[Math.floor(Math.random() * topActions.length)].action;
+    return topActions[Math.floor(this.rng() * topActions.length)].action;
   }
 
   isValidMove(state, action, maze) {
-    const [dx, dy] = this.actions[action];
-    const newX = state[0] + dx;
-    const newY = state[1] + dy;
-
-    return (
-      newX >= 0 &&
-      newX < this.height &&
-      newY >= 0 &&
-      newY < this.width &&
-      maze[newX][newY] === 0
-    );
+    return this.topology.neighbour(maze, state, action) !== null;
   }
 
   getReward(oldState, newState, maze, isGameOver, isWin) {
     if (isWin) return 100;
     if (isGameOver) return -50;
 
-    let reward = -0.5; // Slightly lighter base step cost
-
-    // Distance-based reward
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
+    // Slightly lighter base step cost, scaled by the terrain entered
+    let reward = -0.5 * terrainCostAt(this.terrain, newState);
 
-    const oldDistance =
-      Math.abs(oldState[0] - goalX) + Math.abs(oldState[1] - goalY);
-    const newDistance =
-      Math.abs(newState[0] - goalX) + Math.abs(newState[1] - goalY);
+    // Distance-based reward (to the nearest goal)
+    const oldDistance = this.distanceToGoal(oldState);
+    const newDistance = this.distanceToGoal(newState);
 
     if (newDistance < oldDistance) {
       reward += 2; // getting closer
@@ -331,7 +493,7 @@ export class HybridMazeAgent {
     const currentQ = this.getQValue(oldState, action);
     let maxFutureQ = -Infinity;
 
-    for (let a = 0; a < 4; a++) {
+    for (let a = 0; a < this.actionCount; a++) {
       if (this.isValidMove(newState, a, maze)) {
         maxFutureQ = Math.max(maxFutureQ, this.getQValue(newState, a));
       }
@@ -348,13 +510,11 @@ export class HybridMazeAgent {
   trainStep(maze, previousState = null, action = null) {
     if (!this.isTraining) return;
 
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
-    const isWin = this.position[0] === goalX && this.position[1] === goalY;
+    const isWin = isGoal(this.position, this.goals);
     // Cap episode length to prevent thrashing in tiny mazes
     const maxMoves = this.isLargeMaze
       ? this.mazeSize
-      : this.width <= 31
+      : Math.max(this.width, this.height) <= 31
       ? Math.max(100, Math.floor((this.width * this.height) / 2))
       : Math.max(this.width * this.height, 150);
     const isGameOver = this.moves > maxMoves || isWin;
@@ -401,6 +561,7 @@ export class HybridMazeAgent {
     // Reset pathfinding solution for next game
     this.knownSolution = null;
     this.solutionSteps = 0;
+    this.planner = null;
   }
 
   getStats() {
@@ -429,6 +590,7 @@ export class HybridMazeAgent {
       currentStrategy: this.currentStrategy,
       isLargeMaze: this.isLargeMaze,
       pathfindingTime: Math.round(this.pathfindingTime * 100) / 100,
+      pathfinder: PATHFINDING_ALGORITHMS[this.pathfinder].name,
     };
   }
 
@@ -442,13 +604,35 @@ export class HybridMazeAgent {
     this.epsilon = this.epsilonStart;
     this.knownSolution = null;
     this.solutionSteps = 0;
+    this.planner = null;
     this.pathfindingTime = 0;
   }
 
+  // What training changes, for handing the agent to and from the training
+  // worker (structured-clone safe; the episode itself is not included)
+  exportLearning() {
+    return {
+      qTable: this.qTable,
+      epsilon: this.epsilon,
+      epsilonDecay: this.epsilonDecay,
+      epsilonMin: this.epsilonMin,
+      currentStrategy: this.currentStrategy,
+      gamesPlayed: this.gamesPlayed,
+      totalMoves: this.totalMoves,
+      moveHistory: this.moveHistory,
+      successfulGames: this.successfulGames,
+      pathfindingTime: this.pathfindingTime,
+    };
+  }
+
+  importLearning(learning) {
+    Object.assign(this, learning);
+  }
+
   // --- Helpers for planning ---
   validActionsFromState(state, maze) {
     const arr = [];
-    for (let a = 0; a < 4; a++)
+    for (let a = 0; a < this.actionCount; a++)
       if (this.isValidMove(state, a, maze)) arr.push(a);
     return arr;
   }
@@ -458,36 +642,33 @@ export class HybridMazeAgent {
       // small penalty for illegal in rollout to discourage
       return { nextState: state, reward: -0.5, terminal: false };
     }
-    const [dx, dy] = this.actions[action];
-    const next = [state[0] + dx, state[1] + dy];
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
-    const isWin = next[0] === goalX && next[1] === goalY;
+    const next = this.topology.neighbour(maze, state, action);
+    const isWin = isGoal(next, this.goals);
     const r = isWin
       ? 100
-      : -0.2 -
-        (this.manhattanToGoal(next) - this.manhattanToGoal(state) > 0
-          ? 0.5
-          : 0);
+      : -0.2 * terrainCostAt(this.terrain, next) -
+        (this.distanceToGoal(next) - this.distanceToGoal(state) > 0 ? 0.5 : 0);
     return { nextState: next, reward: r, terminal: isWin };
   }
 
-  manhattanToGoal(s) {
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
-    return Math.abs(s[0] - goalX) + Math.abs(s[1] - goalY);
+  // Topology distance to the nearest goal (Manhattan on square grids)
+  distanceToGoal(s) {
+    let best = Infinity;
+    for (const goal of this.goals) {
+      best = Math.min(best, this.topology.distance(s, goal));
+    }
+    return best;
   }
 
   // Get solution using best available algorithm
   getSolution(maze) {
-    const start = performance.now();
-    const solution = this.fastSolver.solveMazeAStar(maze);
-    this.pathfindingTime += performance.now() - start;
-    return solution;
+    return this.findPath(maze, this.start);
   }
 
   // Benchmark different algorithms on current maze
   benchmarkSolution(maze) {
-    return this.fastSolver.benchmarkAlgorithms(maze);
+    return this.fastSolver.benchmarkAlgorithms(maze, this.start, this.goals, {
+      terrain: this.terrain,
+    });
   }
 }
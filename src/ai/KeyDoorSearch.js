@@ -0,0 +1,179 @@
+// Key-and-door search: cheapest route when locked doors need keys first
+// States are (cell, key set). A door cell can only be entered while the key
+// set holds its key type; stepping on a key adds its type for the rest of
+// the route (keys are not used up). Only key types some door asks for are
+// tracked, so unrelated keys don't multiply the state space.
+// Keys and doors are [{ position: [row, col], keyType }].
+
+import { goalDistance, isGoal } from "../utils/mazeEndpoints.js";
+import { MIN_TERRAIN_COST, terrainCostGrid } from "../utils/terrain.js";
+
+const DIRECTIONS = [
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1],
+];
+
+// Key sets are bitmasks; past this many door key types the search refuses
+export const MAX_DOOR_KEY_TYPES = 20;
+
+// Binary min-heap of (priority, state) with duplicates allowed: the state
+// space is sparse, so stale entries are skipped on pop instead of
+// decrease-key on a heap sized for every state
+class StateQueue {
+  constructor() {
+    this.priorities = [];
+    this.states = [];
+  }
+
+  get size() {
+    return this.states.length;
+  }
+
+  push(state, priority) {
+    const { priorities, states } = this;
+    let index = states.length;
+    priorities.push(priority);
+    states.push(state);
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      priorities[index] = priorities[parent];
+      states[index] = states[parent];
+      index = parent;
+    }
+    priorities[index] = priority;
+    states[index] = state;
+  }
+
+  pop() {
+    const { priorities, states } = this;
+    const top = states[0];
+    const lastPriority = priorities.pop();
+    const lastState = states.pop();
+    const size = states.length;
+    if (size > 0) {
+      let index = 0;
+      while (2 * index + 1 < size) {
+        let child = 2 * index + 1;
+        if (child + 1 < size && priorities[child + 1] < priorities[child]) {
+          child++;
+        }
+        if (priorities[child] >= lastPriority) break;
+        priorities[index] = priorities[child];
+        states[index] = states[child];
+        index = child;
+      }
+      priorities[index] = lastPriority;
+      states[index] = lastState;
+    }
+    return top;
+  }
+}
+
+// Cheapest route from `start` to the first goal it reaches, collecting the
+// keys its doors need. Returns { path, cost, keyOrder } with the key types
+// in pick-up order, or null when no goal is reachable.
+export const searchKeyDoorRoute = (
+  maze,
+  start,
+  goals,
+  { keys = [], doors = [], terrain = null } = {}
+) => {
+  const rows = maze.length;
+  const cols = maze[0].length;
+  const size = rows * cols;
+  const stepCosts = terrainCostGrid(terrain);
+  const hScale = stepCosts ? MIN_TERRAIN_COST : 1;
+
+  const doorTypes = [...new Set(doors.map((door) => door.keyType))];
+  if (doorTypes.length > MAX_DOOR_KEY_TYPES) {
+    throw new Error(
+      `Too many door key types (${doorTypes.length}, max ${MAX_DOOR_KEY_TYPES})`
+    );
+  }
+  const bitOf = new Map(doorTypes.map((type, index) => [type, 1 << index]));
+  const doorMask = new Int32Array(size);
+  for (const { position, keyType } of doors) {
+    doorMask[position[0] * cols + position[1]] |= bitOf.get(keyType);
+  }
+  const keyMask = new Int32Array(size);
+  for (const { position, keyType } of keys) {
+    if (bitOf.has(keyType)) {
+      keyMask[position[0] * cols + position[1]] |= bitOf.get(keyType);
+    }
+  }
+
+  // state = keySet * size + cell
+  const startCell = start[0] * cols + start[1];
+  const startState = keyMask[startCell] * size + startCell;
+  const cost = new Map([[startState, 0]]);
+  const parent = new Map([[startState, -1]]);
+  const closed = new Set();
+  const open = new StateQueue();
+  open.push(startState, goalDistance(start, goals) * hScale);
+
+  while (open.size > 0) {
+    const state = open.pop();
+    if (closed.has(state)) continue; // Stale duplicate
+    closed.add(state);
+    const cell = state % size;
+    const keySet = (state - cell) / size;
+    const row = Math.floor(cell / cols);
+    const col = cell - row * cols;
+
+    if (isGoal([row, col], goals)) {
+      return buildRoute(state, cost.get(state), parent, {
+        size,
+        cols,
+        keyMask,
+        doorTypes,
+      });
+    }
+
+    for (const [dr, dc] of DIRECTIONS) {
+      const r = row + dr;
+      const c = col + dc;
+      if (maze[r]?.[c] !== 0) continue;
+      const next = r * cols + c;
+      if (doorMask[next] & ~keySet) continue; // Locked for this key set
+      const nextState = (keySet | keyMask[next]) * size + next;
+      if (closed.has(nextState)) continue;
+      const g = cost.get(state) + (stepCosts ? stepCosts[next] : 1);
+      if (g >= (cost.get(nextState) ?? Infinity)) continue;
+      cost.set(nextState, g);
+      parent.set(nextState, state);
+      open.push(nextState, g + goalDistance([r, c], goals) * hScale);
+    }
+  }
+
+  return null;
+};
+
+const buildRoute = (
+  goalState,
+  routeCost,
+  parent,
+  { size, cols, keyMask, doorTypes }
+) => {
+  const states = [];
+  for (let state = goalState; state !== -1; state = parent.get(state)) {
+    states.push(state);
+  }
+  states.reverse();
+
+  const path = [];
+  const keyOrder = [];
+  let held = 0;
+  for (const state of states) {
+    const cell = state % size;
+    path.push([Math.floor(cell / cols), cell % cols]);
+    const gained = keyMask[cell] & ~held;
+    doorTypes.forEach((type, index) => {
+      if (gained & (1 << index)) keyOrder.push(type);
+    });
+    held |= gained;
+  }
+  return { path, cost: routeCost, keyOrder };
+};
@@ -1,5 +1,5 @@
 // Minimal, generic MCTS for grid mazes (classic). No external deps.
-// Usage: mctsPlan({ state, maze, validActionsFn, stepFn, evaluateFn, budgetMs, maxDepth, c })
+// Usage: mctsPlan({ state, maze, validActionsFn, stepFn, evaluateFn, budgetMs, maxDepth, c, rng })
 
 export function mctsPlan({
   state,
@@ -10,6 +10,7 @@ export function mctsPlan({
   budgetMs = 30,
   maxDepth = 25,
   c = 1.4,
+  rng = Math.random,
 }) {
   const rootKey = keyOf(state);
   const N = new Map(); // visits per state
@@ -54,7 +55,7 @@ export function mctsPlan({
     if (!N.has(sKey)) {
       N.set(sKey, 0);
       // One-step expansion: pick a random action and rollout
-      const a = actions[(Math.random() * actions.length) | 0];
+      const a = actions[(rng() * actions.length) | 0];
       const { nextState, reward, terminal } = stepFn(s, a, maze);
       const leafV = terminal ? reward : rollout(nextState, depth + 1);
       // Backpropagate
@@ -90,7 +91,7 @@ export function mctsPlan({
     while (d < maxDepth) {
       const acts = validActionsFn(current, maze);
       if (acts.length === 0) break;
-      const a = acts[(Math.random() * acts.length) | 0];
+      const a = acts[(rng() * acts.length) | 0];
       const { nextState, reward, terminal } = stepFn(current, a, maze);
       if (terminal) return reward;
       current = nextState;
@@ -3,6 +3,11 @@
 
 import { EnhancedAgentState } from "./EnhancedGameModes.js";
 import { DynamicMazeElements } from "./DynamicMazeElements.js";
+import {
+  applyEndpoints,
+  episodeStart,
+  isGoal,
+} from "../utils/mazeEndpoints.js";
 
 export class NeuralMazeAgent {
   constructor(mazeWidth, mazeHeight, gameMode, options = {}) {
@@ -10,15 +15,22 @@ export class NeuralMazeAgent {
     this.height = mazeHeight;
     this.gameMode = gameMode;
 
+    // Pluggable PRNG shared by exploration, weight init and the environment
+    this.rng = options.rng || Math.random;
+
     // Enhanced agent state
     this.agentState = new EnhancedAgentState(gameMode, mazeWidth, mazeHeight);
 
-    // Dynamic environment
-    this.dynamicElements = new DynamicMazeElements(
-      mazeWidth,
-      mazeHeight,
-      gameMode
-    );
+    this.maze = options.maze || null;
+    this.setEndpoints({
+      start: options.start,
+      goals: options.goals,
+      randomStart: !!options.randomStart,
+    });
+
+    // Dynamic environment; imported placements replay every episode
+    this.elementPlacements = options.elementPlacements || null;
+    this.createDynamicElements();
 
     // Neural network parameters with mode-specific defaults
     this.learningRate =
@@ -168,7 +180,7 @@ export class NeuralMazeAgent {
   randomWeight(fanIn) {
     // Xavier initialization
     const limit = Math.sqrt(6 / fanIn);
-    return (Math.random() * 2 - 1) * limit;
+    return (this.rng() * 2 - 1) * limit;
   }
 
   getStateSize() {
@@ -197,13 +209,32 @@ export class NeuralMazeAgent {
   }
 
   reset() {
-    this.agentState.reset();
+    this.agentState.reset(episodeStart(this, this.maze, this.rng));
+    this.createDynamicElements();
+    this.episode++;
+  }
+
+  createDynamicElements() {
     this.dynamicElements = new DynamicMazeElements(
       this.width,
       this.height,
-      this.gameMode
+      this.gameMode,
+      {
+        rng: this.rng,
+        start: this.start,
+        goals: this.goals,
+        placements: this.elementPlacements,
+        maze: this.maze,
+      }
     );
-    this.episode++;
+    // Layout this episode started with, for export
+    this.episodePlacements = this.dynamicElements.getPlacements();
+  }
+
+  // See applyEndpoints; the agent state tracks the same endpoints
+  setEndpoints(endpoints, maze) {
+    applyEndpoints(this, endpoints, maze);
+    this.agentState.setEndpoints(this.start, this.goals);
   }
 
   getState(maze) {
@@ -284,7 +315,7 @@ export class NeuralMazeAgent {
       return this.hybridGoalSeekingExploration(maze);
     }
 
-    if (this.isTraining && Math.random() < this.epsilon) {
+    if (this.isTraining && this.rng() < this.epsilon) {
       // Use intelligent exploration based on game mode
       return this.intelligentExploration(maze);
     } else {
@@ -300,7 +331,11 @@ export class NeuralMazeAgent {
 
     // Calculate progress toward goal - much more aggressive goal-seeking for fog mode
     const currentDistance = Math.abs(x - goalX) + Math.abs(y - goalY);
-    const totalDistance = Math.abs(1 - goalX) + Math.abs(1 - goalY); // Distance from start to goal
+    const [startX, startY] = this.agentState.path[0];
+    const totalDistance = Math.max(
+      1,
+      Math.abs(startX - goalX) + Math.abs(startY - goalY)
+    ); // Distance from the episode start to the goal
     const progressRatio = Math.max(
       0,
       (totalDistance - currentDistance) / totalDistance
@@ -388,8 +423,8 @@ export class NeuralMazeAgent {
 
     // Much less randomness for fog mode - be deterministic about goal-seeking
     const randomChance = this.gameMode === "fog" ? 0.05 : 0.2; // Only 5% random for fog
-    if (Math.random() < randomChance) {
-      return validActions[Math.floor(Math.random() * validActions.length)];
+    if (this.rng() < randomChance) {
+      return validActions[Math.floor(this.rng() * validActions.length)];
     }
 
     // Debug logging for fog mode
@@ -432,7 +467,7 @@ export class NeuralMazeAgent {
     }
 
     // Default random exploration for other modes
-    return validActions[Math.floor(Math.random() * validActions.length)];
+    return validActions[Math.floor(this.rng() * validActions.length)];
   }
 
   fogOfWarExploration(maze, validActions) {
@@ -490,7 +525,7 @@ export class NeuralMazeAgent {
     if (topActions.length > 0 && topActions[0].score > 0) {
       const weights = topActions.map((_, i) => Math.pow(0.7, i)); // Exponential decay
       const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-      const random = Math.random() * totalWeight;
+      const random = this.rng() * totalWeight;
 
       let weightSum = 0;
       for (let i = 0; i < topActions.length; i++) {
@@ -502,7 +537,7 @@ export class NeuralMazeAgent {
     }
 
     // Fallback to random if no good exploration options
-    return validActions[Math.floor(Math.random() * validActions.length)];
+    return validActions[Math.floor(this.rng() * validActions.length)];
   }
 
   survivalExploration(maze, validActions) {
@@ -544,7 +579,7 @@ export class NeuralMazeAgent {
         }
 
         return best || action;
-      }, null) || validActions[Math.floor(Math.random() * validActions.length)]
+      }, null) || validActions[Math.floor(this.rng() * validActions.length)]
     );
   }
 
@@ -569,7 +604,7 @@ export class NeuralMazeAgent {
           Math.abs(x + bestDx - goalX) + Math.abs(y + bestDy - goalY);
 
         return distanceToGoal < bestDistance ? action : best;
-      }, null) || validActions[Math.floor(Math.random() * validActions.length)]
+      }, null) || validActions[Math.floor(this.rng() * validActions.length)]
     );
   }
 
@@ -637,7 +672,7 @@ export class NeuralMazeAgent {
       const len = Math.min(state.length, w.length);
       for (let i = 0; i < len; i++) q += w[i] * state[i];
     }
-    if (this.isTraining) q += (Math.random() - 0.5) * this.epsilon * 0.05;
+    if (this.isTraining) q += (this.rng() - 0.5) * this.epsilon * 0.05;
     return q;
   }
 
@@ -681,7 +716,8 @@ export class NeuralMazeAgent {
       const blockedByDynamic =
         this.dynamicElements &&
         typeof this.dynamicElements.isBlocked === "function" &&
-        this.dynamicElements.isBlocked(newX, newY);
+        (this.dynamicElements.isBlocked(newX, newY) ||
+          this.dynamicElements.isLocked(newX, newY, this.agentState.keys));
 
       if (
         newX >= 0 &&
@@ -734,6 +770,9 @@ export class NeuralMazeAgent {
       this.agentState
     );
 
+    // Picked-up keys open their doors from now on
+    if (gameEvents.foundKey) this.agentState.keys.add(gameEvents.keyType);
+
     // Update agent exploration (for fog of war)
     this.agentState.updateExploration();
 
@@ -824,7 +863,8 @@ export class NeuralMazeAgent {
     const blockedByDynamic =
       this.dynamicElements &&
       typeof this.dynamicElements.isBlocked === "function" &&
-      this.dynamicElements.isBlocked(newX, newY);
+      (this.dynamicElements.isBlocked(newX, newY) ||
+        this.dynamicElements.isLocked(newX, newY, this.agentState.keys));
 
     if (
       newX >= 0 &&
@@ -892,11 +932,7 @@ export class NeuralMazeAgent {
 
   checkTerminalConditions() {
     // Win condition
-    const [gx, gy] = this.agentState.primaryGoal;
-    if (
-      this.agentState.position[0] === gx &&
-      this.agentState.position[1] === gy
-    ) {
+    if (isGoal(this.agentState.position, this.agentState.goals)) {
       return "win";
     }
 
@@ -931,7 +967,7 @@ export class NeuralMazeAgent {
     // Sample random batch
     const batch = [];
     for (let i = 0; i < this.batchSize; i++) {
-      const randomIndex = Math.floor(Math.random() * this.memory.length);
+      const randomIndex = Math.floor(this.rng() * this.memory.length);
       batch.push(this.memory[randomIndex]);
     }
 
@@ -1095,4 +1131,27 @@ export class NeuralMazeAgent {
     this.epsilon = 0.9;
     this.initializeNetwork();
   }
+
+  // What training changes, for handing the agent to and from the training
+  // worker (structured-clone safe; the episode itself is not included)
+  exportLearning() {
+    return {
+      linearHead: this.linearHead,
+      networkLayers: this.networkLayers,
+      memory: this.memory,
+      epsilon: this.epsilon,
+      epsilonDecay: this.epsilonDecay,
+      epsilonMin: this.epsilonMin,
+      episode: this.episode,
+      totalSteps: this.totalSteps,
+      episodeRewards: this.episodeRewards,
+      episodeLengths: this.episodeLengths,
+      lossHistory: this.lossHistory,
+      explorationHistory: this.explorationHistory,
+    };
+  }
+
+  importLearning(learning) {
+    Object.assign(this, learning);
+  }
 }
@@ -1,10 +1,98 @@
 // Q-Learning AI Agent for maze solving
 import { mctsPlan } from "./MCTS.js";
+import {
+  applyEndpoints,
+  episodeStart,
+  isGoal,
+} from "../utils/mazeEndpoints.js";
+import { terrainCostAt } from "../utils/terrain.js";
+import { createSquareTopology } from "../utils/topology.js";
+
+// TD targets for the tabular update (see QLearningAgent.learn). `method`
+// values the state an update bootstraps from; `onPolicy` targets need the
+// action the agent really takes there, so it is chosen ahead of the move.
+// `greedyTarget` ones evaluate the greedy policy, so eligibility traces
+// are cut when the next action is not greedy (Watkins's Q(λ)).
+export const TD_ALGORITHMS = {
+  qlearning: {
+    id: "qlearning",
+    name: "Q-learning",
+    description:
+      "Off-policy: bootstraps from the best next action, whatever the agent does next",
+    method: "maxTarget",
+    greedyTarget: true,
+  },
+  sarsa: {
+    id: "sarsa",
+    name: "SARSA",
+    description:
+      "On-policy: bootstraps from the next action actually taken, exploratory moves included",
+    method: "sarsaTarget",
+    onPolicy: true,
+  },
+  expectedSarsa: {
+    id: "expectedSarsa",
+    name: "Expected SARSA",
+    description:
+      "On-policy: bootstraps from the average over the ε-greedy policy's next actions",
+    method: "expectedTarget",
+  },
+  doubleQ: {
+    id: "doubleQ",
+    name: "Double Q-learning",
+    description:
+      "Two tables: one picks the best next action, the other values it, curbing the max's overestimation",
+    method: "doubleTarget",
+    tables: 2,
+    greedyTarget: true,
+  },
+};
+
+export const DEFAULT_TD_ALGORITHM = "qlearning";
+
+// Rewards summed before bootstrapping (1 is one-step TD)
+export const TD_STEP_OPTIONS = [1, 2, 4, 8];
+
+// How a revisited state-action pair's eligibility trace is bumped
+export const TRACE_TYPES = {
+  replacing: {
+    id: "replacing",
+    name: "Replacing",
+    description:
+      "The pair's trace is set back to 1 and the state's other actions cleared",
+  },
+  accumulating: {
+    id: "accumulating",
+    name: "Accumulating",
+    description: "Every visit adds 1 to the pair's trace",
+  },
+};
+
+// Traces that decayed below this leave the sparse trace map
+const TRACE_THRESHOLD = 0.01;
 
 export class QLearningAgent {
   constructor(mazeWidth, mazeHeight, options = {}) {
-    this.width = mazeWidth;
-    this.height = mazeHeight;
+    // Cells and moves come from the topology (see utils/topology.js): an
+    // action is a direction slot and only `topology.neighbour` says where
+    // it leads, so the same learning runs on hex, triangle and polar mazes
+    this.topology =
+      options.topology || createSquareTopology(mazeWidth, mazeHeight);
+    // Positions are [row, col]: row < height, col < width (the widest row
+    // of a polar maze)
+    this.width = this.topology.width;
+    this.height = this.topology.height;
+    this.actionCount = this.topology.directions;
+    this.cellCount = this.topology.cellCount ?? mazeWidth * mazeHeight;
+
+    this.maze = options.maze || null;
+    // Optional terrain layer: step penalties scale with the entered cell's cost
+    this.terrain = options.terrain || null;
+    this.setEndpoints({
+      start: options.start,
+      goals: options.goals,
+      randomStart: !!options.randomStart,
+    });
 
     // Q-Learning parameters
     this.epsilon = options.epsilon || 0.9; // Exploration rate
@@ -17,22 +105,30 @@ export class QLearningAgent {
     );
     this.gamma = options.gamma || 0.95; // Discount factor
     this.learningRate = options.learningRate || 0.1;
+    this.algorithm = TD_ALGORITHMS[options.algorithm]
+      ? options.algorithm
+      : DEFAULT_TD_ALGORITHM;
+    this.nStep = Math.max(1, options.nStep | 0);
+    // Eligibility traces replace n-step returns when λ > 0
+    this.lambda = Math.min(1, Math.max(0, options.lambda || 0));
+    this.traceType = TRACE_TYPES[options.traceType]
+      ? options.traceType
+      : "replacing";
+
+    // Pluggable PRNG for exploration (see utils/random.js)
+    this.rng = options.rng || Math.random;
 
     // Optional planners
     this.useMCTS = options.useMCTS || false;
     this.mctsBudgetMs = options.mctsBudgetMs || 20;
     this.mctsDepth = options.mctsDepth || 25;
 
-    // Q-table: state -> action -> value
+    // Q-table: state -> action -> value. On square mazes the actions are
+    // 0=up, 1=right, 2=down, 3=left.
     this.qTable = new Map();
-
-    // Actions: 0=up, 1=right, 2=down, 3=left
-    this.actions = [
-      [-1, 0], // up
-      [0, 1], // right
-      [1, 0], // down
-      [0, -1], // left
-    ];
+    // Double Q-learning's second table (null for the other algorithms)
+    this.qTableB =
+      TD_ALGORITHMS[this.algorithm].tables === 2 ? new Map() : null;
 
     // Training statistics
     this.gamesPlayed = 0;
@@ -44,41 +140,57 @@ export class QLearningAgent {
   }
 
   reset() {
-    this.position = [1, 1]; // Start position
-    this.path = [[1, 1]];
+    this.position = episodeStart(this, this.maze, this.rng);
+    this.path = [[...this.position]];
     this.moves = 0;
-    this.isTraining = false;
     this.prevPosition = null;
     this.lastAction = -1;
-    this.visited = new Set(["1,1"]);
-    this.visitCounts = new Map([["1,1", 1]]);
+    const key = `${this.position[0]},${this.position[1]}`;
+    this.visited = new Set([key]);
+    this.visitCounts = new Map([[key, 1]]);
+    // Steps still waiting for their n-step return, the next action chosen
+    // ahead of the move, and the traced state-action pairs (state key ->
+    // { state, values })
+    this.pendingSteps = [];
+    this.nextAction = null;
+    this.traces = new Map();
+  }
+
+  // See applyEndpoints; endpoints are fitted to the agent's topology
+  setEndpoints(endpoints, maze) {
+    applyEndpoints(this, endpoints, maze, this.topology.fitEndpoints);
   }
 
   getStateKey(x, y) {
     return `${x},${y}`;
   }
 
-  getQValue(state, action) {
+  // Action values of `state` in `table`, created on first use
+  getQRow(state, table = this.qTable) {
     const stateKey = this.getStateKey(state[0], state[1]);
-    if (!this.qTable.has(stateKey)) {
-      this.qTable.set(stateKey, new Array(4).fill(0));
+    if (!table.has(stateKey)) {
+      table.set(stateKey, new Array(this.actionCount).fill(0));
     }
-    return this.qTable.get(stateKey)[action];
+    return table.get(stateKey);
   }
 
-  setQValue(state, action, value) {
-    const stateKey = this.getStateKey(state[0], state[1]);
-    if (!this.qTable.has(stateKey)) {
-      this.qTable.set(stateKey, new Array(4).fill(0));
-    }
-    this.qTable.get(stateKey)[action] = value;
+  getQValue(state, action) {
+    const value = this.getQRow(state)[action];
+    // Double Q-learning acts on the mean of its two tables
+    return this.qTableB
+      ? (value + this.getQRow(state, this.qTableB)[action]) / 2
+      : value;
+  }
+
+  setQValue(state, action, value, table = this.qTable) {
+    this.getQRow(state, table)[action] = value;
   }
 
   getBestAction(state, maze) {
     let bestAction = 0;
     let bestValue = -Infinity;
 
-    for (let action = 0; action < 4; action++) {
+    for (let action = 0; action < this.actionCount; action++) {
       if (this.isValidMove(state, action, maze)) {
         const qValue = this.getQValue(state, action);
         if (qValue > bestValue) {
@@ -99,16 +211,17 @@ export class QLearningAgent {
         maze,
         validActionsFn: (s, m) => this.validActionsFromState(s, m),
         stepFn: (s, a, m) => this.simStep(s, a, m),
-        evaluateFn: (s, m) => -this.manhattanToGoal(s),
+        evaluateFn: (s, m) => -this.distanceToGoal(s),
         budgetMs: this.mctsBudgetMs,
         maxDepth: this.mctsDepth,
         c: 1.2,
+        rng: this.rng,
       });
       return action;
     }
     // Get valid actions
     const validActions = [];
-    for (let action = 0; action < 4; action++) {
+    for (let action = 0; action < this.actionCount; action++) {
       if (this.isValidMove(state, action, maze)) {
         validActions.push(action);
       }
@@ -117,29 +230,27 @@ export class QLearningAgent {
     if (validActions.length === 0) return 0; // No valid moves
 
     // Epsilon-greedy action selection
-    if (Math.random() < this.epsilon && this.isTraining) {
+    if (this.rng() < this.epsilon && this.isTraining) {
       // Explore: choose random valid action
       // Avoid immediate reverse during exploration when possible
-      const nonReverse = validActions.filter((a) =>
-        this.lastAction === -1 ? true : (a + 2) % 4 !== this.lastAction
+      const nonReverse = validActions.filter(
+        (a) => !this.isReverse(state, a, maze)
       );
       const pool = nonReverse.length > 0 ? nonReverse : validActions;
-      return pool[(Math.random() * pool.length) | 0];
+      return pool[(this.rng() * pool.length) | 0];
     } else {
       // Exploit: choose best action among valid ones
-      // Break ties with heuristic: prefer unvisited and Manhattan improvement; avoid reverse
+      // Break ties with heuristic: prefer unvisited and distance improvement; avoid reverse
       let bestAction = validActions[0];
       let bestScore = -Infinity;
       for (const a of validActions) {
         const q = this.getQValue(state, a);
-        const [dx, dy] = this.actions[a];
-        const next = [state[0] + dx, state[1] + dy];
+        const next = this.topology.neighbour(maze, state, a);
         const key = `${next[0]},${next[1]}`;
         const unvisited = this.visited && !this.visited.has(key) ? 1 : 0;
         const manhDelta =
-          this.manhattanToGoal(state) - this.manhattanToGoal(next); // >0 if closer
-        const reverse =
-          this.lastAction !== -1 && (a + 2) % 4 === this.lastAction ? 1 : 0;
+          this.distanceToGoal(state) - this.distanceToGoal(next); // >0 if closer
+        const reverse = this.isReverse(state, a, maze) ? 1 : 0;
         const tieBreak =
           q + 0.05 * manhDelta + 0.1 * unvisited - 0.05 * reverse;
         if (tieBreak > bestScore) {
@@ -152,25 +263,30 @@ export class QLearningAgent {
   }
 
   isValidMove(state, action, maze) {
-    const [dx, dy] = this.actions[action];
-    const newX = state[0] + dx;
-    const newY = state[1] + dy;
+    return this.topology.neighbour(maze, state, action) !== null;
+  }
 
+  // Whether `action` from the current position steps straight back
+  isReverse(state, action, maze) {
+    if (this.lastAction === -1 || !this.prevPosition) return false;
+    const next = this.topology.neighbour(maze, state, action);
     return (
-      newX >= 0 &&
-      newX < this.height &&
-      newY >= 0 &&
-      newY < this.width &&
-      maze[newX][newY] === 0
+      next !== null &&
+      next[0] === this.prevPosition[0] &&
+      next[1] === this.prevPosition[1]
     );
   }
 
   move(maze) {
-    const action = this.chooseAction(this.position, maze);
-    const [dx, dy] = this.actions[action];
-    const newPosition = [this.position[0] + dx, this.position[1] + dy];
-
-    if (this.isValidMove(this.position, action, maze)) {
+    const action =
+      this.nextAction !== null &&
+      this.isValidMove(this.position, this.nextAction, maze)
+        ? this.nextAction
+        : this.chooseAction(this.position, maze);
+    this.nextAction = null;
+    const newPosition = this.topology.neighbour(maze, this.position, action);
+
+    if (newPosition) {
       this.prevPosition = this.position;
       this.position = newPosition;
       this.path.push([...newPosition]);
@@ -200,17 +316,13 @@ export class QLearningAgent {
     if (isWin) return 100; // Large positive reward for winning
     if (isGameOver) return -50; // Negative reward for hitting dead end or timeout
 
-    // Small negative reward for each move to encourage efficiency
-    let reward = -1;
-
-    // Bonus for getting closer to the goal
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
+    // Small negative reward for each move to encourage efficiency; costly
+    // terrain (mud, water) costs more
+    let reward = -terrainCostAt(this.terrain, newState);
 
-    const oldDistance =
-      Math.abs(oldState[0] - goalX) + Math.abs(oldState[1] - goalY);
-    const newDistance =
-      Math.abs(newState[0] - goalX) + Math.abs(newState[1] - goalY);
+    // Bonus for getting closer to the (nearest) goal
+    const oldDistance = this.distanceToGoal(oldState);
+    const newDistance = this.distanceToGoal(newState);
 
     if (newDistance < oldDistance) {
       reward += 2; // Bonus for getting closer
@@ -238,35 +350,145 @@ export class QLearningAgent {
     return reward;
   }
 
-  updateQValue(oldState, action, newState, reward, maze) {
-    const currentQ = this.getQValue(oldState, action);
-    const maxFutureQ = Math.max(
-      ...Array(4)
-        .fill(0)
-        .map((_, a) =>
-          this.isValidMove(newState, a, maze)
-            ? this.getQValue(newState, a)
-            : -Infinity
-        )
+  // Moves the value of `action` in `state` towards the return `target`
+  updateQValue(state, action, target, table = this.qTable) {
+    const currentQ = this.getQRow(state, table)[action];
+    const newQ = currentQ + this.learningRate * (target - currentQ);
+    this.setQValue(state, action, newQ, table);
+  }
+
+  // Bootstrap values of `state`, one per TD_ALGORITHMS method. `table` is
+  // the table being updated (Double Q-learning alternates them).
+  maxTarget(state, maze) {
+    let best = -Infinity;
+    for (const a of this.validActionsFromState(state, maze)) {
+      best = Math.max(best, this.getQValue(state, a));
+    }
+    return best === -Infinity ? 0 : best;
+  }
+
+  sarsaTarget(state, maze) {
+    // A step-capped episode takes no next action: use the policy's average
+    if (this.nextAction === null) return this.expectedTarget(state, maze);
+    return this.getQValue(state, this.nextAction);
+  }
+
+  expectedTarget(state, maze) {
+    const validActions = this.validActionsFromState(state, maze);
+    if (validActions.length === 0) return 0;
+    // Exploration picks uniformly among non-reversing moves when there are
+    // any (see chooseAction), exploitation the best action
+    const nonReverse = validActions.filter(
+      (a) => !this.isReverse(state, a, maze)
     );
+    const pool = nonReverse.length > 0 ? nonReverse : validActions;
+    let explore = 0;
+    for (const a of pool) explore += this.getQValue(state, a);
+    const greedy = this.getQValue(state, this.getBestAction(state, maze));
+    return (this.epsilon * explore) / pool.length + (1 - this.epsilon) * greedy;
+  }
 
-    const newQ =
-      currentQ +
-      this.learningRate * (reward + this.gamma * maxFutureQ - currentQ);
-    this.setQValue(oldState, action, newQ);
+  doubleTarget(state, maze, table) {
+    const other = table === this.qTable ? this.qTableB : this.qTable;
+    const values = this.getQRow(state, table);
+    let best = -1;
+    for (const a of this.validActionsFromState(state, maze)) {
+      if (best === -1 || values[a] > values[best]) best = a;
+    }
+    return best === -1 ? 0 : this.getQRow(state, other)[best];
+  }
+
+  // n-step TD: the oldest pending step is updated once n rewards are known,
+  // every pending step when the episode ends. A win is terminal; a
+  // step-capped episode still bootstraps from where it stopped.
+  learn(maze, isWin, isGameOver) {
+    if (this.lambda > 0) {
+      this.learnWithTraces(maze, isWin);
+      return;
+    }
+    const { method, tables } = TD_ALGORITHMS[this.algorithm];
+    const steps = this.pendingSteps;
+    while (steps.length >= (isGameOver ? 1 : this.nStep)) {
+      const table =
+        tables === 2 && this.rng() < 0.5 ? this.qTableB : this.qTable;
+      let target = isWin ? 0 : this[method](this.position, maze, table);
+      for (let i = steps.length - 1; i >= 0; i--) {
+        target = steps[i].reward + this.gamma * target;
+      }
+      const { state, action } = steps.shift();
+      this.updateQValue(state, action, target, table);
+    }
+  }
+
+  // TD(λ): the latest step's one-step TD error updates every pair on the
+  // trace, and traces decay by γλ per step. Only traced pairs are touched,
+  // so a step costs in proportion to the cells recently visited.
+  learnWithTraces(maze, isWin) {
+    const { method, tables, greedyTarget } = TD_ALGORITHMS[this.algorithm];
+    const { state, action, reward } = this.pendingSteps.shift();
+    const table = tables === 2 && this.rng() < 0.5 ? this.qTableB : this.qTable;
+    const target =
+      reward +
+      this.gamma * (isWin ? 0 : this[method](this.position, maze, table));
+    const delta = target - this.getQRow(state, table)[action];
+    // Watkins: once the next action leaves the greedy policy the earlier
+    // pairs are valued under, their traces end. Judged on the values the
+    // target just used, before this step updates them.
+    const cut =
+      greedyTarget &&
+      this.nextAction !== null &&
+      !this.isGreedyAction(this.position, this.nextAction, maze, table);
+
+    const key = this.getStateKey(state[0], state[1]);
+    if (!this.traces.has(key)) {
+      this.traces.set(key, {
+        state,
+        values: new Array(this.actionCount).fill(0),
+      });
+    }
+    const trace = this.traces.get(key).values;
+    if (this.traceType === "accumulating") {
+      trace[action] += 1;
+    } else {
+      trace.fill(0);
+      trace[action] = 1;
+    }
+
+    const decay = this.gamma * this.lambda;
+    for (const [tracedKey, { state: traced, values }] of this.traces) {
+      const row = this.getQRow(traced, table);
+      let largest = 0;
+      for (let a = 0; a < this.actionCount; a++) {
+        if (values[a] === 0) continue;
+        row[a] += this.learningRate * delta * values[a];
+        values[a] *= decay;
+        largest = Math.max(largest, values[a]);
+      }
+      if (largest < TRACE_THRESHOLD) this.traces.delete(tracedKey);
+    }
+    if (cut) this.traces.clear();
+  }
+
+  // Whether the greedy targets could have picked `action` in `state`: it
+  // ties the best valid value of the row they maximise (`table`'s own row
+  // for Double Q-learning), so an ε draw that lands on it keeps the traces
+  isGreedyAction(state, action, maze, table) {
+    const values = this.getQRow(state, table);
+    for (const a of this.validActionsFromState(state, maze)) {
+      if (values[a] > values[action]) return false;
+    }
+    return true;
   }
 
   trainStep(maze, previousState = null, action = null) {
     if (!this.isTraining) return;
 
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
-    const isWin = this.position[0] === goalX && this.position[1] === goalY;
+    const isWin = isGoal(this.position, this.goals);
     // Shorter episodes on small/medium mazes to avoid thrashing
     const stepCap =
-      this.width <= 31
-        ? Math.max(100, Math.floor((this.width * this.height) / 2))
-        : this.width * this.height;
+      Math.max(this.width, this.height) <= 31
+        ? Math.max(100, Math.floor(this.cellCount / 2))
+        : this.cellCount;
     const isGameOver = this.moves > stepCap || isWin;
 
     if (previousState && action !== null) {
@@ -277,7 +499,15 @@ export class QLearningAgent {
         isGameOver,
         isWin
       );
-      this.updateQValue(previousState, action, this.position, reward, maze);
+      this.pendingSteps.push({ state: previousState, action, reward });
+      // Traces need the next action too, to know whether it is greedy
+      if (
+        !isGameOver &&
+        (TD_ALGORITHMS[this.algorithm].onPolicy || this.lambda > 0)
+      ) {
+        this.nextAction = this.chooseAction(this.position, maze);
+      }
+      this.learn(maze, isWin, isGameOver);
     }
 
     return { isWin, isGameOver };
@@ -327,6 +557,10 @@ export class QLearningAgent {
       maxMoves,
       successRate: Math.round(successRate * 100) / 100,
       qTableSize: this.qTable.size,
+      algorithm: TD_ALGORITHMS[this.algorithm].name,
+      nStep: this.nStep,
+      lambda: this.lambda,
+      traceType: this.traceType,
     };
   }
 
@@ -336,41 +570,86 @@ export class QLearningAgent {
     this.moveHistory = [];
     this.successfulGames = 0;
     this.qTable.clear();
+    this.qTableB?.clear();
     this.epsilon = this.epsilonStart;
     this.prevPosition = null;
     this.lastAction = -1;
-    this.visited = new Set(["1,1"]);
-    this.visitCounts = new Map([["1,1", 1]]);
+    const key = `${this.position[0]},${this.position[1]}`;
+    this.visited = new Set([key]);
+    this.visitCounts = new Map([[key, 1]]);
+    this.pendingSteps = [];
+    this.nextAction = null;
+    this.traces = new Map();
+  }
+
+  // New trace settings apply from the next step; current traces and
+  // pending n-step updates are dropped
+  setTraces({ lambda = this.lambda, traceType = this.traceType } = {}) {
+    this.lambda = Math.min(1, Math.max(0, lambda));
+    this.traceType = TRACE_TYPES[traceType] ? traceType : "replacing";
+    this.pendingSteps = [];
+    this.traces = new Map();
+  }
+
+  // Switches the TD target (and n); learning starts over, as the tables
+  // hold the previous algorithm's estimates
+  setAlgorithm(algorithm, nStep = this.nStep) {
+    this.algorithm = TD_ALGORITHMS[algorithm]
+      ? algorithm
+      : DEFAULT_TD_ALGORITHM;
+    this.nStep = Math.max(1, nStep | 0);
+    this.qTableB =
+      TD_ALGORITHMS[this.algorithm].tables === 2 ? new Map() : null;
+    this.resetStats();
+    this.reset();
+  }
+
+  // What training changes, for handing the agent to and from the training
+  // worker (structured-clone safe; the episode itself is not included)
+  exportLearning() {
+    return {
+      qTable: this.qTable,
+      qTableB: this.qTableB,
+      epsilon: this.epsilon,
+      epsilonDecay: this.epsilonDecay,
+      epsilonMin: this.epsilonMin,
+      gamesPlayed: this.gamesPlayed,
+      totalMoves: this.totalMoves,
+      moveHistory: this.moveHistory,
+      successfulGames: this.successfulGames,
+    };
+  }
+
+  importLearning(learning) {
+    Object.assign(this, learning);
   }
 
   validActionsFromState(state, maze) {
     const arr = [];
-    for (let a = 0; a < 4; a++)
+    for (let a = 0; a < this.actionCount; a++)
       if (this.isValidMove(state, a, maze)) arr.push(a);
     return arr;
   }
 
   simStep(state, action, maze) {
-    if (!this.isValidMove(state, action, maze)) {
+    const next = this.topology.neighbour(maze, state, action);
+    if (!next) {
       return { nextState: state, reward: -1, terminal: false };
     }
-    const [dx, dy] = this.actions[action];
-    const next = [state[0] + dx, state[1] + dy];
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
-    const isWin = next[0] === goalX && next[1] === goalY;
+    const isWin = isGoal(next, this.goals);
     const r = isWin
       ? 100
-      : -0.1 -
-        (this.manhattanToGoal(next) - this.manhattanToGoal(state) > 0
-          ? 0.5
-          : 0);
+      : -0.1 * terrainCostAt(this.terrain, next) -
+        (this.distanceToGoal(next) - this.distanceToGoal(state) > 0 ? 0.5 : 0);
     return { nextState: next, reward: r, terminal: isWin };
   }
 
-  manhattanToGoal(s) {
-    const goalX = this.height - 2;
-    const goalY = this.width - 2;
-    return Math.abs(s[0] - goalX) + Math.abs(s[1] - goalY);
+  // Lower bound on the steps to the nearest goal (Manhattan on squares)
+  distanceToGoal(s) {
+    let best = Infinity;
+    for (const goal of this.goals) {
+      best = Math.min(best, this.topology.distance(s, goal));
+    }
+    return best;
   }
 }
@@ -0,0 +1,307 @@
+// Route analysis: the k cheapest loopless routes (Yen's algorithm) and the
+// DAG of every optimal route. Routes run from the start to the first goal
+// they reach; a step costs the entered cell's terrain cost (1 without
+// terrain), as in the weighted FastMazeSolver searches.
+// Cells are flat indices (row * cols + col); positions are [row, col].
+
+import { IndexedMinHeap } from "../utils/indexedHeap.js";
+import { MIN_TERRAIN_COST, terrainCostGrid } from "../utils/terrain.js";
+
+const DIRECTIONS = [
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1],
+];
+
+// Yen's algorithm runs one spur search per cell of every route it finds;
+// past this many expansions it stops with the routes found so far
+const K_SHORTEST_MAX_EXPANSIONS = 5000000;
+
+// Grid, costs and search buffers shared by repeated searches. `stamp`
+// marks the entries written by the current search, so a spur search only
+// pays for the cells it reaches instead of clearing whole buffers.
+class RouteGrid {
+  constructor(maze, goals, terrain) {
+    this.maze = maze;
+    this.rows = maze.length;
+    this.cols = maze[0].length;
+    const size = this.rows * this.cols;
+    this.size = size;
+    this.stepCosts = terrainCostGrid(terrain);
+    this.hScale = this.stepCosts ? MIN_TERRAIN_COST : 1;
+    this.goals = goals.filter(
+      ([row, col]) => row >= 0 && row < this.rows && col >= 0 && col < this.cols
+    );
+    this.goalCells = new Uint8Array(size);
+    for (const [row, col] of this.goals) {
+      this.goalCells[row * this.cols + col] = 1;
+    }
+
+    this.cost = new Float64Array(size);
+    this.parent = new Int32Array(size);
+    this.seen = new Int32Array(size);
+    this.closed = new Int32Array(size);
+    this.stamp = 0;
+    this.open = new IndexedMinHeap(size);
+    this.expanded = 0;
+    this.guide = null;
+  }
+
+  isOpen(row, col) {
+    return (
+      row >= 0 &&
+      row < this.rows &&
+      col >= 0 &&
+      col < this.cols &&
+      this.maze[row][col] === 0
+    );
+  }
+
+  stepCost(cell) {
+    return this.stepCosts ? this.stepCosts[cell] : 1;
+  }
+
+  // Manhattan distance to the nearest goal, or the exact `guide` costs
+  heuristic(cell) {
+    if (this.guide) return this.guide[cell];
+    const row = Math.floor(cell / this.cols);
+    const col = cell - row * this.cols;
+    let best = Infinity;
+    for (const [goalRow, goalCol] of this.goals) {
+      const distance = Math.abs(row - goalRow) + Math.abs(col - goalCol);
+      if (distance < best) best = distance;
+    }
+    return best * this.hScale;
+  }
+
+  // Cheapest route from `from` to a goal (A*), never entering cells marked
+  // in `blockedCells` or taking edges in `blockedEdges` (from * size + to).
+  // Returns { cells, cost } or null.
+  shortest(from, blockedCells = null, blockedEdges = null) {
+    const { cols, size, cost, parent, seen, closed, open, goalCells } = this;
+    const stamp = ++this.stamp;
+    open.clear();
+    seen[from] = stamp;
+    cost[from] = 0;
+    parent[from] = -1;
+    open.push(from, this.heuristic(from));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (goalCells[current]) {
+        const cells = [];
+        for (let cell = current; cell !== -1; cell = parent[cell]) {
+          cells.push(cell);
+        }
+        return { cells: cells.reverse(), cost: cost[current] };
+      }
+      closed[current] = stamp;
+      this.expanded++;
+      const row = Math.floor(current / cols);
+      const col = current - row * cols;
+      for (const [dr, dc] of DIRECTIONS) {
+        if (!this.isOpen(row + dr, col + dc)) continue;
+        const next = (row + dr) * cols + col + dc;
+        if (closed[next] === stamp || blockedCells?.[next]) continue;
+        if (blockedEdges?.has(current * size + next)) continue;
+        const g = cost[current] + this.stepCost(next);
+        if (seen[next] === stamp && g >= cost[next]) continue;
+        seen[next] = stamp;
+        cost[next] = g;
+        parent[next] = current;
+        open.push(next, g + this.heuristic(next));
+      }
+    }
+    return null;
+  }
+
+  // Cheapest cost from `sources` to every cell (Infinity when unreachable).
+  // Forward fields stop at goals (a route ends there); reverse fields give
+  // the cost from each cell to its nearest goal.
+  costField(sources, reverse = false) {
+    const { cols, goalCells } = this;
+    const field = new Float64Array(this.size).fill(Infinity);
+    const open = new IndexedMinHeap(this.size);
+    for (const source of sources) {
+      field[source] = 0;
+      open.push(source, 0);
+    }
+    while (open.size > 0) {
+      const current = open.pop();
+      if (!reverse && goalCells[current]) continue;
+      const row = Math.floor(current / cols);
+      const col = current - row * cols;
+      // Reverse edges cost the cell being left, forward ones the one entered
+      const leaveCost = reverse ? this.stepCost(current) : 0;
+      for (const [dr, dc] of DIRECTIONS) {
+        if (!this.isOpen(row + dr, col + dc)) continue;
+        const next = (row + dr) * cols + col + dc;
+        const value =
+          field[current] + (reverse ? leaveCost : this.stepCost(next));
+        if (value < field[next]) {
+          field[next] = value;
+          open.push(next, value);
+        }
+      }
+    }
+    return field;
+  }
+
+  toPosition(cell) {
+    const row = Math.floor(cell / this.cols);
+    return [row, cell - row * this.cols];
+  }
+}
+
+// Up to `k` cheapest loopless routes, cheapest first: [{ path, cost }]
+export const kShortestPaths = (
+  maze,
+  start,
+  goals,
+  k = 3,
+  { terrain = null, maxExpansions = K_SHORTEST_MAX_EXPANSIONS } = {}
+) => {
+  const grid = new RouteGrid(maze, goals, terrain);
+  const startCell = start[0] * grid.cols + start[1];
+  // Exact costs to the goals guide every spur search; removing cells and
+  // edges only makes routes dearer, so they stay admissible
+  grid.guide = grid.costField(
+    grid.goals.map(([row, col]) => row * grid.cols + col),
+    true
+  );
+  const first = grid.shortest(startCell);
+  if (!first) return [];
+
+  const found = [first];
+  // Only the cheapest k - found.length candidates can still be picked
+  const candidates = [];
+  const known = new Set([first.cells.join(",")]);
+  const blockedCells = new Uint8Array(grid.size);
+
+  while (found.length < k && grid.expanded < maxExpansions) {
+    const previous = found[found.length - 1].cells;
+    const needed = k - found.length;
+    // Found routes sharing previous[0..j]; their next edges are taken
+    const sharing = found.map(() => true);
+    let rootCost = 0;
+    for (let j = 0; j < previous.length - 1; j++) {
+      const spur = previous[j];
+      if (j > 0) {
+        rootCost += grid.stepCost(spur);
+        // The root's own cells are off limits, keeping routes loopless
+        blockedCells[previous[j - 1]] = 1;
+      }
+
+      const blockedEdges = new Set();
+      found.forEach(({ cells }, index) => {
+        sharing[index] = sharing[index] && cells[j] === spur;
+        if (sharing[index] && cells.length > j + 1) {
+          blockedEdges.add(spur * grid.size + cells[j + 1]);
+        }
+      });
+
+      const spurRoute = grid.shortest(spur, blockedCells, blockedEdges);
+      if (!spurRoute) continue;
+      const cost = rootCost + spurRoute.cost;
+      if (
+        candidates.length >= needed &&
+        cost >= candidates[candidates.length - 1].cost
+      ) {
+        continue;
+      }
+
+      const cells = previous.slice(0, j).concat(spurRoute.cells);
+      const key = cells.join(",");
+      if (known.has(key)) continue;
+      known.add(key);
+      // Sorted by cost, then steps; drop what can no longer be picked
+      candidates.push({ cells, cost, key });
+      candidates.sort(
+        (a, b) => a.cost - b.cost || a.cells.length - b.cells.length
+      );
+      for (const dropped of candidates.splice(needed))
+        known.delete(dropped.key);
+    }
+    for (let i = 0; i < previous.length; i++) blockedCells[previous[i]] = 0;
+
+    if (candidates.length === 0) break;
+    found.push(candidates.shift());
+  }
+
+  return found.map(({ cells, cost }) => ({
+    path: cells.map((cell) => grid.toPosition(cell)),
+    cost,
+  }));
+};
+
+// Every optimal route at once: the cells and edges lying on some cheapest
+// route from the start to a goal, with the number of distinct optimal
+// routes (Infinity once it overflows a double). Null when no goal is
+// reachable.
+export const optimalPathDag = (maze, start, goals, { terrain = null } = {}) => {
+  const grid = new RouteGrid(maze, goals, terrain);
+  const { cols, goalCells } = grid;
+  const startCell = start[0] * cols + start[1];
+  const fromStart = grid.costField([startCell]);
+  let cost = Infinity;
+  for (const [row, col] of grid.goals) {
+    cost = Math.min(cost, fromStart[row * cols + col]);
+  }
+  if (cost === Infinity) return null;
+
+  const toGoal = grid.costField(
+    grid.goals.map(([row, col]) => row * cols + col),
+    true
+  );
+  // Costs are multiples of TERRAIN_COST_STEP, so the sums compare exactly
+  const onDag = [];
+  for (let cell = 0; cell < grid.size; cell++) {
+    if (fromStart[cell] + toGoal[cell] === cost) onDag.push(cell);
+  }
+  onDag.sort((a, b) => fromStart[a] - fromStart[b]);
+
+  const edges = [];
+  const routes = new Float64Array(grid.size);
+  routes[startCell] = 1;
+  let pathCount = 0;
+  for (const cell of onDag) {
+    if (goalCells[cell]) {
+      pathCount += routes[cell];
+      continue;
+    }
+    const [row, col] = grid.toPosition(cell);
+    for (const [dr, dc] of DIRECTIONS) {
+      if (!grid.isOpen(row + dr, col + dc)) continue;
+      const next = (row + dr) * cols + col + dc;
+      if (
+        fromStart[next] + toGoal[next] === cost &&
+        fromStart[cell] + grid.stepCost(next) === fromStart[next]
+      ) {
+        edges.push([grid.toPosition(cell), grid.toPosition(next)]);
+        routes[next] += routes[cell];
+      }
+    }
+  }
+
+  return {
+    cost,
+    cells: onDag.map((cell) => grid.toPosition(cell)),
+    edges,
+    pathCount,
+  };
+};
+
+// Score a walked route against the analysed ones. `rank` is 1 + the number
+// of the k cheapest loopless routes that are strictly cheaper, or null when
+// it is beyond the k-th; an optimal route has excess 0 and rank 1.
+export const scoreRoute = (cost, { paths = [], dag = null, k = 0 } = {}) => {
+  const cheaper = paths.filter((route) => route.cost < cost).length;
+  const beyond = paths.length >= k && cheaper === paths.length;
+  return {
+    cost,
+    excess: dag ? cost - dag.cost : null,
+    optimal: dag ? cost === dag.cost : false,
+    rank: beyond ? null : cheaper + 1,
+  };
+};
@@ -0,0 +1,52 @@
+// Search state recorded by the FastMazeSolver generators for visualisation
+// One state byte per flat cell (row * cols + col). Snapshots share the live
+// `cells` buffer, so copy it to keep an earlier step around.
+
+export const SEARCH_CELL = {
+  UNSEEN: 0,
+  FRONTIER: 1, // Queued / generated, not expanded yet
+  CLOSED: 2, // Expanded (or walked over, for the wall-following walkers)
+};
+
+export class SearchTrace {
+  constructor(rows, cols) {
+    this.rows = rows;
+    this.cols = cols;
+    this.cells = new Uint8Array(rows * cols);
+    this.expanded = 0;
+    this.frontierSize = 0;
+    this.current = -1;
+  }
+
+  open(cell) {
+    if (this.cells[cell] !== SEARCH_CELL.UNSEEN) return;
+    this.cells[cell] = SEARCH_CELL.FRONTIER;
+    this.frontierSize++;
+  }
+
+  close(cell) {
+    if (this.cells[cell] === SEARCH_CELL.FRONTIER) this.frontierSize--;
+    this.cells[cell] = SEARCH_CELL.CLOSED;
+    this.current = cell;
+    this.expanded++;
+  }
+
+  // Forget cell states (IDA* passes), keeping the expansion count
+  clear() {
+    this.cells.fill(SEARCH_CELL.UNSEEN);
+    this.frontierSize = 0;
+    this.current = -1;
+  }
+
+  snapshot() {
+    const { cells, cols, current } = this;
+    return {
+      cells,
+      cols,
+      current:
+        current === -1 ? null : [Math.floor(current / cols), current % cols],
+      expanded: this.expanded,
+      frontierSize: this.frontierSize,
+    };
+  }
+}
@@ -0,0 +1,307 @@
+// Solver benchmark suite: warm-up runs, repeated timings and summary stats
+// Every registered solver runs `warmup` untimed times (JIT, caches), then
+// `repeats` timed times on the same maze. One extra traced run counts the
+// expanded nodes, so tracing never skews the timings. A sweep repeats this
+// over generated mazes of several sizes, generators and braid levels.
+// Results are flat rows, one per (maze, algorithm), ready for CSV/JSON;
+// each row carries its maze's structure (see mazeAnalysis.js) so timings
+// can be correlated with it.
+
+import { PATHFINDING_ALGORITHMS, fastSolver } from "./FastMazeSolver.js";
+import {
+  DEFAULT_MAZE_ALGORITHM,
+  MAZE_ALGORITHMS,
+  generateMazeAsync,
+} from "../utils/mazeGenerator.js";
+import { analyzeMaze } from "../utils/mazeAnalysis.js";
+import { defaultEndpoints } from "../utils/mazeEndpoints.js";
+import { createRng, deriveSeed } from "../utils/random.js";
+import { pathCost } from "../utils/terrain.js";
+
+export const BENCHMARK_SIZES = [21, 51, 101, 201, 501, 1001];
+export const BENCHMARK_BRAIDS = [0, 0.25, 0.5, 1];
+
+export const DEFAULT_BENCHMARK_CONFIG = {
+  sizes: [21, 51],
+  generators: [DEFAULT_MAZE_ALGORITHM],
+  braids: [0],
+  algorithms: Object.keys(PATHFINDING_ALGORITHMS),
+  warmup: 2,
+  repeats: 10,
+};
+
+// analyzeMaze fields copied into every row of a benchmarked maze
+export const BENCHMARK_MAZE_METRICS = [
+  "openCells",
+  "difficulty",
+  "solutionLength",
+  "deadEnds",
+  "junctions",
+  "loops",
+  "riverFactor",
+  "longestCorridor",
+  "branchingFactor",
+];
+
+// Columns of a result row, in CSV order
+export const BENCHMARK_COLUMNS = [
+  "maze",
+  "size",
+  "generator",
+  "braid",
+  ...BENCHMARK_MAZE_METRICS,
+  "algorithm",
+  "name",
+  "runs",
+  "mean",
+  "median",
+  "p95",
+  "stddev",
+  "min",
+  "max",
+  "expanded",
+  "peakHeap",
+  "pathLength",
+  "pathCost",
+  "found",
+];
+
+// Mean, median, 95th percentile (nearest rank) and sample standard
+// deviation of `samples`, in their unit (milliseconds here)
+export const summarize = (samples) => {
+  const count = samples.length;
+  if (count === 0) {
+    return { mean: 0, median: 0, p95: 0, stddev: 0, min: 0, max: 0 };
+  }
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+  const middle = count >> 1;
+  const median =
+    count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const variance =
+    count > 1
+      ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) /
+        (count - 1)
+      : 0;
+  return {
+    mean,
+    median,
+    p95: sorted[Math.ceil(count * 0.95) - 1],
+    stddev: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[count - 1],
+  };
+};
+
+// Used JS heap in bytes where the runtime exposes it (Chromium's
+// performance.memory, Node's process.memoryUsage), otherwise null
+export const heapUsed = () => {
+  if (typeof performance !== "undefined" && performance.memory) {
+    return performance.memory.usedJSHeapSize;
+  }
+  if (globalThis.process?.memoryUsage) {
+    return globalThis.process.memoryUsage().heapUsed;
+  }
+  return null;
+};
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Time one solver: warm-up, timed repeats, then a traced run for the
+// expansion count. `peakHeap` is the largest heap growth over a single
+// timed run (bytes, null when the runtime hides it); collections during a
+// run can only make it an underestimate.
+export const measureSolver = (
+  algorithm,
+  maze,
+  start,
+  goals,
+  { terrain = null, warmup = 2, repeats = 10, solver = fastSolver } = {}
+) => {
+  const options = { terrain };
+  for (let i = 0; i < warmup; i++) {
+    solver.solve(algorithm, maze, start, goals, options);
+  }
+
+  const samples = [];
+  let peakHeap = null;
+  let path = null;
+  for (let i = 0; i < repeats; i++) {
+    const heapBefore = heapUsed();
+    const startTime = performance.now();
+    path = solver.solve(algorithm, maze, start, goals, options);
+    samples.push(performance.now() - startTime);
+    const heapAfter = heapUsed();
+    if (heapBefore !== null && heapAfter !== null) {
+      peakHeap = Math.max(peakHeap ?? 0, heapAfter - heapBefore);
+    }
+  }
+
+  const steps = solver.search(algorithm, maze, start, goals, options);
+  let expanded = 0;
+  for (let step = steps.next(); !step.done; step = steps.next()) {
+    expanded = step.value.expanded;
+  }
+
+  return {
+    algorithm,
+    name: PATHFINDING_ALGORITHMS[algorithm]?.name || algorithm,
+    runs: samples.length,
+    ...summarize(samples),
+    expanded,
+    peakHeap,
+    pathLength: path ? path.length : 0,
+    pathCost: pathCost(path, terrain),
+    found: !!path,
+  };
+};
+
+// Benchmark `algorithms` on one maze, yielding to the event loop between
+// solvers. `label` ({ maze, size, generator, braid }) and the maze metrics
+// tag every row. Resolves to the rows, or null if aborted.
+export const benchmarkMaze = async (
+  maze,
+  start,
+  goals,
+  {
+    label = {},
+    algorithms = DEFAULT_BENCHMARK_CONFIG.algorithms,
+    onRow,
+    signal,
+    ...options
+  } = {}
+) => {
+  const analysis = analyzeMaze(maze, { start, goals });
+  const metrics = Object.fromEntries(
+    BENCHMARK_MAZE_METRICS.map((metric) => [metric, analysis[metric]])
+  );
+  const rows = [];
+  for (const algorithm of algorithms) {
+    await nextTask();
+    if (signal?.aborted) return null;
+    const row = {
+      maze: label.maze ?? "current",
+      size: label.size ?? `${maze[0].length}x${maze.length}`,
+      generator: label.generator ?? "",
+      braid: label.braid ?? "",
+      ...metrics,
+      ...measureSolver(algorithm, maze, start, goals, options),
+    };
+    rows.push(row);
+    onRow?.(row);
+  }
+  return rows;
+};
+
+// Sweep sizes x generators x braid levels. Each maze is generated from
+// `seed`, so a sweep can be re-run exactly. `onProgress` gets
+// { done, total, label }. Resolves to { config, startedAt, finishedAt,
+// heapMeasured, rows }, or null if aborted.
+export const runBenchmarkSuite = async (
+  config = {},
+  { seed = 1, onProgress, signal, solver = fastSolver } = {}
+) => {
+  const settings = { ...DEFAULT_BENCHMARK_CONFIG, ...config };
+  const { sizes, generators, braids, algorithms, warmup, repeats } = settings;
+  const startedAt = new Date().toISOString();
+  const total =
+    sizes.length * generators.length * braids.length * algorithms.length;
+  const rows = [];
+  let done = 0;
+
+  for (const size of sizes) {
+    for (const generator of generators) {
+      for (const braid of braids) {
+        const label = {
+          maze: `${size}x${size} ${
+            MAZE_ALGORITHMS[generator]?.name || generator
+          } braid ${braid}`,
+          size,
+          generator,
+          braid,
+        };
+        onProgress?.({ done, total, label: label.maze });
+        const maze = await generateMazeAsync(size, size, {
+          algorithm: generator,
+          braid,
+          rng: createRng(
+            deriveSeed(seed, `benchmark:${size}:${generator}:${braid}`)
+          ),
+          signal,
+        });
+        if (!maze) return null;
+        const { start, goals } = defaultEndpoints(size, size);
+        const mazeRows = await benchmarkMaze(maze, start, goals, {
+          label,
+          algorithms,
+          warmup,
+          repeats,
+          solver,
+          signal,
+          onRow: () => onProgress?.({ done: ++done, total, label: label.maze }),
+        });
+        if (!mazeRows) return null;
+        rows.push(...mazeRows);
+      }
+    }
+  }
+
+  return {
+    config: { ...settings, seed },
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    heapMeasured: heapUsed() !== null,
+    rows,
+  };
+};
+
+// The selected solvers on one given maze, as a result shaped like a
+// sweep's (the maze rows are labelled "current")
+export const runMazeBenchmark = async (
+  maze,
+  start,
+  goals,
+  config = {},
+  { seed = 1, terrain = null, onProgress, signal, solver = fastSolver } = {}
+) => {
+  const { algorithms, warmup, repeats } = {
+    ...DEFAULT_BENCHMARK_CONFIG,
+    ...config,
+  };
+  const startedAt = new Date().toISOString();
+  let done = 0;
+  const rows = await benchmarkMaze(maze, start, goals, {
+    terrain,
+    algorithms,
+    warmup,
+    repeats,
+    solver,
+    signal,
+    onRow: (row) =>
+      onProgress?.({ done: ++done, total: algorithms.length, label: row.name }),
+  });
+  return (
+    rows && {
+      config: { algorithms, warmup, repeats, seed },
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      heapMeasured: heapUsed() !== null,
+      rows,
+    }
+  );
+};
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const benchmarkToCSV = ({ rows }) =>
+  [
+    BENCHMARK_COLUMNS.join(","),
+    ...rows.map((row) =>
+      BENCHMARK_COLUMNS.map((column) => csvField(row[column])).join(",")
+    ),
+  ].join("\n");
+
+export const benchmarkToJSON = (result) => JSON.stringify(result, null, 2);
@@ -0,0 +1,109 @@
+// Path search on any maze topology (layered, hex, triangle, polar; see
+// topology.js). The graph solvers of FastMazeSolver rewritten against
+// `topology.neighbour`, so they never assume four directions. Cells are
+// flat `topology.index` ids; every step costs 1, a flight of stairs too
+// (these mazes have no terrain). Paths are [row, col] from the start to
+// the first goal reached.
+
+import { IndexedMinHeap } from "../utils/indexedHeap.js";
+
+const reconstruct = (topology, parent, index) => {
+  const path = [];
+  for (let cell = index; cell !== -1; cell = parent[cell]) {
+    path.push(topology.position(cell));
+  }
+  return path.reverse();
+};
+
+const goalMask = (topology, goals) => {
+  const mask = new Uint8Array(topology.cellCount);
+  for (const goal of goals) {
+    if (topology.isCell(goal)) mask[topology.index(goal)] = 1;
+  }
+  return mask;
+};
+
+const goalDistance = (topology, position, goals) => {
+  let best = Infinity;
+  for (const goal of goals) {
+    best = Math.min(best, topology.distance(position, goal));
+  }
+  return best;
+};
+
+// BFS (queue) or DFS (stack) over open passages
+const searchUnweighted = (topology, maze, start, goals, depthFirst) => {
+  const isGoal = goalMask(topology, goals);
+  const parent = new Int32Array(topology.cellCount).fill(-1);
+  const seen = new Uint8Array(topology.cellCount);
+  const open = [topology.index(start)];
+  seen[open[0]] = 1;
+  let head = 0;
+  while (head < open.length) {
+    const index = depthFirst ? open.pop() : open[head++];
+    if (isGoal[index]) return reconstruct(topology, parent, index);
+    const position = topology.position(index);
+    for (let direction = 0; direction < topology.directions; direction++) {
+      const next = topology.neighbour(maze, position, direction);
+      if (!next) continue;
+      const nextIndex = topology.index(next);
+      if (seen[nextIndex]) continue;
+      seen[nextIndex] = 1;
+      parent[nextIndex] = index;
+      open.push(nextIndex);
+    }
+  }
+  return null;
+};
+
+// Dijkstra, or A* with the topology's distance as the heuristic
+const searchBestFirst = (topology, maze, start, goals, heuristic) => {
+  const isGoal = goalMask(topology, goals);
+  const parent = new Int32Array(topology.cellCount).fill(-1);
+  const cost = new Float64Array(topology.cellCount).fill(Infinity);
+  const heap = new IndexedMinHeap(topology.cellCount);
+  const startIndex = topology.index(start);
+  cost[startIndex] = 0;
+  heap.push(startIndex, heuristic ? goalDistance(topology, start, goals) : 0);
+  while (heap.size > 0) {
+    const index = heap.pop();
+    if (isGoal[index]) return reconstruct(topology, parent, index);
+    const position = topology.position(index);
+    for (let direction = 0; direction < topology.directions; direction++) {
+      const next = topology.neighbour(maze, position, direction);
+      if (!next) continue;
+      const nextIndex = topology.index(next);
+      const nextCost = cost[index] + 1;
+      if (nextCost >= cost[nextIndex]) continue;
+      cost[nextIndex] = nextCost;
+      parent[nextIndex] = index;
+      heap.push(
+        nextIndex,
+        nextCost + (heuristic ? goalDistance(topology, next, goals) : 0)
+      );
+    }
+  }
+  return null;
+};
+
+const SEARCHES = {
+  bfs: (topology, maze, start, goals) =>
+    searchUnweighted(topology, maze, start, goals, false),
+  dfs: (topology, maze, start, goals) =>
+    searchUnweighted(topology, maze, start, goals, true),
+  dijkstra: (topology, maze, start, goals) =>
+    searchBestFirst(topology, maze, start, goals, false),
+  astar: (topology, maze, start, goals) =>
+    searchBestFirst(topology, maze, start, goals, true),
+};
+
+// Ids of PATHFINDING_ALGORITHMS that run on any topology
+export const TOPOLOGY_SEARCH_ALGORITHMS = Object.keys(SEARCHES);
+
+// Path from `start` to the first of `goals` reached, or null. Algorithms
+// without a topology version run as BFS.
+export const searchTopology = (algorithm, topology, maze, start, goals) => {
+  if (!topology.isCell(start)) return null;
+  const search = SEARCHES[algorithm] || SEARCHES.bfs;
+  return search(topology, maze, start, goals);
+};
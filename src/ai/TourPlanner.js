@@ -0,0 +1,315 @@
+// Multi-goal tours: collect every item, then leave through a goal
+// The pairwise cheapest costs between the start, the items and the exit
+// form a distance matrix; the visiting order is solved exactly with
+// Held-Karp for a few items and with nearest neighbour plus 2-opt beyond.
+// Reaching a goal ends an episode, so legs between items never pass
+// through one. Steps cost the entered cell's terrain cost (1 without), and
+// locked doors ([{ position }] as in KeyDoorSearch.js) count as walls.
+// Items are [{ position: [row, col], value }]; cells are flat indices.
+
+import { IndexedMinHeap } from "../utils/indexedHeap.js";
+import { terrainCostGrid } from "../utils/terrain.js";
+
+const DIRECTIONS = [
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1],
+];
+
+// Held-Karp keeps 2^n * n partial tours; above this the heuristic takes over
+export const HELD_KARP_MAX_ITEMS = 12;
+// One Dijkstra per item builds the matrix; past this many the planner refuses
+export const MAX_TOUR_ITEMS = 500;
+// 2-opt stops after this many passes even if another would still improve
+const TWO_OPT_MAX_PASSES = 100;
+
+// Dijkstra over open cells that never leaves a goal cell. Fills `cost` and
+// `parent` and stops once every cell in `targets` (and a goal, when
+// `toGoal`) is settled; returns the first goal settled or -1.
+const sweep = (
+  grid,
+  source,
+  { cost, parent, open },
+  targets = null,
+  toGoal = true
+) => {
+  const { maze, cols, stepCosts, goalCells, doorCells } = grid;
+  cost.fill(Infinity);
+  open.clear();
+  cost[source] = 0;
+  parent[source] = -1;
+  open.push(source, 0);
+  let remaining = targets ? targets.size : 0;
+  let goal = -1;
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (targets?.has(current)) remaining--;
+    if (goalCells[current]) {
+      if (goal === -1) goal = current;
+      if (remaining === 0) break;
+      continue; // The episode would end here
+    }
+    if (remaining === 0 && (!toGoal || goal !== -1)) break;
+    const row = Math.floor(current / cols);
+    const col = current - row * cols;
+    for (const [dr, dc] of DIRECTIONS) {
+      const r = row + dr;
+      const c = col + dc;
+      if (maze[r]?.[c] !== 0) continue;
+      const next = r * cols + c;
+      if (doorCells[next]) continue;
+      const value = cost[current] + (stepCosts ? stepCosts[next] : 1);
+      if (value < cost[next]) {
+        cost[next] = value;
+        parent[next] = current;
+        open.push(next, value);
+      }
+    }
+  }
+  return goal;
+};
+
+const createGrid = (maze, goals, terrain, doors) => {
+  const rows = maze.length;
+  const cols = maze[0].length;
+  const size = rows * cols;
+  const goalCells = new Uint8Array(size);
+  for (const [row, col] of goals) {
+    if (row >= 0 && row < rows && col >= 0 && col < cols) {
+      goalCells[row * cols + col] = 1;
+    }
+  }
+  const doorCells = new Uint8Array(size);
+  for (const { position } of doors) {
+    const [row, col] = position;
+    if (row >= 0 && row < rows && col >= 0 && col < cols) {
+      doorCells[row * cols + col] = 1;
+    }
+  }
+  return {
+    maze,
+    rows,
+    cols,
+    size,
+    stepCosts: terrainCostGrid(terrain),
+    goalCells,
+    doorCells,
+    buffers: {
+      cost: new Float64Array(size),
+      parent: new Int32Array(size),
+      open: new IndexedMinHeap(size),
+    },
+  };
+};
+
+// Cheapest costs between `points` ([row, col], the start first): row a,
+// column b is the cost from points[a] to points[b], and the extra last
+// column the cost from points[a] to the nearest goal. Infinity when
+// unreachable.
+export const tourDistanceMatrix = (
+  maze,
+  points,
+  goals,
+  { terrain = null, doors = [] } = {}
+) => buildMatrix(createGrid(maze, goals, terrain, doors), points);
+
+const buildMatrix = (grid, points) => {
+  const { cols, buffers } = grid;
+  const cells = points.map(([row, col]) => row * cols + col);
+  const targets = new Set(cells);
+  return cells.map((source) => {
+    const goal = sweep(grid, source, buffers, targets);
+    const row = new Float64Array(cells.length + 1);
+    cells.forEach((cell, index) => {
+      row[index] = buffers.cost[cell];
+    });
+    row[cells.length] = goal === -1 ? Infinity : buffers.cost[goal];
+    return row;
+  });
+};
+
+// Exact order: cheapest start -> every item -> exit. `d` is the matrix over
+// [start, ...items]; returns item indices (1-based) in visiting order.
+const heldKarp = (d, n) => {
+  const full = (1 << n) - 1;
+  const best = new Float64Array((full + 1) * n).fill(Infinity);
+  const from = new Int8Array((full + 1) * n).fill(-1);
+  for (let i = 0; i < n; i++) best[(1 << i) * n + i] = d[0][i + 1];
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let last = 0; last < n; last++) {
+      const value = best[mask * n + last];
+      if (!(mask & (1 << last)) || value === Infinity) continue;
+      for (let next = 0; next < n; next++) {
+        if (mask & (1 << next)) continue;
+        const nextMask = mask | (1 << next);
+        const candidate = value + d[last + 1][next + 1];
+        if (candidate < best[nextMask * n + next]) {
+          best[nextMask * n + next] = candidate;
+          from[nextMask * n + next] = last;
+        }
+      }
+    }
+  }
+
+  let last = 0;
+  for (let i = 1; i < n; i++) {
+    if (
+      best[full * n + i] + d[i + 1][n + 1] <
+      best[full * n + last] + d[last + 1][n + 1]
+    ) {
+      last = i;
+    }
+  }
+  const order = [];
+  for (let mask = full; last !== -1; ) {
+    order.push(last + 1);
+    const previous = from[mask * n + last];
+    mask &= ~(1 << last);
+    last = previous;
+  }
+  return order.reverse();
+};
+
+// Nearest neighbour from the start, then 2-opt segment reversals while they
+// pay off. Costs need not be symmetric (terrain charges the entered cell),
+// so reversed segments are priced with backward prefix sums.
+const nearestNeighbourTwoOpt = (d, n) => {
+  const order = [];
+  const visited = new Uint8Array(n + 1);
+  let current = 0;
+  for (let step = 0; step < n; step++) {
+    let next = -1;
+    for (let item = 1; item <= n; item++) {
+      if (
+        !visited[item] &&
+        (next === -1 || d[current][item] < d[current][next])
+      ) {
+        next = item;
+      }
+    }
+    visited[next] = 1;
+    order.push(next);
+    current = next;
+  }
+
+  // seq[0] is the start, seq[1..n] the items; the exit follows seq[n]
+  const seq = [0, ...order];
+  const forward = new Float64Array(n + 1);
+  const backward = new Float64Array(n + 1);
+  const sumPrefixes = () => {
+    for (let k = 2; k <= n; k++) {
+      forward[k] = forward[k - 1] + d[seq[k - 1]][seq[k]];
+      backward[k] = backward[k - 1] + d[seq[k]][seq[k - 1]];
+    }
+  };
+  // Cost of leaving seq[k] for what follows position `next`
+  const leave = (k, next) =>
+    next === n ? d[seq[k]][n + 1] : d[seq[k]][seq[next + 1]];
+
+  sumPrefixes();
+  let improved = true;
+  for (let pass = 0; improved && pass < TWO_OPT_MAX_PASSES; pass++) {
+    improved = false;
+    for (let i = 1; i < n; i++) {
+      for (let j = i + 1; j <= n; j++) {
+        const before =
+          d[seq[i - 1]][seq[i]] + forward[j] - forward[i] + leave(j, j);
+        const reversed =
+          d[seq[i - 1]][seq[j]] + backward[j] - backward[i] + leave(i, j);
+        if (reversed < before) {
+          for (let a = i, b = j; a < b; a++, b--) {
+            [seq[a], seq[b]] = [seq[b], seq[a]];
+          }
+          sumPrefixes();
+          improved = true;
+        }
+      }
+    }
+  }
+  return seq.slice(1);
+};
+
+// Max-score route: the cheapest walk from `start` that collects every
+// reachable item and then reaches a goal. Returns { path, cost, order,
+// score, skipped, exact } with `order` and `skipped` (unreachable items) as
+// indices into `items`; `exact` is false when the order is heuristic. Null
+// when no goal is reachable without passing a locked door.
+export const planTour = (
+  maze,
+  start,
+  goals,
+  items = [],
+  { terrain = null, doors = [] } = {}
+) => {
+  if (items.length > MAX_TOUR_ITEMS) {
+    throw new Error(
+      `Too many items for a tour (${items.length}, max ${MAX_TOUR_ITEMS})`
+    );
+  }
+  const grid = createGrid(maze, goals, terrain, doors);
+  const full = buildMatrix(grid, [
+    start,
+    ...items.map((item) => item.position),
+  ]);
+  const exitColumn = items.length + 1;
+  if (full[0][exitColumn] === Infinity) return null;
+
+  // Items the start cannot reach (walled off, or only past a goal) are left
+  // out, as are items on a goal: stepping there ends the episode
+  const kept = [];
+  const skipped = [];
+  items.forEach(({ position: [row, col] }, index) => {
+    const reachable =
+      !grid.goalCells[row * grid.cols + col] &&
+      full[0][index + 1] !== Infinity &&
+      full[index + 1][exitColumn] !== Infinity;
+    (reachable ? kept : skipped).push(index);
+  });
+  const points = [0, ...kept.map((index) => index + 1)];
+  const d = points.map((a) => [
+    ...points.map((b) => full[a][b]),
+    full[a][exitColumn],
+  ]);
+
+  const n = kept.length;
+  const exact = n <= HELD_KARP_MAX_ITEMS;
+  const tour =
+    n === 0 ? [] : exact ? heldKarp(d, n) : nearestNeighbourTwoOpt(d, n);
+  const order = tour.map((point) => kept[point - 1]);
+
+  // Legs are re-searched one at a time rather than keeping a parent buffer
+  // per matrix row
+  const { cols, buffers } = grid;
+  const toPosition = (cell) => [Math.floor(cell / cols), cell % cols];
+  const path = [[...start]];
+  let cost = 0;
+  let source = start[0] * cols + start[1];
+  const appendLeg = (target) => {
+    const cells = [];
+    for (let cell = target; cell !== source; cell = buffers.parent[cell]) {
+      cells.push(cell);
+    }
+    for (let i = cells.length - 1; i >= 0; i--) path.push(toPosition(cells[i]));
+    cost += buffers.cost[target];
+    source = target;
+  };
+  for (const index of order) {
+    const [row, col] = items[index].position;
+    const target = row * cols + col;
+    sweep(grid, source, buffers, new Set([target]), false);
+    appendLeg(target);
+  }
+  appendLeg(sweep(grid, source, buffers));
+
+  return {
+    path,
+    cost,
+    order,
+    score: order.reduce((sum, index) => sum + (items[index].value || 0), 0),
+    skipped,
+    exact,
+  };
+};
@@ -0,0 +1,89 @@
+// One training step for any agent, shared by the app's interval loop and
+// the training worker. The neural agent acts through selectAction /
+// executeAction, the tabular ones through move / trainStep.
+
+import { NeuralMazeAgent } from "./NeuralMazeAgent.js";
+
+// Auto-tuning is advisory: a failing scheduler never stops training
+const reportEpisode = (scheduler, agent, summary) => {
+  if (!scheduler) return;
+  try {
+    scheduler.onEpisodeEnd(agent, summary);
+  } catch {
+    // Keep the current ε
+  }
+};
+
+export const agentStats = (agent) =>
+  agent instanceof NeuralMazeAgent
+    ? agent.getDetailedStats()
+    : agent.getStats();
+
+// Where the agent is in its episode: { position, path }
+export const episodeView = (agent) => {
+  const { position, path } =
+    agent instanceof NeuralMazeAgent ? agent.agentState : agent;
+  return { position: [...position], path: [...path] };
+};
+
+// Advance `agent` one step on `maze`. Returns a snapshot for the view,
+// { position, path, visualData, replaceVisualData, stats, outcome }, with
+// `outcome` "win" or "lose" once the episode ended (null before). A
+// finished episode is booked (finishEpisode / finishGame, and the auto
+// ε `scheduler` if given) but not reset, so it can still be inspected.
+export const runTrainingStep = (agent, maze, { scheduler = null } = {}) => {
+  let outcome = null;
+  let visualData = null;
+  const neural = agent instanceof NeuralMazeAgent;
+
+  if (neural) {
+    const currentState = agent.getState(maze);
+    const action = agent.selectAction(currentState, maze);
+    const result = agent.executeAction(action, maze);
+    visualData = result.visualData;
+
+    if (result.isTerminal) {
+      outcome = result.isTerminal === "win" ? "win" : "lose";
+      // Auto-tune epsilon based on episode summary
+      reportEpisode(scheduler, agent, {
+        win: outcome === "win",
+        moves: agent.agentState?.steps ?? agent.agentState?.path?.length ?? 0,
+        totalReward: agent.agentState?.score ?? 0,
+      });
+      agent.finishEpisode(result.isTerminal);
+    }
+  } else {
+    const previousState = [...agent.position];
+    const moveResult = agent.move(maze);
+    if (agent.dynamicElements) visualData = agent.getVisualizationData();
+
+    // Invalid moves are trained too (penalized internally); the episode
+    // goes on
+    const trainingResult = agent.trainStep(
+      maze,
+      previousState,
+      moveResult.action
+    );
+    if (
+      moveResult.isValid &&
+      (trainingResult.isWin || trainingResult.isGameOver)
+    ) {
+      const win = Boolean(trainingResult.isWin);
+      outcome = win ? "win" : "lose";
+      reportEpisode(scheduler, agent, {
+        win,
+        moves: agent.moves,
+        totalReward: win ? 100 : -50,
+      });
+      agent.finishGame(win);
+    }
+  }
+
+  return {
+    ...episodeView(agent),
+    visualData,
+    replaceVisualData: neural,
+    stats: agentStats(agent),
+    outcome,
+  };
+};
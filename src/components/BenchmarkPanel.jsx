@@ -0,0 +1,320 @@
+import { useState } from "react";
+import {
+  BENCHMARK_BRAIDS,
+  BENCHMARK_SIZES,
+  DEFAULT_BENCHMARK_CONFIG,
+} from "../ai/SolverBenchmark";
+import "./BenchmarkPanel.css";
+
+// Solver benchmark results: the maze metrics, a median-time chart with p95
+// whiskers and a comparison table per benchmarked maze, plus the sweep
+// settings. Running and exporting are left to the parent.
+const BenchmarkPanel = ({
+  result = null,
+  progress = null,
+  mazeAlgorithms = {},
+  pathfinders = {},
+  onRunCurrent,
+  onRunSweep,
+  onCancel,
+  onExport,
+  onClose,
+}) => {
+  const [config, setConfig] = useState(DEFAULT_BENCHMARK_CONFIG);
+  const [selectedMaze, setSelectedMaze] = useState(null);
+  const isRunning = progress !== null;
+
+  const rows = result?.rows || [];
+  const mazeNames = [...new Set(rows.map((row) => row.maze))];
+  // Falls back to the first maze when a new result lacks the selected one
+  const shownMaze = mazeNames.includes(selectedMaze)
+    ? selectedMaze
+    : mazeNames[0];
+  const shownRows = rows.filter((row) => row.maze === shownMaze);
+  const mazeMetrics = shownRows[0]; // Every row of a maze carries them
+  const slowest = Math.max(0, ...shownRows.map((row) => row.p95));
+  const fastestMedian = Math.min(...shownRows.map((row) => row.median));
+
+  const toggle = (key, value) =>
+    setConfig((current) => {
+      const values = current[key].includes(value)
+        ? current[key].filter((item) => item !== value)
+        : [...current[key], value];
+      return { ...current, [key]: values };
+    });
+
+  const setCount = (key, value) =>
+    setConfig((current) => ({
+      ...current,
+      [key]: Math.max(key === "repeats" ? 1 : 0, Math.floor(value) || 0),
+    }));
+
+  const sweepEmpty =
+    config.sizes.length === 0 ||
+    config.generators.length === 0 ||
+    config.braids.length === 0 ||
+    config.algorithms.length === 0;
+
+  const formatTime = (ms) =>
+    ms >= 100 ? ms.toFixed(0) : ms >= 1 ? ms.toFixed(2) : ms.toFixed(3);
+  const formatHeap = (bytes) =>
+    bytes === null || bytes === undefined
+      ? "n/a"
+      : `${(bytes / 1024).toLocaleString(undefined, {
+          maximumFractionDigits: 0,
+        })} KB`;
+
+  const checkboxes = (key, options, label = (value) => value) => (
+    <div className="benchmark-options">
+      {options.map((value) => (
+        <label key={value} className="benchmark-option">
+          <input
+            type="checkbox"
+            checked={config[key].includes(value)}
+            onChange={() => toggle(key, value)}
+            disabled={isRunning}
+          />
+          {label(value)}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="benchmark-panel">
+      <div className="benchmark-header">
+        <h3>📊 Solver Benchmark</h3>
+        <button className="benchmark-close" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <details className="benchmark-settings">
+        <summary>Settings</summary>
+        <div className="benchmark-setting">
+          <span>Sizes</span>
+          {checkboxes("sizes", BENCHMARK_SIZES, (size) => `${size}²`)}
+        </div>
+        <div className="benchmark-setting">
+          <span>Generators</span>
+          {checkboxes(
+            "generators",
+            Object.keys(mazeAlgorithms),
+            (id) => mazeAlgorithms[id].name
+          )}
+        </div>
+        <div className="benchmark-setting">
+          <span>Braid</span>
+          {checkboxes("braids", BENCHMARK_BRAIDS, (braid) => `${braid * 100}%`)}
+        </div>
+        <div className="benchmark-setting">
+          <span>Solvers</span>
+          {checkboxes(
+            "algorithms",
+            Object.keys(pathfinders),
+            (id) => pathfinders[id].name
+          )}
+        </div>
+        <div className="benchmark-setting">
+          <span>Runs</span>
+          <div className="benchmark-options">
+            <label className="benchmark-option">
+              Warm-up
+              <input
+                type="number"
+                min="0"
+                max="20"
+                value={config.warmup}
+                onChange={(e) => setCount("warmup", e.target.value)}
+                disabled={isRunning}
+              />
+            </label>
+            <label className="benchmark-option">
+              Timed
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={config.repeats}
+                onChange={(e) => setCount("repeats", e.target.value)}
+                disabled={isRunning}
+              />
+            </label>
+          </div>
+        </div>
+        <p className="benchmark-note">
+          Large sizes with slow solvers (IDA*, random mouse) can take minutes.
+        </p>
+      </details>
+
+      <div className="benchmark-actions">
+        <button
+          className="control-button neutral"
+          onClick={() => onRunCurrent(config)}
+          disabled={isRunning || config.algorithms.length === 0}
+        >
+          ▶️ Current Maze
+        </button>
+        <button
+          className="control-button neutral"
+          onClick={() => onRunSweep(config)}
+          disabled={isRunning || sweepEmpty}
+        >
+          🔁 Run Sweep
+        </button>
+        {isRunning && (
+          <button className="control-button danger" onClick={onCancel}>
+            ⏹️ Cancel
+          </button>
+        )}
+        <button
+          className="control-button neutral"
+          onClick={() => onExport("csv")}
+          disabled={isRunning || rows.length === 0}
+        >
+          💾 CSV
+        </button>
+        <button
+          className="control-button neutral"
+          onClick={() => onExport("json")}
+          disabled={isRunning || rows.length === 0}
+        >
+          💾 JSON
+        </button>
+      </div>
+
+      {isRunning && (
+        <div className="benchmark-progress">
+          <div className="progress-bar">
+            <div
+              className="progress-fill search"
+              style={{
+                width: `${
+                  progress.total > 0
+                    ? (progress.done / progress.total) * 100
+                    : 0
+                }%`,
+              }}
+            ></div>
+          </div>
+          <span>
+            {progress.done}/{progress.total} · {progress.label}
+          </span>
+        </div>
+      )}
+
+      {shownRows.length > 0 && (
+        <>
+          {mazeNames.length > 1 && (
+            <select
+              className="control-select"
+              value={shownMaze}
+              onChange={(e) => setSelectedMaze(e.target.value)}
+            >
+              {mazeNames.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <p className="benchmark-note">
+            Maze: difficulty {mazeMetrics.difficulty}/100 ·{" "}
+            {mazeMetrics.openCells.toLocaleString()} open cells · solution{" "}
+            {mazeMetrics.solutionLength.toLocaleString()} steps ·{" "}
+            {mazeMetrics.deadEnds.toLocaleString()} dead ends ·{" "}
+            {mazeMetrics.junctions.toLocaleString()} junctions ·{" "}
+            {mazeMetrics.loops.toLocaleString()} loops · river factor{" "}
+            {mazeMetrics.riverFactor.toFixed(2)} · longest corridor{" "}
+            {mazeMetrics.longestCorridor.toLocaleString()} · branching{" "}
+            {mazeMetrics.branchingFactor.toFixed(2)}
+          </p>
+
+          <div className="benchmark-chart">
+            {shownRows.map((row) => (
+              <div key={row.algorithm} className="benchmark-bar-row">
+                <span className="benchmark-bar-label">{row.name}</span>
+                <div className="benchmark-bar-track">
+                  <div
+                    className={`benchmark-bar ${row.found ? "" : "failed"}`}
+                    style={{
+                      width: `${
+                        slowest > 0 ? (row.median / slowest) * 100 : 0
+                      }%`,
+                    }}
+                  ></div>
+                  <div
+                    className="benchmark-whisker"
+                    style={{
+                      left: `${
+                        slowest > 0 ? (row.median / slowest) * 100 : 0
+                      }%`,
+                      width: `${
+                        slowest > 0
+                          ? ((row.p95 - row.median) / slowest) * 100
+                          : 0
+                      }%`,
+                    }}
+                  ></div>
+                </div>
+                <span className="benchmark-bar-value">
+                  {formatTime(row.median)} ms
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div className="benchmark-table-wrapper">
+            <table className="benchmark-table">
+              <thead>
+                <tr>
+                  <th>Solver</th>
+                  <th>Mean</th>
+                  <th>Median</th>
+                  <th>p95</th>
+                  <th>σ</th>
+                  <th>Expanded</th>
+                  <th>Heap Δ</th>
+                  <th>Steps</th>
+                  <th>Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shownRows.map((row) => (
+                  <tr
+                    key={row.algorithm}
+                    className={
+                      !row.found
+                        ? "failed"
+                        : row.median === fastestMedian
+                        ? "fastest"
+                        : ""
+                    }
+                  >
+                    <td>{row.name}</td>
+                    <td>{formatTime(row.mean)}</td>
+                    <td>{formatTime(row.median)}</td>
+                    <td>{formatTime(row.p95)}</td>
+                    <td>{formatTime(row.stddev)}</td>
+                    <td>{row.expanded.toLocaleString()}</td>
+                    <td>{formatHeap(row.peakHeap)}</td>
+                    <td>{row.found ? row.pathLength.toLocaleString() : "—"}</td>
+                    <td>{row.found ? row.pathCost : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="benchmark-note">
+            Times in ms over {shownRows[0].runs} timed runs. Heap Δ is the
+            largest heap growth during one run
+            {result.heapMeasured ? "" : " (not exposed by this browser)"}.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkPanel;
@@ -16,11 +16,37 @@ const Controls = ({
   isTraining,
   showSolution,
   gameStatus,
-  mazeSize,
+  mazeWidth,
+  mazeHeight,
   onMazeSizeChange,
+  topology,
+  topologies,
+  onTopologyChange,
+  floors,
+  maxFloors,
+  onFloorsChange,
+  mazeAlgorithm,
+  mazeAlgorithms,
+  onMazeAlgorithmChange,
+  braidDensity,
+  onBraidDensityChange,
+  terrainDensity,
+  terrainTypes,
+  onTerrainDensityChange,
+  seed,
+  onSeedChange,
   trainingSpeed,
   onTrainingSpeedChange,
   agentType,
+  pathfinder,
+  pathfinders,
+  onPathfinderChange,
+  tdAlgorithm,
+  tdAlgorithms,
+  onTdAlgorithmChange,
+  tdSteps,
+  tdStepOptions,
+  onTdStepsChange,
   gameMode,
   gameModes,
   stats,
@@ -30,10 +56,41 @@ const Controls = ({
   epsilonHorizon,
   epsilonDecay,
   onEpsilonConfigChange,
+  traceLambda,
+  traceType,
+  traceTypes,
+  onTraceConfigChange,
   autoTuneEpsilon,
   onToggleAutoTune,
   useMCTS,
   onToggleMCTS,
+  useWorker = false,
+  onToggleWorker,
+  placementMode,
+  onPlacementModeChange,
+  goalCount,
+  randomStart,
+  onRandomStartChange,
+  onResetEndpoints,
+  isEditing = false,
+  editorTool,
+  editorTools,
+  onEditorToolChange,
+  onToggleEditMode,
+  mazeSolvable,
+  onExportMaze,
+  onImportMaze,
+  searchAlgorithm,
+  onSearchAlgorithmChange,
+  searchSpeed,
+  onSearchSpeedChange,
+  isSearching = false,
+  onToggleSearch,
+  onClearSearch,
+  routeCount,
+  onRouteCountChange,
+  showRoutes,
+  onToggleRoutes,
 }) => {
   return (
     <div className="controls-container">
@@ -91,14 +148,83 @@ const Controls = ({
             </select>
           </div>
 
+          {onPathfinderChange && (
+            <div className="control-group">
+              <label htmlFor="pathfinder">Pathfinding Backend:</label>
+              <select
+                id="pathfinder"
+                value={pathfinder}
+                onChange={(e) => onPathfinderChange(e.target.value)}
+                className="control-select"
+              >
+                {Object.values(pathfinders).map((algorithm) => (
+                  <option key={algorithm.id} value={algorithm.id}>
+                    {algorithm.name}
+                    {algorithm.optimal ? "" : " (not optimal)"}
+                  </option>
+                ))}
+              </select>
+              {pathfinders[pathfinder] && (
+                <div className="mode-description">
+                  <p>{pathfinders[pathfinder].description}</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {onTdAlgorithmChange && (
+            <div className="control-group">
+              <label htmlFor="td-algorithm">Algorithm:</label>
+              <select
+                id="td-algorithm"
+                value={tdAlgorithm}
+                onChange={(e) => onTdAlgorithmChange(e.target.value)}
+                className="control-select"
+              >
+                {Object.values(tdAlgorithms).map((algorithm) => (
+                  <option key={algorithm.id} value={algorithm.id}>
+                    {algorithm.name}
+                  </option>
+                ))}
+              </select>
+              <label htmlFor="td-steps">Return:</label>
+              <select
+                id="td-steps"
+                value={tdSteps}
+                onChange={(e) => onTdStepsChange(parseInt(e.target.value))}
+                className="control-select"
+              >
+                {tdStepOptions.map((steps) => (
+                  <option key={steps} value={steps}>
+                    {steps === 1 ? "One-step" : `${steps}-step`}
+                  </option>
+                ))}
+              </select>
+              {tdAlgorithms[tdAlgorithm] && (
+                <div className="mode-description">
+                  <p>{tdAlgorithms[tdAlgorithm].description}</p>
+                  <p>
+                    Switching starts learning over, so algorithms can be
+                    compared on the same maze.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="control-group">
             <label htmlFor="maze-size">Maze Size:</label>
             <select
               id="maze-size"
-              value={mazeSize}
+              value={mazeWidth === mazeHeight ? mazeWidth : "custom"}
               onChange={(e) => onMazeSizeChange(parseInt(e.target.value))}
               className="control-select"
             >
+              {mazeWidth !== mazeHeight && (
+                <option value="custom" disabled>
+                  Custom ({mazeWidth}x{mazeHeight})
+                </option>
+              )}
               <option value={15}>Tiny (15x15)</option>
               <option value={21}>Small (21x21)</option>
               <option value={31}>Medium (31x31)</option>
@@ -107,9 +233,334 @@ const Controls = ({
               <option value={71}>Huge (71x71)</option>
               <option value={101}>Massive (101x101)</option>
               <option value={151}>Extreme (151x151)</option>
+              <option value={301}>Giant (301x301)</option>
+              <option value={501}>Colossal (501x501)</option>
+              <option value={1001}>Titanic (1001x1001)</option>
             </select>
+            <form
+              className="dimension-row"
+              onSubmit={(e) => {
+                e.preventDefault();
+                const form = new FormData(e.currentTarget);
+                onMazeSizeChange(form.get("width"), form.get("height"));
+              }}
+            >
+              <input
+                key={`w-${mazeWidth}`}
+                name="width"
+                type="number"
+                min={5}
+                max={1001}
+                step={2}
+                defaultValue={mazeWidth}
+                className="number-input"
+                aria-label="Maze width"
+                title="Columns (odd, 5-1001)"
+              />
+              <span className="dimension-separator">×</span>
+              <input
+                key={`h-${mazeHeight}`}
+                name="height"
+                type="number"
+                min={5}
+                max={1001}
+                step={2}
+                defaultValue={mazeHeight}
+                className="number-input"
+                aria-label="Maze height"
+                title="Rows (odd, 5-1001)"
+              />
+              <button type="submit" className="control-button neutral">
+                Apply
+              </button>
+            </form>
           </div>
 
+          {onTopologyChange && (
+            <div className="control-group">
+              <label htmlFor="maze-topology">Maze Topology:</label>
+              <select
+                id="maze-topology"
+                value={topology}
+                onChange={(e) => onTopologyChange(e.target.value)}
+                className="control-select"
+                disabled={isTraining}
+              >
+                {Object.values(topologies).map((kind) => (
+                  <option key={kind.id} value={kind.id}>
+                    {kind.name}
+                  </option>
+                ))}
+              </select>
+              {topologies[topology] && (
+                <div className="mode-description">
+                  <p>{topologies[topology].description}</p>
+                  {topologies[topology].passages && (
+                    <p>
+                      Classic mode with the tabular agents; the size sets about
+                      as many cells as a square maze.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {onFloorsChange && (
+            <div className="control-group">
+              <label htmlFor="maze-floors">Floors:</label>
+              <select
+                id="maze-floors"
+                value={floors}
+                onChange={(e) => onFloorsChange(Number(e.target.value))}
+                className="control-select"
+                disabled={isTraining}
+              >
+                {Array.from({ length: maxFloors - 1 }, (_, i) => i + 2).map(
+                  (count) => (
+                    <option key={count} value={count}>
+                      {count} floors
+                    </option>
+                  )
+                )}
+              </select>
+              <div className="mode-description">
+                <p>
+                  Each floor is a maze of the size above; staircases (▲ up, ▼
+                  down) are two extra moves for the agents. Start on floor 1,
+                  goal on the top floor.
+                </p>
+              </div>
+            </div>
+          )}
+
+          {mazeAlgorithms && (
+            <div className="control-group">
+              <label htmlFor="maze-algorithm">Generation Algorithm:</label>
+              <select
+                id="maze-algorithm"
+                value={mazeAlgorithm}
+                onChange={(e) => onMazeAlgorithmChange(e.target.value)}
+                className="control-select"
+              >
+                {Object.values(mazeAlgorithms).map((algorithm) => (
+                  <option key={algorithm.id} value={algorithm.id}>
+                    {algorithm.name}
+                  </option>
+                ))}
+              </select>
+              {mazeAlgorithms[mazeAlgorithm] && (
+                <div className="mode-description">
+                  <p>{mazeAlgorithms[mazeAlgorithm].description}</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {onBraidDensityChange && (
+            <div className="control-group">
+              <label htmlFor="braid-density">Loops (Braiding):</label>
+              <select
+                id="braid-density"
+                value={braidDensity}
+                onChange={(e) =>
+                  onBraidDensityChange(parseFloat(e.target.value))
+                }
+                className="control-select"
+              >
+                <option value={0}>Perfect maze (single route)</option>
+                <option value={0.1}>Few loops (10% dead ends removed)</option>
+                <option value={0.25}>Some loops (25%)</option>
+                <option value={0.5}>Many loops (50%)</option>
+                <option value={0.75}>Heavily braided (75%)</option>
+                <option value={1}>Fully braided (no dead ends)</option>
+              </select>
+            </div>
+          )}
+
+          {onTerrainDensityChange && (
+            <div className="control-group">
+              <label htmlFor="terrain-density">Terrain:</label>
+              <select
+                id="terrain-density"
+                value={terrainDensity}
+                onChange={(e) =>
+                  onTerrainDensityChange(parseFloat(e.target.value))
+                }
+                className="control-select"
+              >
+                <option value={0}>None (every step costs 1)</option>
+                <option value={0.15}>Sparse (15% of paths)</option>
+                <option value={0.35}>Mixed (35%)</option>
+                <option value={0.6}>Rough (60%)</option>
+              </select>
+              {terrainDensity > 0 && (
+                <div className="mode-description">
+                  <p>
+                    Step costs:{" "}
+                    {Object.values(terrainTypes)
+                      .map((type) => `${type.name} ${type.cost}`)
+                      .join(", ")}
+                    . A* and Dijkstra find the cheapest route; the other solvers
+                    count steps.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {onSeedChange && (
+            <div className="control-group">
+              <label htmlFor="maze-seed">Seed:</label>
+              <form
+                className="seed-row"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  onSeedChange(new FormData(e.currentTarget).get("seed"));
+                }}
+              >
+                <input
+                  id="maze-seed"
+                  key={seed}
+                  name="seed"
+                  type="text"
+                  defaultValue={seed}
+                  className="number-input mono seed-input"
+                  title="Number or any text; the same seed regenerates the same run"
+                />
+                <button type="submit" className="control-button neutral">
+                  ↻ Load
+                </button>
+              </form>
+            </div>
+          )}
+
+          {onPlacementModeChange && (
+            <div className="control-group">
+              <label htmlFor="placement-mode">Start &amp; Goals:</label>
+              <select
+                id="placement-mode"
+                value={placementMode}
+                onChange={(e) => onPlacementModeChange(e.target.value)}
+                className="control-select"
+              >
+                <option value="none">Click does nothing</option>
+                <option value="start">Click to place start</option>
+                <option value="goal">Click to add/remove goals</option>
+              </select>
+              <div className="mode-description">
+                <p>
+                  {goalCount} goal{goalCount === 1 ? "" : "s"}; reaching any
+                  goal ends the episode.
+                </p>
+              </div>
+              <div
+                className="epsilon-row"
+                style={{ gridTemplateColumns: "1fr auto" }}
+              >
+                <span>Random start each episode</span>
+                <label className="switch">
+                  <input
+                    type="checkbox"
+                    checked={!!randomStart}
+                    onChange={(e) => onRandomStartChange(e.target.checked)}
+                  />
+                  <span className="slider" />
+                </label>
+              </div>
+              <button
+                className="control-button neutral"
+                onClick={onResetEndpoints}
+              >
+                ↺ Reset Start &amp; Goal
+              </button>
+            </div>
+          )}
+
+          {onToggleEditMode && (
+            <div className="control-group">
+              <label htmlFor="editor-tool">Maze Editor:</label>
+              {isEditing && (
+                <>
+                  <select
+                    id="editor-tool"
+                    value={editorTool}
+                    onChange={(e) => onEditorToolChange(e.target.value)}
+                    className="control-select"
+                  >
+                    {Object.entries(editorTools).map(([key, tool]) => (
+                      <option key={key} value={key}>
+                        {tool.emoji} {tool.name}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="mode-description">
+                    <p>{editorTools[editorTool]?.description}</p>
+                    <p>
+                      {mazeSolvable
+                        ? "✓ A goal is reachable from the start"
+                        : "✗ No path from the start to a goal"}
+                    </p>
+                  </div>
+                </>
+              )}
+              <button
+                className={`control-button ${
+                  isEditing ? "success" : "neutral"
+                }`}
+                onClick={onToggleEditMode}
+                title={
+                  isEditing
+                    ? "Rebuild the agent on the edited maze"
+                    : "Toggle walls and place start, goals and elements"
+                }
+              >
+                {isEditing ? "✅ Use Edited Maze" : "✏️ Edit Maze"}
+              </button>
+            </div>
+          )}
+
+          {onExportMaze && (
+            <div className="control-group">
+              <label>Save / Load Maze:</label>
+              <div className="file-row">
+                <button
+                  className="control-button neutral"
+                  onClick={() => onExportMaze("json")}
+                  title="Grid, start/goals, seed, mode and dynamic elements"
+                >
+                  JSON
+                </button>
+                <button
+                  className="control-button neutral"
+                  onClick={() => onExportMaze("ascii")}
+                  title="Text grid: # wall, . path, S start, G goal"
+                >
+                  ASCII
+                </button>
+                <button
+                  className="control-button neutral"
+                  onClick={() => onExportMaze("png")}
+                  title="One pixel per cell"
+                >
+                  PNG
+                </button>
+              </div>
+              <label className="control-button neutral file-import">
+                📂 Import Maze
+                <input
+                  type="file"
+                  accept=".json,.txt,.png,application/json,text/plain,image/png"
+                  onChange={(e) => {
+                    const file = e.target.files[0];
+                    e.target.value = ""; // Allow re-importing the same file
+                    if (file) onImportMaze(file);
+                  }}
+                />
+              </label>
+            </div>
+          )}
+
           <button className="control-button primary" onClick={onGenerateMaze}>
             🎲 Generate New Maze
           </button>
@@ -125,7 +576,7 @@ const Controls = ({
             <button
               className="control-button success"
               onClick={onSolveMazeInstantly}
-              disabled={isTraining || gameStatus === "won"}
+              disabled={isTraining || isEditing || gameStatus === "won"}
             >
               ⚡ Solve Instantly
             </button>
@@ -135,27 +586,112 @@ const Controls = ({
             <button
               className="control-button neutral"
               onClick={onBenchmarkAlgorithms}
-              disabled={isTraining}
+              disabled={isTraining || isEditing}
             >
               📊 Benchmark Algorithms
             </button>
           )}
 
-          <button
-            className="control-button water"
-            onClick={onPourWater}
-            title="Add flowing water from the top"
-          >
-            💧 Water
-          </button>
+          {onToggleSearch && (
+            <div className="control-group">
+              <label htmlFor="search-algorithm">Visualize Search:</label>
+              <select
+                id="search-algorithm"
+                value={searchAlgorithm}
+                onChange={(e) => onSearchAlgorithmChange(e.target.value)}
+                className="control-select"
+                disabled={isSearching}
+              >
+                {Object.values(pathfinders).map((algorithm) => (
+                  <option key={algorithm.id} value={algorithm.id}>
+                    {algorithm.name}
+                  </option>
+                ))}
+              </select>
+              <div className="epsilon-grid">
+                <div className="epsilon-row">
+                  <span>Speed:</span>
+                  <input
+                    type="range"
+                    min={1}
+                    max={10}
+                    step={1}
+                    value={searchSpeed}
+                    onChange={(e) =>
+                      onSearchSpeedChange(parseInt(e.target.value))
+                    }
+                  />
+                  <span>{2 ** (searchSpeed - 1)}×</span>
+                </div>
+              </div>
+              <button
+                className={`control-button ${isSearching ? "danger" : "info"}`}
+                onClick={onToggleSearch}
+                disabled={isTraining || isEditing}
+              >
+                {isSearching ? "⏹️ Stop Search" : "🔎 Visualize Search"}
+              </button>
+              {onClearSearch && (
+                <button
+                  className="control-button neutral"
+                  onClick={onClearSearch}
+                >
+                  🧹 Clear Search
+                </button>
+              )}
+            </div>
+          )}
 
-          <button
-            className="control-button electricity"
-            onClick={onPulseElectricity}
-            title="Send electricity through the maze"
-          >
-            ⚡ Electricity
-          </button>
+          {onToggleRoutes && (
+            <div className="control-group">
+              <label htmlFor="route-count">Route Analysis:</label>
+              <select
+                id="route-count"
+                value={routeCount}
+                onChange={(e) => onRouteCountChange(parseInt(e.target.value))}
+                className="control-select"
+              >
+                {[2, 3, 4, 5].map((k) => (
+                  <option key={k} value={k}>
+                    {k} shortest routes
+                  </option>
+                ))}
+              </select>
+              <div className="mode-description">
+                <p>
+                  Cheapest loopless routes (Yen) in distinct colours, over every
+                  equally optimal route in green
+                </p>
+              </div>
+              <button
+                className={`control-button ${showRoutes ? "danger" : "info"}`}
+                onClick={onToggleRoutes}
+                disabled={isEditing}
+              >
+                {showRoutes ? "🙈 Hide Routes" : "🛣️ Show Routes"}
+              </button>
+            </div>
+          )}
+
+          {onPourWater && (
+            <button
+              className="control-button water"
+              onClick={onPourWater}
+              title="Add flowing water from the top"
+            >
+              💧 Water
+            </button>
+          )}
+
+          {onPulseElectricity && (
+            <button
+              className="control-button electricity"
+              onClick={onPulseElectricity}
+              title="Send electricity through the maze"
+            >
+              ⚡ Electricity
+            </button>
+          )}
         </div>
 
         {/* AI Training Controls Section */}
@@ -177,6 +713,31 @@ const Controls = ({
             </select>
           </div>
 
+          {onToggleWorker && (
+            <div className="control-group">
+              <div
+                className="epsilon-row"
+                style={{ gridTemplateColumns: "1fr auto" }}
+              >
+                <span>Run in background worker</span>
+                <label className="switch">
+                  <input
+                    type="checkbox"
+                    checked={!!useWorker}
+                    onChange={(e) => onToggleWorker(e.target.checked)}
+                  />
+                  <span className="slider" />
+                </label>
+              </div>
+              <div className="mode-description">
+                <p>
+                  Training, Solve Instantly and benchmarks run off the page's
+                  thread. Reference route comparisons are main-thread only.
+                </p>
+              </div>
+            </div>
+          )}
+
           {/* Exploration settings with safe guardrails */}
           <div className="control-group">
             <label>Exploration (ε) Schedule:</label>
@@ -270,6 +831,49 @@ const Controls = ({
               <div className="epsilon-note small-text">
                 Monotonic decay is enforced. End ε ≤ Start ε and 0 ≤ ε ≤ 1.
               </div>
+              {onTraceConfigChange && (
+                <>
+                  <div className="epsilon-row">
+                    <span>Trace λ:</span>
+                    <input
+                      type="range"
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={traceLambda}
+                      disabled={isTraining}
+                      onChange={(e) =>
+                        onTraceConfigChange({
+                          lambda: parseFloat(e.target.value),
+                        })
+                      }
+                    />
+                    <span>{traceLambda.toFixed(2)}</span>
+                  </div>
+                  <div className="epsilon-row">
+                    <span>Traces:</span>
+                    <select
+                      value={traceType}
+                      disabled={isTraining || traceLambda === 0}
+                      onChange={(e) =>
+                        onTraceConfigChange({ traceType: e.target.value })
+                      }
+                      className="control-select"
+                    >
+                      {Object.values(traceTypes).map((type) => (
+                        <option key={type.id} value={type.id}>
+                          {type.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="epsilon-note small-text">
+                    {traceLambda > 0
+                      ? `${traceTypes[traceType].description}. Traces spread each reward over recent steps and replace n-step returns. Q-learning and Double Q-learning cut them when the next move is not greedy (Watkins).`
+                      : "λ = 0 learns from one step (or the n-step return) only."}
+                  </div>
+                </>
+              )}
             </div>
           </div>
 
@@ -278,7 +882,7 @@ const Controls = ({
               <button
                 className="control-button success"
                 onClick={onStartTraining}
-                disabled={gameStatus === "won"}
+                disabled={gameStatus === "won" || isEditing}
               >
                 🚀 Start Training
               </button>
@@ -295,7 +899,10 @@ const Controls = ({
               className="control-button neutral"
               onClick={onSingleStep}
               disabled={
-                isTraining || gameStatus === "won" || gameStatus === "lost"
+                isTraining ||
+                isEditing ||
+                gameStatus === "won" ||
+                gameStatus === "lost"
               }
             >
               👣 Single Step
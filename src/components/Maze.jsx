@@ -1,6 +1,16 @@
-import { useMemo } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+import MazeCanvas from "./MazeCanvas";
+import { SEARCH_CELL } from "../ai/SearchTrace";
+import { STAIRS } from "../utils/mazeGenerator";
+import { TERRAIN_BY_ID, terrainType } from "../utils/terrain";
 import "./Maze.css";
 
+// Above this many cells the per-cell <div> grid gets too slow to render
+const CANVAS_CELL_THRESHOLD = 151 * 151;
+
+// Distinct colours for the k cheapest routes (route-rank-<i> in Maze.css)
+const ROUTE_COLOR_COUNT = 5;
+
 const Maze = ({
   maze,
   agentPosition,
@@ -11,7 +21,49 @@ const Maze = ({
   gameStatus,
   gameMode = "classic",
   visualData = null,
+  generationProgress = null,
+  start = [1, 1],
+  goals = null,
+  terrain = null,
+  onCellClick = null,
+  onCellPaint = null,
+  searchView = null,
+  routeView = null,
+  routeScore = null,
+  keyRoute = null,
+  tourRoute = null,
+  floors = null,
 }) => {
+  // Edit mode: onCellPaint(row, col, isStrokeStart) fires on mouse down and
+  // for every cell entered while the button is held
+  const editing = Boolean(onCellPaint);
+  const paintingRef = useRef(false);
+  useEffect(() => {
+    const stopPainting = () => {
+      paintingRef.current = false;
+    };
+    window.addEventListener("mouseup", stopPainting);
+    return () => window.removeEventListener("mouseup", stopPainting);
+  }, []);
+
+  // Layered mazes: `floors` is { count, height } of the floors stacked in
+  // `maze`; each is drawn as its own grid, all side by side or one at a
+  // time. The canvas (large mazes) shows the stacked grid.
+  const [floorView, setFloorView] = useState("all");
+  const floorHeight = floors?.height || maze.length;
+  const shownFloors = !floors
+    ? [0]
+    : floorView === "all" || floorView >= floors.count
+    ? Array.from({ length: floors.count }, (_, floor) => floor)
+    : [floorView];
+  const agentFloor =
+    floors && agentPosition ? Math.floor(agentPosition[0] / floorHeight) : -1;
+
+  // Size cells by the longer side so wide corridors (e.g. 61x21) fit too
+  const largestSide = Math.max(floorHeight, maze[0]?.length || 0);
+  const useCanvas =
+    maze.length * (maze[0]?.length || 0) > CANVAS_CELL_THRESHOLD;
+
   const flowIndex = useMemo(() => {
     const idx = new Map();
     if (visualData && Array.isArray(visualData.flows)) {
@@ -25,6 +77,35 @@ const Maze = ({
 
   const getFlow = (row, col) => flowIndex.get(`${row},${col}`);
 
+  // Default goal is the bottom-right cell
+  const goalKeys = useMemo(() => {
+    const list = goals || [[maze.length - 2, (maze[0]?.length || 0) - 2]];
+    return new Set(list.map(([r, c]) => `${r},${c}`));
+  }, [goals, maze]);
+
+  // Visualised search: cells/cols/current from a SearchTrace snapshot, plus
+  // the found path as [row, col] once the search has finished
+  const searchPathKeys = useMemo(
+    () => new Set((searchView?.path || []).map(([r, c]) => `${r},${c}`)),
+    [searchView?.path]
+  );
+
+  // Route analysis: cells on any optimal route, and the best rank of the
+  // k cheapest routes through each cell
+  const routeCells = useMemo(() => {
+    const optimal = new Set();
+    const ranks = new Map();
+    if (!routeView) return { optimal, ranks };
+    for (const [r, c] of routeView.dag?.cells || []) optimal.add(`${r},${c}`);
+    routeView.paths.forEach(({ path }, rank) => {
+      for (const [r, c] of path) {
+        const key = `${r},${c}`;
+        if (!ranks.has(key)) ranks.set(key, rank);
+      }
+    });
+    return { optimal, ranks };
+  }, [routeView]);
+
   const getCellClass = (row, col) => {
     const classes = ["cell"];
 
@@ -33,6 +114,18 @@ const Maze = ({
       classes.push("wall");
     } else {
       classes.push("path");
+      // Staircases lead to the same cell on the floor above or below
+      if (maze[row][col] === STAIRS) {
+        classes.push(
+          "stairs",
+          maze[row + floorHeight]?.[col] === STAIRS
+            ? "stairs-up"
+            : "stairs-down"
+        );
+      }
+      // Weighted terrain under open cells (plain ground has no class)
+      const terrainId = terrain?.[row][col];
+      if (terrainId) classes.push(`terrain-${terrainType(terrainId).key}`);
     }
 
     // Flow overlays (water/electric)
@@ -91,6 +184,32 @@ const Maze = ({
         classes.push("collectible", `collectible-${item.type}`);
       }
 
+      // Food and keys (survival)
+      if (
+        visualData.food &&
+        visualData.food.some(
+          (food) => food.position[0] === row && food.position[1] === col
+        )
+      ) {
+        classes.push("food");
+      }
+      if (
+        visualData.keys &&
+        visualData.keys.some(
+          (key) => key.position[0] === row && key.position[1] === col
+        )
+      ) {
+        classes.push("key-item");
+      }
+      if (
+        visualData.doors &&
+        visualData.doors.some(
+          (door) => door.position[0] === row && door.position[1] === col
+        )
+      ) {
+        classes.push("door");
+      }
+
       // Other agents
       if (
         visualData.otherAgents &&
@@ -111,13 +230,35 @@ const Maze = ({
       }
     }
 
+    // Search visualisation
+    if (searchView) {
+      const state = searchView.cells?.[row * searchView.cols + col];
+      if (state === SEARCH_CELL.CLOSED) classes.push("search-closed");
+      else if (state === SEARCH_CELL.FRONTIER) classes.push("search-frontier");
+      if (searchPathKeys.has(`${row},${col}`)) classes.push("search-path");
+      const current = searchView.current;
+      if (current && current[0] === row && current[1] === col) {
+        classes.push("search-current");
+      }
+    }
+
+    // Route analysis
+    if (routeView) {
+      const key = `${row},${col}`;
+      if (routeCells.optimal.has(key)) classes.push("route-optimal");
+      const rank = routeCells.ranks.get(key);
+      if (rank !== undefined) {
+        classes.push(`route-rank-${rank % ROUTE_COLOR_COUNT}`);
+      }
+    }
+
     // Start position
-    if (row === 1 && col === 1) {
+    if (row === start[0] && col === start[1]) {
       classes.push("start");
     }
 
-    // End position
-    if (row === maze.length - 2 && col === maze[0].length - 2) {
+    // Goal positions
+    if (goalKeys.has(`${row},${col}`)) {
       classes.push("end");
     }
 
@@ -145,6 +286,62 @@ const Maze = ({
     return classes.join(" ");
   };
 
+  // Grid of `rowCount` rows of `maze` from `firstRow` (one floor of a
+  // layered maze, or all of it)
+  const renderGrid = (firstRow, rowCount) => (
+    <div
+      className={`maze-grid${onCellClick || editing ? " placing" : ""}`}
+      style={{
+        gridTemplateColumns: `repeat(${maze[0]?.length || 1}, 1fr)`,
+        maxWidth: largestSide > 50 ? "800px" : "auto",
+        maxHeight: largestSide > 50 ? "800px" : "auto",
+      }}
+    >
+      {maze.slice(firstRow, firstRow + rowCount).map((row, offset) =>
+        row.map((cell, colIndex) => {
+          const rowIndex = firstRow + offset;
+          return (
+            <div
+              key={`${rowIndex}-${colIndex}`}
+              className={getCellClass(rowIndex, colIndex)}
+              onClick={
+                onCellClick ? () => onCellClick(rowIndex, colIndex) : undefined
+              }
+              onMouseDown={
+                editing
+                  ? (e) => {
+                      e.preventDefault(); // No text selection while dragging
+                      paintingRef.current = true;
+                      onCellPaint(rowIndex, colIndex, true);
+                    }
+                  : undefined
+              }
+              onMouseEnter={
+                editing
+                  ? () => {
+                      if (paintingRef.current) {
+                        onCellPaint(rowIndex, colIndex, false);
+                      }
+                    }
+                  : undefined
+              }
+              style={{
+                width:
+                  largestSide > 100 ? "4px" : largestSide > 50 ? "8px" : "20px",
+                height:
+                  largestSide > 100 ? "4px" : largestSide > 50 ? "8px" : "20px",
+                minWidth:
+                  largestSide > 100 ? "4px" : largestSide > 50 ? "8px" : "20px",
+                minHeight:
+                  largestSide > 100 ? "4px" : largestSide > 50 ? "8px" : "20px",
+              }}
+            />
+          );
+        })
+      )}
+    </div>
+  );
+
   return (
     <div className="maze-container">
       <div className="maze-header">
@@ -155,7 +352,7 @@ const Maze = ({
           </div>
           <div className="legend-item">
             <div className="legend-color end"></div>
-            <span>End</span>
+            <span>{goalKeys.size > 1 ? "Goals" : "End"}</span>
           </div>
           <div className="legend-item">
             <div className="legend-color agent"></div>
@@ -171,6 +368,59 @@ const Maze = ({
               <span>Solution</span>
             </div>
           )}
+          {floors && (
+            <div className="legend-item">
+              <div className="legend-color stairs"></div>
+              <span>Stairs (▲ up, ▼ down)</span>
+            </div>
+          )}
+          {terrain &&
+            TERRAIN_BY_ID.filter((type) => type.id !== 0).map((type) => (
+              <div className="legend-item" key={type.key}>
+                <div className={`legend-color terrain-${type.key}`}></div>
+                <span>
+                  {type.name} ({type.cost})
+                </span>
+              </div>
+            ))}
+          {searchView && (
+            <>
+              <div className="legend-item">
+                <div className="legend-color search-frontier"></div>
+                <span>Frontier</span>
+              </div>
+              <div className="legend-item">
+                <div className="legend-color search-closed"></div>
+                <span>Expanded</span>
+              </div>
+              <div className="legend-item">
+                <div className="legend-color search-path"></div>
+                <span>Search Path</span>
+              </div>
+            </>
+          )}
+          {routeView && (
+            <>
+              {routeView.dag && (
+                <div className="legend-item">
+                  <div className="legend-color route-optimal"></div>
+                  <span>Optimal Routes</span>
+                </div>
+              )}
+              {routeView.paths.map(({ cost }, rank) => (
+                <div className="legend-item" key={rank}>
+                  <div
+                    className={`legend-color route-rank-${
+                      rank % ROUTE_COLOR_COUNT
+                    }`}
+                  ></div>
+                  <span>
+                    #{rank + 1} ({cost})
+                  </span>
+                </div>
+              ))}
+            </>
+          )}
           {gameMode !== "classic" && (
             <>
               <div className="legend-item">
@@ -185,6 +435,22 @@ const Maze = ({
                 <div className="legend-color collectible"></div>
                 <span>Item</span>
               </div>
+              {gameMode === "survival" && (
+                <>
+                  <div className="legend-item">
+                    <div className="legend-color food"></div>
+                    <span>Food</span>
+                  </div>
+                  <div className="legend-item">
+                    <div className="legend-color key-item"></div>
+                    <span>Key</span>
+                  </div>
+                  <div className="legend-item">
+                    <div className="legend-color door"></div>
+                    <span>Locked Door</span>
+                  </div>
+                </>
+              )}
               {gameMode === "competitive" && (
                 <div className="legend-item">
                   <div className="legend-color other-agent"></div>
@@ -218,6 +484,83 @@ const Maze = ({
               </>
             )}
         </div>
+        {generationProgress !== null && (
+          <div className="training-indicator">
+            <div className="training-spinner"></div>
+            <span>
+              Building maze... {Math.round(generationProgress * 100)}%
+            </span>
+          </div>
+        )}
+        {editing && (
+          <div
+            className={`edit-indicator ${
+              solution && solution.length > 0 ? "solvable" : "unsolvable"
+            }`}
+          >
+            {solution && solution.length > 0
+              ? `✏️ Editing: solvable in ${solution.length - 1} steps`
+              : "✏️ Editing: no path to a goal"}
+          </div>
+        )}
+        {searchView && !searchView.done && (
+          <div className="training-indicator">
+            <div className="training-spinner"></div>
+            <span>
+              {searchView.algorithm}: {searchView.expanded || 0} expanded,{" "}
+              {searchView.frontierSize || 0} in frontier
+            </span>
+          </div>
+        )}
+        {routeView?.dag && (
+          <div className="route-indicator">
+            🛣️ {routeView.dag.pathCount.toLocaleString()} optimal route
+            {routeView.dag.pathCount === 1 ? "" : "s"}, cost{" "}
+            {routeView.dag.cost}
+            {routeScore &&
+              (routeScore.optimal
+                ? " · agent: optimal"
+                : ` · agent: +${routeScore.excess} (${
+                    routeScore.rank
+                      ? `#${routeScore.rank}`
+                      : `beyond #${routeView.paths.length}`
+                  })`)}
+          </div>
+        )}
+        {keyRoute && (
+          <div className="route-indicator">
+            🔑{" "}
+            {keyRoute.optimal
+              ? `Optimal with keys: ${keyRoute.optimal.cost}${
+                  keyRoute.optimal.keyOrder.length > 0
+                    ? ` (${keyRoute.optimal.keyOrder.join(" → ")})`
+                    : ""
+                }`
+              : "No route through the doors"}
+            {" · agent: "}
+            {keyRoute.agentCost !== null
+              ? keyRoute.agentCost
+              : "did not finish"}
+          </div>
+        )}
+        {tourRoute && (
+          <div className="route-indicator">
+            💎{" "}
+            {tourRoute.optimal
+              ? `Max-score route: ${tourRoute.optimal.order.length}/${
+                  tourRoute.itemCount
+                } items, ${tourRoute.optimal.score} pts, cost ${
+                  tourRoute.optimal.cost
+                }${tourRoute.optimal.exact ? "" : " (heuristic)"}`
+              : tourRoute.lockedDoors > 0
+              ? "No route to the exit without passing a locked door"
+              : "No route to the exit"}
+            {` · agent: ${tourRoute.agentItems} items, ${tourRoute.agentScore} pts, `}
+            {tourRoute.agentCost !== null
+              ? `cost ${tourRoute.agentCost}`
+              : "did not finish"}
+          </div>
+        )}
         {isTraining && (
           <div className="training-indicator">
             <div className="training-spinner"></div>
@@ -226,33 +569,54 @@ const Maze = ({
         )}
       </div>
 
-      <div
-        className="maze-grid"
-        style={{
-          gridTemplateColumns: `repeat(${maze[0]?.length || 1}, 1fr)`,
-          maxWidth: maze.length > 50 ? "800px" : "auto",
-          maxHeight: maze.length > 50 ? "800px" : "auto",
-        }}
-      >
-        {maze.map((row, rowIndex) =>
-          row.map((cell, colIndex) => (
-            <div
-              key={`${rowIndex}-${colIndex}`}
-              className={getCellClass(rowIndex, colIndex)}
-              style={{
-                width:
-                  maze.length > 100 ? "4px" : maze.length > 50 ? "8px" : "20px",
-                height:
-                  maze.length > 100 ? "4px" : maze.length > 50 ? "8px" : "20px",
-                minWidth:
-                  maze.length > 100 ? "4px" : maze.length > 50 ? "8px" : "20px",
-                minHeight:
-                  maze.length > 100 ? "4px" : maze.length > 50 ? "8px" : "20px",
-              }}
-            />
-          ))
-        )}
-      </div>
+      {useCanvas ? (
+        <MazeCanvas
+          maze={maze}
+          agentPosition={agentPosition}
+          agentPath={agentPath}
+          solution={solution}
+          showSolution={showSolution}
+          gameStatus={gameStatus}
+          gameMode={gameMode}
+          visualData={visualData}
+          start={start}
+          goals={goals}
+          terrain={terrain}
+          onCellClick={onCellClick}
+          onCellPaint={onCellPaint}
+          paintingRef={paintingRef}
+          searchView={searchView}
+          routeView={routeView}
+        />
+      ) : floors ? (
+        <>
+          <div className="floor-switcher">
+            {["all", ...Array.from({ length: floors.count }, (_, f) => f)].map(
+              (view) => (
+                <button
+                  key={view}
+                  type="button"
+                  className={view === floorView ? "active" : ""}
+                  onClick={() => setFloorView(view)}
+                >
+                  {view === "all" ? "All floors" : `Floor ${view + 1}`}
+                  {view === agentFloor ? " 🤖" : ""}
+                </button>
+              )
+            )}
+          </div>
+          <div className="maze-floors">
+            {shownFloors.map((floor) => (
+              <div className="maze-floor" key={floor}>
+                <div className="maze-floor-title">Floor {floor + 1}</div>
+                {renderGrid(floor * floorHeight, floorHeight)}
+              </div>
+            ))}
+          </div>
+        </>
+      ) : (
+        renderGrid(0, maze.length)
+      )}
     </div>
   );
 };
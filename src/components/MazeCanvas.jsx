@@ -0,0 +1,280 @@
+import { useEffect, useRef } from "react";
+import { SEARCH_CELL } from "../ai/SearchTrace";
+import { TERRAIN_TYPES } from "../utils/terrain";
+import "./Maze.css";
+
+// Pixel-per-cell renderer for grids too large for one <div> per cell
+// (e.g. 1001x1001). Colours mirror the .cell classes in Maze.css.
+const COLORS = {
+  wall: "#1f2937",
+  path: "#f8fafc",
+  terrainRoad: "#d6d3d1",
+  terrainIce: "#bae6fd",
+  terrainWater: "#5eead4",
+  terrainMud: "#a8865a",
+  agentPath: "#a78bfa",
+  solution: "#06b6d4",
+  water: "#3b82f6",
+  electric: "#facc15",
+  movingWall: "#8b4513",
+  hazard: "#ff4444",
+  collectible: "#ffd700",
+  food: "#22c55e",
+  key: "#c084fc",
+  door: "#b45309",
+  otherAgent: "#ff6b6b",
+  searchFrontier: "#c7d2fe",
+  searchClosed: "#818cf8",
+  searchCurrent: "#f472b6",
+  searchPath: "#0ea5e9",
+  routeOptimal: "#bbf7d0",
+  start: "#4ade80",
+  end: "#f87171",
+  agent: "#f59e0b",
+  agentWon: "#10b981",
+  agentLost: "#ef4444",
+};
+
+// "#rrggbb" -> packed ABGR for a little-endian Uint32Array view of ImageData
+const toPixel = (hex) => {
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return ((255 << 24) | (b << 16) | (g << 8) | r) >>> 0;
+};
+
+const PIXELS = Object.fromEntries(
+  Object.entries(COLORS).map(([name, hex]) => [name, toPixel(hex)])
+);
+
+// Colours of the k cheapest routes, by rank (route-rank-<i> in Maze.css)
+const ROUTE_PIXELS = [
+  "#db2777",
+  "#ea580c",
+  "#65a30d",
+  "#0891b2",
+  "#7c3aed",
+].map(toPixel);
+
+// Terrain id -> pixel for open cells
+const TERRAIN_PIXELS = [];
+TERRAIN_PIXELS[TERRAIN_TYPES.plain.id] = PIXELS.path;
+TERRAIN_PIXELS[TERRAIN_TYPES.road.id] = PIXELS.terrainRoad;
+TERRAIN_PIXELS[TERRAIN_TYPES.ice.id] = PIXELS.terrainIce;
+TERRAIN_PIXELS[TERRAIN_TYPES.water.id] = PIXELS.terrainWater;
+TERRAIN_PIXELS[TERRAIN_TYPES.mud.id] = PIXELS.terrainMud;
+
+const MazeCanvas = ({
+  maze,
+  agentPosition,
+  agentPath,
+  solution,
+  showSolution,
+  gameStatus,
+  gameMode = "classic",
+  visualData = null,
+  start = [1, 1],
+  goals = null,
+  terrain = null,
+  onCellClick = null,
+  onCellPaint = null,
+  paintingRef = null,
+  searchView = null,
+  routeView = null,
+}) => {
+  const canvasRef = useRef(null);
+  const lastPaintedRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const rows = maze.length;
+    const cols = maze[0]?.length || 0;
+    if (!canvas || rows === 0 || cols === 0) return;
+
+    canvas.width = cols;
+    canvas.height = rows;
+    const ctx = canvas.getContext("2d");
+    const image = ctx.createImageData(cols, rows);
+    const pixels = new Uint32Array(image.data.buffer);
+
+    for (let row = 0; row < rows; row++) {
+      const line = maze[row];
+      const terrainLine = terrain?.[row];
+      for (let col = 0; col < cols; col++) {
+        pixels[row * cols + col] =
+          line[col] === 1
+            ? PIXELS.wall
+            : (terrainLine && TERRAIN_PIXELS[terrainLine[col]]) || PIXELS.path;
+      }
+    }
+
+    const paint = (row, col, pixel) => {
+      if (row >= 0 && row < rows && col >= 0 && col < cols) {
+        pixels[row * cols + col] = pixel;
+      }
+    };
+
+    // Same layering as the grid renderer: overlays, then paths, then markers
+    if (visualData) {
+      for (const cell of visualData.flows || []) {
+        const pixel = cell.type === "electric" ? PIXELS.electric : PIXELS.water;
+        paint(cell.position[0], cell.position[1], pixel);
+      }
+      if (gameMode !== "classic") {
+        for (const wall of visualData.movingWalls || []) {
+          for (const [r, c] of wall.segments || [wall.position]) {
+            paint(r, c, PIXELS.movingWall);
+          }
+        }
+        for (const section of visualData.rotatingSections || []) {
+          for (const [r, c] of section.segments || []) {
+            paint(r, c, PIXELS.movingWall);
+          }
+        }
+        for (const hazard of visualData.hazards || []) {
+          paint(hazard.position[0], hazard.position[1], PIXELS.hazard);
+        }
+        for (const item of visualData.collectibles || []) {
+          paint(item.position[0], item.position[1], PIXELS.collectible);
+        }
+        for (const food of visualData.food || []) {
+          paint(food.position[0], food.position[1], PIXELS.food);
+        }
+        for (const key of visualData.keys || []) {
+          paint(key.position[0], key.position[1], PIXELS.key);
+        }
+        for (const door of visualData.doors || []) {
+          paint(door.position[0], door.position[1], PIXELS.door);
+        }
+        for (const agent of visualData.otherAgents || []) {
+          paint(agent.position[0], agent.position[1], PIXELS.otherAgent);
+        }
+      }
+    }
+
+    if (searchView) {
+      const { cells } = searchView;
+      if (cells && cells.length === pixels.length) {
+        for (let i = 0; i < cells.length; i++) {
+          if (cells[i] === SEARCH_CELL.CLOSED) {
+            pixels[i] = PIXELS.searchClosed;
+          } else if (cells[i] === SEARCH_CELL.FRONTIER) {
+            pixels[i] = PIXELS.searchFrontier;
+          }
+        }
+      }
+      for (const [r, c] of searchView.path || []) {
+        paint(r, c, PIXELS.searchPath);
+      }
+      if (searchView.current) {
+        paint(
+          searchView.current[0],
+          searchView.current[1],
+          PIXELS.searchCurrent
+        );
+      }
+    }
+
+    if (routeView) {
+      for (const [r, c] of routeView.dag?.cells || []) {
+        paint(r, c, PIXELS.routeOptimal);
+      }
+      // Cheapest last, so it stays on top where routes overlap
+      for (let rank = routeView.paths.length - 1; rank >= 0; rank--) {
+        const pixel = ROUTE_PIXELS[rank % ROUTE_PIXELS.length];
+        for (const [r, c] of routeView.paths[rank].path) paint(r, c, pixel);
+      }
+    }
+
+    for (const [r, c] of agentPath || []) {
+      paint(r, c, PIXELS.agentPath);
+    }
+    if (showSolution) {
+      // Solution points are [x, y] = [col, row]
+      for (const [c, r] of solution || []) {
+        paint(r, c, PIXELS.solution);
+      }
+    }
+
+    paint(start[0], start[1], PIXELS.start);
+    for (const [r, c] of goals || [[rows - 2, cols - 2]]) {
+      paint(r, c, PIXELS.end);
+    }
+    if (agentPosition) {
+      const agentPixel =
+        gameStatus === "won"
+          ? PIXELS.agentWon
+          : gameStatus === "lost"
+          ? PIXELS.agentLost
+          : PIXELS.agent;
+      paint(agentPosition[0], agentPosition[1], agentPixel);
+    }
+
+    ctx.putImageData(image, 0, 0);
+  }, [
+    maze,
+    agentPosition,
+    agentPath,
+    solution,
+    showSolution,
+    gameStatus,
+    gameMode,
+    visualData,
+    start,
+    goals,
+    terrain,
+    searchView,
+    routeView,
+  ]);
+
+  // The canvas is scaled by CSS, so map the pointer (inside the border)
+  // back to a grid cell; null when outside the grid
+  const cellFromEvent = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left - canvas.clientLeft;
+    const y = e.clientY - rect.top - canvas.clientTop;
+    const col = Math.floor((x / canvas.clientWidth) * canvas.width);
+    const row = Math.floor((y / canvas.clientHeight) * canvas.height);
+    if (row >= 0 && row < canvas.height && col >= 0 && col < canvas.width) {
+      return [row, col];
+    }
+    return null;
+  };
+
+  const handleClick = (e) => {
+    const cell = cellFromEvent(e);
+    if (cell) onCellClick(cell[0], cell[1]);
+  };
+
+  // Edit strokes: paint once per cell the pointer crosses
+  const handleMouseDown = (e) => {
+    const cell = cellFromEvent(e);
+    if (!cell) return;
+    e.preventDefault();
+    paintingRef.current = true;
+    lastPaintedRef.current = cell;
+    onCellPaint(cell[0], cell[1], true);
+  };
+
+  const handleMouseMove = (e) => {
+    if (!paintingRef.current) return;
+    const cell = cellFromEvent(e);
+    const last = lastPaintedRef.current;
+    if (!cell || (last && last[0] === cell[0] && last[1] === cell[1])) return;
+    lastPaintedRef.current = cell;
+    onCellPaint(cell[0], cell[1], false);
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={`maze-canvas${onCellClick || onCellPaint ? " placing" : ""}`}
+      onClick={onCellClick ? handleClick : undefined}
+      onMouseDown={onCellPaint ? handleMouseDown : undefined}
+      onMouseMove={onCellPaint ? handleMouseMove : undefined}
+    />
+  );
+};
+
+export default MazeCanvas;
@@ -1,11 +1,23 @@
+import { getDifficultyLevel } from "../utils/mazeAnalysis";
 import "./Statistics.css";
 
-const Statistics = ({ stats, gameStatus }) => {
+const Statistics = ({
+  stats,
+  gameStatus,
+  mazeAnalysis = null,
+  searchProgress = null,
+  agentExplored = 0,
+}) => {
   const formatNumber = (num) => {
     if (typeof num !== "number") return "0";
     return num.toLocaleString();
   };
 
+  // Search and agent exploration bars are relative to the open cells
+  const openCells = mazeAnalysis?.openCells || 0;
+  const toPercent = (count, total) =>
+    total > 0 ? Math.min((count / total) * 100, 100) : 0;
+
   const getStatusColor = () => {
     switch (gameStatus) {
       case "won":
@@ -83,6 +95,23 @@ const Statistics = ({ stats, gameStatus }) => {
           </div>
         </div>
 
+        {stats.algorithm && (
+          <div className="stat-card info">
+            <div className="stat-icon">🧮</div>
+            <div className="stat-content">
+              <div className="stat-value">{stats.algorithm}</div>
+              <div className="stat-label">TD Algorithm</div>
+              <div className="stat-description">
+                {stats.lambda > 0
+                  ? `λ = ${stats.lambda}, ${stats.traceType} traces`
+                  : stats.nStep > 1
+                  ? `${stats.nStep}-step returns`
+                  : "One-step updates"}
+              </div>
+            </div>
+          </div>
+        )}
+
         {stats.currentStrategy && (
           <div className="stat-card primary">
             <div className="stat-icon">
@@ -97,7 +126,7 @@ const Statistics = ({ stats, gameStatus }) => {
               <div className="stat-label">Current Strategy</div>
               <div className="stat-description">
                 {stats.currentStrategy === "pathfinding"
-                  ? "Using optimal pathfinding algorithms"
+                  ? `Following ${stats.pathfinder || "optimal"} paths`
                   : "Learning through reinforcement"}
               </div>
             </div>
@@ -183,6 +212,116 @@ const Statistics = ({ stats, gameStatus }) => {
             </div>
           </div>
         )}
+
+        {searchProgress && (
+          <div className="progress-item">
+            <div className="progress-header">
+              <span>{searchProgress.algorithm} Expanded</span>
+              <span>
+                {formatNumber(searchProgress.expanded)} nodes
+                {searchProgress.done &&
+                  (searchProgress.path
+                    ? `, path ${formatNumber(
+                        searchProgress.path.length - 1
+                      )} steps`
+                    : ", no path")}
+              </span>
+            </div>
+            <div className="progress-bar">
+              <div
+                className="progress-fill search"
+                style={{
+                  width: `${toPercent(searchProgress.expanded, openCells)}%`,
+                }}
+              ></div>
+            </div>
+            <div className="progress-header">
+              <span>Agent Explored</span>
+              <span>{formatNumber(agentExplored)} cells</span>
+            </div>
+            <div className="progress-bar">
+              <div
+                className="progress-fill exploration"
+                style={{ width: `${toPercent(agentExplored, openCells)}%` }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {mazeAnalysis && (
+          <div className="progress-item">
+            <div className="progress-header">
+              <span>Maze Difficulty</span>
+              <span
+                className="difficulty-badge"
+                style={{
+                  backgroundColor: getDifficultyLevel(mazeAnalysis.difficulty)
+                    .color,
+                }}
+              >
+                {mazeAnalysis.difficultyLabel} ({mazeAnalysis.difficulty}/100)
+              </span>
+            </div>
+            <div className="progress-bar">
+              <div
+                className="progress-fill difficulty"
+                style={{ width: `${mazeAnalysis.difficulty}%` }}
+              ></div>
+            </div>
+            <div className="analysis-grid">
+              <div>
+                <span className="analysis-value">
+                  {mazeAnalysis.solvable
+                    ? formatNumber(mazeAnalysis.solutionLength)
+                    : "—"}
+                </span>
+                <span className="analysis-label">Solution steps</span>
+              </div>
+              <div>
+                <span className="analysis-value">
+                  {(mazeAnalysis.solutionRatio * 100).toFixed(1)}%
+                </span>
+                <span className="analysis-label">Solution / area</span>
+              </div>
+              <div>
+                <span className="analysis-value">
+                  {formatNumber(mazeAnalysis.deadEnds)}
+                </span>
+                <span className="analysis-label">Dead ends</span>
+              </div>
+              <div>
+                <span className="analysis-value">
+                  {formatNumber(mazeAnalysis.junctions)}
+                </span>
+                <span className="analysis-label">Junctions</span>
+              </div>
+              <div>
+                <span className="analysis-value">
+                  {formatNumber(mazeAnalysis.loops)}
+                </span>
+                <span className="analysis-label">Loops</span>
+              </div>
+              <div>
+                <span className="analysis-value">
+                  {mazeAnalysis.riverFactor.toFixed(2)}
+                </span>
+                <span className="analysis-label">River factor</span>
+              </div>
+              <div>
+                <span className="analysis-value">
+                  {formatNumber(mazeAnalysis.longestCorridor)}
+                </span>
+                <span className="analysis-label">Longest corridor</span>
+              </div>
+              <div>
+                <span className="analysis-value">
+                  {mazeAnalysis.branchingFactor.toFixed(2)}
+                </span>
+                <span className="analysis-label">Branching on route</span>
+              </div>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,156 @@
+import { useMemo } from "react";
+import "./Maze.css";
+import "./TopologyMazeView.css";
+
+// Stroke widths in cell units (hex cells have unit radius, triangles unit
+// sides, polar rings unit height)
+const WALL_WIDTH = 0.12;
+const PATH_WIDTH = 0.2;
+const AGENT_RADIUS = 0.25;
+
+// SVG view of a hex, triangle or polar passage maze (see utils/topology.js):
+// cells as topology polygons, every closed side as one wall path, and the
+// agent's path and the solution as polylines through cell centres. Classic
+// square grids keep the Maze component.
+const TopologyMazeView = ({
+  topology,
+  maze,
+  agentPosition,
+  agentPath,
+  solution,
+  showSolution,
+  isTraining,
+  gameStatus,
+  start = [0, 0],
+  goals = [],
+  onCellClick = null,
+}) => {
+  const cells = useMemo(() => {
+    const list = [];
+    for (let index = 0; index < topology.cellCount; index++) {
+      const position = topology.position(index);
+      list.push({ position, path: topology.cellPath(position) });
+    }
+    return list;
+  }, [topology]);
+
+  // Each shared side is drawn once, from its lower-index cell; outer sides
+  // have no neighbour and are always walls
+  const walls = useMemo(() => {
+    const segments = [];
+    for (const { position } of cells) {
+      const index = topology.index(position);
+      for (let direction = 0; direction < topology.directions; direction++) {
+        const next = topology.adjacent(position, direction);
+        if (next && topology.index(next) < index) continue;
+        if (next && topology.neighbour(maze, position, direction)) continue;
+        const wall = topology.wallPath(position, direction);
+        if (wall) segments.push(wall);
+      }
+    }
+    return segments.join(" ");
+  }, [topology, maze, cells]);
+
+  const points = (path) =>
+    path.map((position) => topology.center(position).join(",")).join(" ");
+
+  const marker = (position) => topology.cellPath(position);
+  const isPlaced = (position) => topology.isCell(position);
+  const { width, height } = topology.bounds;
+  const margin = 0.5;
+
+  return (
+    <div className="maze-container">
+      <div className="maze-header">
+        <div className="maze-legend">
+          <div className="legend-item">
+            <div className="legend-color start"></div>
+            <span>Start</span>
+          </div>
+          <div className="legend-item">
+            <div className="legend-color end"></div>
+            <span>{goals.length > 1 ? "Goals" : "End"}</span>
+          </div>
+          <div className="legend-item">
+            <div className="legend-color agent"></div>
+            <span>AI Agent</span>
+          </div>
+          <div className="legend-item">
+            <div className="legend-color agent-path"></div>
+            <span>AI Path</span>
+          </div>
+          {showSolution && (
+            <div className="legend-item">
+              <div className="legend-color solution-path"></div>
+              <span>Solution</span>
+            </div>
+          )}
+        </div>
+        {isTraining && (
+          <div className="training-indicator">
+            <div className="training-spinner"></div>
+            <span>Training in progress...</span>
+          </div>
+        )}
+      </div>
+
+      <svg
+        className={`topology-maze${onCellClick ? " placing" : ""}`}
+        viewBox={`${-margin} ${-margin} ${width + 2 * margin} ${
+          height + 2 * margin
+        }`}
+      >
+        <g className="topology-cells">
+          {cells.map(({ position, path }) => (
+            <path
+              key={`${position[0]}-${position[1]}`}
+              d={path}
+              onClick={
+                onCellClick
+                  ? () => onCellClick(position[0], position[1])
+                  : undefined
+              }
+            />
+          ))}
+        </g>
+        {isPlaced(start) && (
+          <path className="topology-start" d={marker(start)} />
+        )}
+        {goals.filter(isPlaced).map((goal) => (
+          <path
+            key={`goal-${goal[0]}-${goal[1]}`}
+            className="topology-goal"
+            d={marker(goal)}
+          />
+        ))}
+        {showSolution && solution?.length > 1 && (
+          <polyline
+            className="topology-solution"
+            strokeWidth={PATH_WIDTH}
+            points={points(solution.map(([x, y]) => [y, x]))}
+          />
+        )}
+        {agentPath?.length > 1 && (
+          <polyline
+            className="topology-agent-path"
+            strokeWidth={PATH_WIDTH}
+            points={points(agentPath)}
+          />
+        )}
+        <path className="topology-walls" strokeWidth={WALL_WIDTH} d={walls} />
+        {agentPosition && isPlaced(agentPosition) && (
+          <circle
+            className={`topology-agent ${
+              gameStatus === "won" ? "won" : gameStatus === "lost" ? "lost" : ""
+            }`}
+            cx={topology.center(agentPosition)[0]}
+            cy={topology.center(agentPosition)[1]}
+            r={AGENT_RADIUS}
+          />
+        )}
+      </svg>
+    </div>
+  );
+};
+
+export default TopologyMazeView;
@@ -1,8 +1,13 @@
 // Lightweight 2D flow simulator for grid mazes (water/electric)
 // Water: gravity-driven spread; Electricity: wave propagation along paths.
+// With a terrain layer, flow stays in a cell for ceil(cost) ticks before it
+// spreads on, so it crawls through mud and water but crosses roads at the
+// full one cell per tick.
+
+import { terrainCostGrid } from "../utils/terrain.js";
 
 export class FlowSimulator {
-  constructor(width, height, maze, type = "water") {
+  constructor(width, height, maze, type = "water", options = {}) {
     this.width = width;
     this.height = height;
     this.type = type; // 'water' | 'electric'
@@ -14,18 +19,41 @@ export class FlowSimulator {
     this.dirY = Array.from({ length: height }, () => new Int8Array(width));
     // moving flag
     this.moving = Array.from({ length: height }, () => new Uint8Array(width));
+    // ticks the flow has spent in each occupied cell
+    this.age = Array.from({ length: height }, () => new Uint16Array(width));
+    this.setTerrain(options.terrain || null);
+  }
+
+  setTerrain(terrain) {
+    this.costs = terrainCostGrid(terrain); // flat, null = every cell costs 1
   }
 
-  reset(maze) {
+  reset(maze, terrain) {
     this.maze = maze || this.maze;
+    if (terrain !== undefined) this.setTerrain(terrain);
     for (let i = 0; i < this.height; i++) {
       this.occ[i].fill(0);
       this.dirX[i].fill(0);
       this.dirY[i].fill(0);
       this.moving[i].fill(0);
+      this.age[i].fill(0);
     }
   }
 
+  // Flow in (x, y) may spread once it has been there for the cell's cost
+  isReady(x, y) {
+    if (!this.costs) return true;
+    return this.age[x][y] + 1 >= this.costs[x * this.width + y];
+  }
+
+  // Flow held back by costly terrain: stays put, still marked as moving
+  hold(x, y, next) {
+    next.occ[x][y] = 1;
+    next.dirX[x][y] = this.dirX[x][y];
+    next.dirY[x][y] = this.dirY[x][y];
+    next.moving[x][y] = 1;
+  }
+
   // Add flow across all open top cells
   pourFromTop() {
     for (let y = 0; y < this.width; y++) {
@@ -65,12 +93,22 @@ export class FlowSimulator {
       { length: this.height },
       () => new Uint8Array(this.width)
     );
+    const next = {
+      occ: nextOcc,
+      dirX: nextDX,
+      dirY: nextDY,
+      moving: nextMoving,
+    };
 
     if (this.type === "water") {
       // Gravity-first spread: down, then left/right, then up (slight seep)
       for (let x = 0; x < this.height; x++) {
         for (let y = 0; y < this.width; y++) {
           if (!this.occ[x][y]) continue;
+          if (!this.isReady(x, y)) {
+            this.hold(x, y, next);
+            continue;
+          }
           // try down
           if (this.isOpen(x + 1, y)) {
             nextOcc[x + 1][y] = 1;
@@ -110,6 +148,10 @@ export class FlowSimulator {
       for (let x = 0; x < this.height; x++) {
         for (let y = 0; y < this.width; y++) {
           if (!this.occ[x][y]) continue;
+          if (!this.isReady(x, y)) {
+            this.hold(x, y, next);
+            continue;
+          }
           const dirs = [
             [1, 0],
             [-1, 0],
@@ -139,7 +181,21 @@ export class FlowSimulator {
       }
     }
 
+    // Cells that stay occupied age by a tick; newly reached ones start at 0
+    const nextAge = Array.from(
+      { length: this.height },
+      () => new Uint16Array(this.width)
+    );
+    for (let x = 0; x < this.height; x++) {
+      for (let y = 0; y < this.width; y++) {
+        if (nextOcc[x][y] && this.occ[x][y]) {
+          nextAge[x][y] = Math.min(this.age[x][y] + 1, 0xffff);
+        }
+      }
+    }
+
     // Apply next state
+    this.age = nextAge;
     this.occ = nextOcc;
     this.dirX = nextDX;
     this.dirY = nextDY;
@@ -0,0 +1,118 @@
+// Indexed binary min-heap over integer ids (flat cell indices)
+// Each id is in the heap at most once, so lowering its priority is a
+// decrease-key (sift up) rather than a duplicate push. All storage is typed
+// arrays sized once, which keeps million-cell searches allocation-free.
+
+export class IndexedMinHeap {
+  constructor(capacity) {
+    this.heap = new Int32Array(capacity); // Heap slot -> id
+    this.slot = new Int32Array(capacity).fill(-1); // Id -> heap slot, -1 if absent
+    this.priority = new Float64Array(capacity);
+    this.size = 0;
+  }
+
+  has(id) {
+    return this.slot[id] !== -1;
+  }
+
+  // Insert `id`, or lower its priority if it is already queued. Returns
+  // false when the id is queued with an equal or lower priority.
+  push(id, priority) {
+    if (this.slot[id] === -1) {
+      this.heap[this.size] = id;
+      this.slot[id] = this.size;
+      this.size++;
+    } else if (priority >= this.priority[id]) {
+      return false;
+    }
+    this.priority[id] = priority;
+    this.siftUp(this.slot[id]);
+    return true;
+  }
+
+  // Insert `id` or move it to `priority` in either direction (incremental
+  // planners re-key vertices up as well as down)
+  update(id, priority) {
+    if (this.slot[id] === -1) {
+      this.push(id, priority);
+      return;
+    }
+    const previous = this.priority[id];
+    this.priority[id] = priority;
+    if (priority < previous) this.siftUp(this.slot[id]);
+    else this.siftDown(this.slot[id]);
+  }
+
+  remove(id) {
+    const index = this.slot[id];
+    if (index === -1) return;
+    this.slot[id] = -1;
+    this.size--;
+    if (index === this.size) return;
+    const last = this.heap[this.size];
+    this.heap[index] = last;
+    this.slot[last] = index;
+    this.siftDown(index);
+    this.siftUp(this.slot[last]);
+  }
+
+  // Remove and return the id with the lowest priority (-1 when empty)
+  pop() {
+    if (this.size === 0) return -1;
+    const top = this.heap[0];
+    this.slot[top] = -1;
+    this.size--;
+    if (this.size > 0) {
+      const last = this.heap[this.size];
+      this.heap[0] = last;
+      this.slot[last] = 0;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  peekPriority() {
+    return this.size > 0 ? this.priority[this.heap[0]] : Infinity;
+  }
+
+  clear() {
+    for (let i = 0; i < this.size; i++) this.slot[this.heap[i]] = -1;
+    this.size = 0;
+  }
+
+  siftUp(index) {
+    const { heap, slot, priority } = this;
+    const id = heap[index];
+    const value = priority[id];
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = heap[parentIndex];
+      if (priority[parent] <= value) break;
+      heap[index] = parent;
+      slot[parent] = index;
+      index = parentIndex;
+    }
+    heap[index] = id;
+    slot[id] = index;
+  }
+
+  siftDown(index) {
+    const { heap, slot, priority } = this;
+    const id = heap[index];
+    const value = priority[id];
+    const half = this.size >> 1;
+    while (index < half) {
+      let child = 2 * index + 1;
+      const right = child + 1;
+      if (right < this.size && priority[heap[right]] < priority[heap[child]]) {
+        child = right;
+      }
+      if (priority[heap[child]] >= value) break;
+      heap[index] = heap[child];
+      slot[heap[child]] = index;
+      index = child;
+    }
+    heap[index] = id;
+    slot[id] = index;
+  }
+}
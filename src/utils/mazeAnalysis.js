@@ -0,0 +1,268 @@
+// Structural metrics for a maze grid and a composite difficulty rating
+// Works on the open-cell graph (every cell but walls, stairs included), so
+// it applies to any generator, braided or not, and to layered mazes.
+// Positions are [row, col]; flat typed arrays keep it linear on 1001x1001
+// grids.
+
+import { STAIRS, findMazeSolution } from "./mazeGenerator.js";
+import { defaultEndpoints } from "./mazeEndpoints.js";
+
+export const DIFFICULTY_LEVELS = [
+  { min: 0, label: "Easy", color: "#10b981" },
+  { min: 25, label: "Medium", color: "#f59e0b" },
+  { min: 50, label: "Hard", color: "#ef4444" },
+  { min: 75, label: "Extreme", color: "#8b5cf6" },
+];
+
+const DIRECTIONS = [
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1],
+];
+
+// Neighbour slots: the four sides, then the flights of stairs to the next
+// and the previous floor
+const SLOTS = DIRECTIONS.length + 2;
+
+// Open cells of `maze` with `floors` stacked floors (see topology.js): a
+// STAIRS cell also links to the STAIRS cell straight above or below it one
+// floor over. `neighbour(index, slot)` is the flat index of the open cell
+// in that slot, or -1.
+const openGraph = (maze, floors) => {
+  const rows = maze.length;
+  const cols = maze[0]?.length || 0;
+  const floorHeight = rows / floors;
+  const open = new Uint8Array(rows * cols);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (maze[row][col] !== 1) open[row * cols + col] = 1;
+    }
+  }
+
+  const neighbour = (index, slot) => {
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    if (slot < DIRECTIONS.length) {
+      const r = row + DIRECTIONS[slot][0];
+      const c = col + DIRECTIONS[slot][1];
+      return r >= 0 && r < rows && c >= 0 && c < cols && open[r * cols + c]
+        ? r * cols + c
+        : -1;
+    }
+    if (floors < 2 || maze[row][col] !== STAIRS) return -1;
+    const r = row + (slot === DIRECTIONS.length ? floorHeight : -floorHeight);
+    return r >= 0 && r < rows && maze[r][col] === STAIRS ? r * cols + col : -1;
+  };
+
+  // Steps within the floor plus one per floor between them
+  const distance = ([r1, c1], [r2, c2]) =>
+    Math.abs((r1 % floorHeight) - (r2 % floorHeight)) +
+    Math.abs(c1 - c2) +
+    Math.abs(Math.floor(r1 / floorHeight) - Math.floor(r2 / floorHeight));
+
+  return { rows, cols, open, neighbour, distance };
+};
+
+export const getDifficultyLevel = (score) =>
+  DIFFICULTY_LEVELS.reduce((level, next) => (score >= next.min ? next : level));
+
+// `solution` may be passed in (as returned by findMazeSolution, [x, y]
+// points) to avoid solving the maze twice. `endpoints.floors` marks a
+// layered maze, as for findMazeSolution.
+export const analyzeMaze = (
+  maze,
+  endpoints = {},
+  solution = findMazeSolution(maze, endpoints)
+) => {
+  const graph = openGraph(maze, endpoints.floors || 1);
+  const { rows, cols, open, neighbour } = graph;
+  const { start, goals } = {
+    ...defaultEndpoints(cols, rows),
+    ...endpoints,
+  };
+
+  // Degree of every open cell; 0 marks walls
+  const degree = new Uint8Array(rows * cols);
+  let openCells = 0;
+  let edges = 0;
+  let deadEnds = 0;
+  let junctions = 0;
+  let corridorCells = 0;
+
+  for (let index = 0; index < open.length; index++) {
+    if (!open[index]) continue;
+    openCells++;
+    let neighbours = 0;
+    for (let slot = 0; slot < SLOTS; slot++) {
+      if (neighbour(index, slot) !== -1) neighbours++;
+    }
+    degree[index] = neighbours;
+    edges += neighbours;
+    if (neighbours === 1) deadEnds++;
+    else if (neighbours === 2) corridorCells++;
+    else if (neighbours >= 3) junctions++;
+  }
+  edges /= 2;
+
+  const longestCorridor = findLongestCorridor(graph, degree);
+  const components = countComponents(graph);
+  // Independent cycles of the open-cell graph; 0 for a perfect maze
+  const loops = Math.max(0, edges - openCells + components);
+
+  // Solution metrics; branching counts the exits a solver could take at each
+  // step besides the one it came from (1 = pure corridor)
+  const path = (solution || []).map(([x, y]) => [y, x]);
+  const solutionLength = Math.max(0, path.length - 1);
+  let solutionJunctions = 0;
+  let branchSum = 0;
+  for (let i = 1; i < path.length - 1; i++) {
+    const d = degree[path[i][0] * cols + path[i][1]];
+    branchSum += d - 1;
+    if (d >= 3) solutionJunctions++;
+  }
+  const branchingFactor = path.length > 2 ? branchSum / (path.length - 2) : 0;
+  const solutionRatio = openCells > 0 ? path.length / openCells : 0;
+  const goal = path.length > 0 ? path[path.length - 1] : goals[0];
+  const directDistance = Math.max(1, graph.distance(start, goal));
+
+  // "River" factor (after Walter Pullen): share of open cells that sit in
+  // plain corridors. High for long flowing passages (backtracker), low for
+  // bushy mazes with many short dead ends (Prim's)
+  const riverFactor = openCells > 0 ? corridorCells / openCells : 0;
+
+  const difficulty = rateDifficulty({
+    solved: path.length > 0,
+    openCells,
+    deadEnds,
+    solutionLength,
+    solutionJunctions,
+    directDistance,
+  });
+
+  return {
+    width: cols,
+    height: rows,
+    openCells,
+    deadEnds,
+    junctions,
+    loops,
+    solvable: path.length > 0,
+    solutionLength,
+    solutionRatio,
+    riverFactor,
+    longestCorridor,
+    branchingFactor,
+    solutionJunctions,
+    tortuosity: solutionLength / directDistance,
+    difficulty,
+    difficultyLabel: getDifficultyLevel(difficulty).label,
+  };
+};
+
+// Composite 0-100 score from normalized components: how winding the
+// solution is, how many decisions it takes, how many dead ends can trap an
+// explorer, and sheer size
+const rateDifficulty = ({
+  solved,
+  openCells,
+  deadEnds,
+  solutionLength,
+  solutionJunctions,
+  directDistance,
+}) => {
+  if (!solved || openCells === 0) return 0;
+  const winding = Math.min(1, (solutionLength / directDistance - 1) / 4);
+  const decisions = Math.min(
+    1,
+    (solutionJunctions / Math.max(1, solutionLength)) * 4
+  );
+  const traps = Math.min(1, (deadEnds / openCells) * 6);
+  const size = Math.min(1, Math.log10(openCells) / 6);
+  const score = 0.3 * winding + 0.25 * decisions + 0.25 * traps + 0.2 * size;
+  return Math.round(score * 100);
+};
+
+// Longest run of corridor cells between two decision points (junctions or
+// dead ends), counted in cells including both ends. Each corridor is
+// walked once, from the end met first. A closed loop of corridor cells
+// with no decision point on it counts its own cells.
+const findLongestCorridor = ({ neighbour }, degree) => {
+  const seen = new Uint8Array(degree.length);
+  // Next cell along a corridor, away from `prev`
+  const onward = (current, prev) => {
+    for (let slot = 0; slot < SLOTS; slot++) {
+      const next = neighbour(current, slot);
+      if (next !== -1 && next !== prev) return next;
+    }
+    return -1;
+  };
+  let longest = 0;
+
+  for (let index = 0; index < degree.length; index++) {
+    const d = degree[index];
+    if (d === 0 || d === 2) continue;
+
+    for (let slot = 0; slot < SLOTS; slot++) {
+      let current = neighbour(index, slot);
+      // Already walked from its other end
+      if (current === -1 || seen[current]) continue;
+      let length = 1; // The decision point itself
+      let prev = index;
+
+      while (degree[current] === 2 && !seen[current]) {
+        seen[current] = 1;
+        length++;
+        const next = onward(current, prev);
+        prev = current;
+        current = next;
+      }
+      if (degree[current] !== 2) length++; // The decision point at the end
+      longest = Math.max(longest, length);
+    }
+  }
+
+  // Corridor cells left unseen can only form closed loops
+  for (let index = 0; index < degree.length; index++) {
+    if (degree[index] !== 2 || seen[index]) continue;
+    let length = 0;
+    let prev = -1;
+    let current = index;
+    while (!seen[current]) {
+      seen[current] = 1;
+      length++;
+      const next = onward(current, prev);
+      prev = current;
+      current = next;
+    }
+    longest = Math.max(longest, length);
+  }
+
+  return longest;
+};
+
+const countComponents = ({ open, neighbour }) => {
+  const seen = new Uint8Array(open.length);
+  const stack = new Int32Array(open.length);
+  let components = 0;
+
+  for (let index = 0; index < open.length; index++) {
+    if (seen[index] || !open[index]) continue;
+    components++;
+    let top = 0;
+    stack[top++] = index;
+    seen[index] = 1;
+    while (top > 0) {
+      const current = stack[--top];
+      for (let slot = 0; slot < SLOTS; slot++) {
+        const next = neighbour(current, slot);
+        if (next !== -1 && !seen[next]) {
+          seen[next] = 1;
+          stack[top++] = next;
+        }
+      }
+    }
+  }
+
+  return components;
+};
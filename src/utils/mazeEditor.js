@@ -0,0 +1,102 @@
+// Maze editor tools and grid edits
+// Wall, start and goal tools work in every mode; element tools place
+// DynamicMazeElements items and are offered only in the modes whose update
+// logic uses them. Positions are [row, col]; edits return new arrays so React
+// state updates stay cheap on large grids (only the touched row is copied).
+
+import { isGoal, isInterior, samePosition } from "./mazeEndpoints.js";
+
+export const EDITOR_TOOLS = {
+  wall: {
+    name: "Wall / Path",
+    emoji: "🧱",
+    description: "Click or drag to toggle walls",
+  },
+  start: { name: "Start", emoji: "🟢", description: "Click to move the start" },
+  goal: { name: "Goal", emoji: "🏁", description: "Click to add/remove goals" },
+  hazard: {
+    name: "Hazard",
+    emoji: "⚠️",
+    description: "Damages the agent on contact",
+    modes: ["survival", "procedural"],
+  },
+  food: {
+    name: "Food",
+    emoji: "🍎",
+    description: "Restores health and energy",
+    modes: ["survival"],
+  },
+  key: {
+    name: "Key",
+    emoji: "🔑",
+    description: "Collected into the agent's inventory",
+    modes: ["survival"],
+  },
+  door: {
+    name: "Locked Door",
+    emoji: "🔒",
+    description: "Opens for the most recently placed key",
+    modes: ["survival"],
+  },
+  collectible: {
+    name: "Collectible",
+    emoji: "💎",
+    description: "Scores points when picked up",
+    modes: ["survival", "competitive", "fog", "procedural"],
+  },
+  movingWall: {
+    name: "Moving Wall",
+    emoji: "🚧",
+    description: "Patrols back and forth, blocking cells",
+    modes: ["dynamic"],
+  },
+  opponent: {
+    name: "Opponent",
+    emoji: "🤖",
+    description: "Rival agent racing to the goal",
+    modes: ["competitive"],
+  },
+  erase: {
+    name: "Erase Element",
+    emoji: "🧽",
+    description: "Remove elements from a cell",
+    modes: ["dynamic", "survival", "competitive", "fog", "procedural"],
+  },
+};
+
+// Tools that place or remove DynamicMazeElements
+export const isElementTool = (tool) => Boolean(EDITOR_TOOLS[tool]?.modes);
+
+export const editorToolsForMode = (gameMode) =>
+  Object.fromEntries(
+    Object.entries(EDITOR_TOOLS).filter(
+      ([, tool]) => !tool.modes || tool.modes.includes(gameMode)
+    )
+  );
+
+// Cells the editor may change: the outer wall stays intact
+export const isEditableCell = (maze, [row, col]) =>
+  isInterior([row, col], maze[0]?.length || 0, maze.length);
+
+export const setCell = (maze, [row, col], value) => {
+  if (maze[row][col] === value) return maze;
+  const next = [...maze];
+  next[row] = [...maze[row]];
+  next[row][col] = value;
+  return next;
+};
+
+// Walls may not cover the start or a goal
+export const isEndpoint = ({ start, goals }, cell) =>
+  samePosition(cell, start) || isGoal(cell, goals);
+
+// Add or remove a goal, keeping at least one
+export const toggleGoal = ({ start, goals }, cell) => {
+  if (samePosition(cell, start)) return { start, goals };
+  const remaining = goals.filter((goal) => !samePosition(goal, cell));
+  if (remaining.length === 0) return { start, goals };
+  return {
+    start,
+    goals: remaining.length < goals.length ? remaining : [...goals, cell],
+  };
+};
@@ -0,0 +1,111 @@
+// Start and goal positions shared by the generator, solvers, agents and UI
+// Positions are [row, col] like agent positions. A maze has one start and
+// one or more goals; reaching any goal ends an episode.
+
+export const DEFAULT_START = [1, 1];
+
+// Bottom-right cell, the classic exit
+export const defaultGoals = (width, height) => [[height - 2, width - 2]];
+
+export const defaultEndpoints = (width, height) => ({
+  start: [...DEFAULT_START],
+  goals: defaultGoals(width, height),
+});
+
+export const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+export const isGoal = (position, goals) =>
+  goals.some((goal) => samePosition(position, goal));
+
+export const manhattan = (a, b) =>
+  Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]);
+
+// Admissible heuristic with several goals: distance to the closest one
+export const goalDistance = (position, goals) => {
+  let best = Infinity;
+  for (const goal of goals) {
+    const distance = manhattan(position, goal);
+    if (distance < best) best = distance;
+  }
+  return best;
+};
+
+export const nearestGoal = (position, goals) => {
+  let best = goals[0];
+  for (const goal of goals) {
+    if (manhattan(position, goal) < manhattan(position, best)) best = goal;
+  }
+  return best;
+};
+
+// Endpoints must sit inside the outer wall
+export const isInterior = ([row, col], width, height) =>
+  row > 0 && row < height - 1 && col > 0 && col < width - 1;
+
+// Keep user-placed endpoints that still fit the grid (e.g. after a resize)
+// and fall back to the defaults for the rest
+export const fitEndpoints = ({ start, goals } = {}, width, height) => {
+  const defaults = defaultEndpoints(width, height);
+  const fittedGoals = (goals || []).filter((goal) =>
+    isInterior(goal, width, height)
+  );
+  return {
+    start:
+      start && isInterior(start, width, height) ? [...start] : defaults.start,
+    goals: fittedGoals.length > 0 ? fittedGoals : defaults.goals,
+  };
+};
+
+// Random open cell for "random start each episode". Rejection sampling is
+// fast on real mazes (~half the grid is open); a scan guarantees a result.
+export const randomOpenCell = (maze, rng = Math.random, exclude = []) => {
+  const rows = maze.length;
+  const cols = maze[0]?.length || 0;
+  const isCandidate = (row, col) =>
+    maze[row][col] === 0 && !exclude.some((p) => p[0] === row && p[1] === col);
+
+  for (let attempt = 0; attempt < 64; attempt++) {
+    const row = Math.floor(rng() * rows);
+    const col = Math.floor(rng() * cols);
+    if (isCandidate(row, col)) return [row, col];
+  }
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (isCandidate(row, col)) return [row, col];
+    }
+  }
+  return null;
+};
+
+// Where an episode begins: the configured start or, with `randomStart`, a
+// random open non-goal cell so learned values cover more than one route.
+// Agents on other topologies pick the cell through their `topology`.
+export const episodeStart = (
+  { start, goals, randomStart, topology },
+  maze,
+  rng
+) =>
+  (randomStart &&
+    maze &&
+    (topology
+      ? topology.randomCell(maze, rng, goals)
+      : randomOpenCell(maze, rng, goals))) || [...start];
+
+// Shared `setEndpoints` of the agents. Start and goals are [row, col];
+// reaching any goal wins. With `randomStart` each episode begins on a
+// random open cell of `maze`, the only thing the agent keeps the maze for.
+// Omitted fields keep the agent's current value, and `fit` (fitEndpoints
+// on the agent's grid by default, or a topology's) keeps them on the maze.
+export const applyEndpoints = (
+  agent,
+  { start, goals, randomStart = agent.randomStart } = {},
+  maze,
+  fit = (endpoints) => fitEndpoints(endpoints, agent.width, agent.height)
+) => {
+  Object.assign(
+    agent,
+    fit({ start: start || agent.start, goals: goals || agent.goals })
+  );
+  agent.randomStart = randomStart;
+  if (maze) agent.maze = maze;
+};
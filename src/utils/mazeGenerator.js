@@ -1,15 +1,182 @@
-// Maze generation using recursive backtracking algorithm
-// This guarantees there's always a path from start to end
+// Maze generation with a family of perfect-maze algorithms
+// Every algorithm carves a spanning tree over the odd "cell" coordinates,
+// which guarantees there's always a path from start to end.
+// Algorithms are iterative generator methods (no recursion), so 1001x1001
+// grids neither overflow the call stack nor block the UI while building.
+
+import { fitEndpoints } from "./mazeEndpoints.js";
+import { createTerrain } from "./terrain.js";
+
+// Registry of generation algorithms; each entry names the MazeGenerator
+// method that carves the maze, so they all share one interface
+export const MAZE_ALGORITHMS = {
+  recursiveBacktracker: {
+    id: "recursiveBacktracker",
+    name: "Recursive Backtracker",
+    description: "Long, twisty corridors with few branches",
+    method: "backtrackGenerate",
+  },
+  prim: {
+    id: "prim",
+    name: "Prim's",
+    description: "Many short dead ends radiating from a random seed cell",
+    method: "primGenerate",
+  },
+  kruskal: {
+    id: "kruskal",
+    name: "Kruskal's",
+    description: "Uniformly scattered short corridors",
+    method: "kruskalGenerate",
+  },
+  wilson: {
+    id: "wilson",
+    name: "Wilson's (Uniform)",
+    description: "Unbiased uniform spanning tree via loop-erased walks",
+    method: "wilsonGenerate",
+  },
+  eller: {
+    id: "eller",
+    name: "Eller's",
+    description: "Row-by-row generation with horizontal bias",
+    method: "ellerGenerate",
+  },
+  huntAndKill: {
+    id: "huntAndKill",
+    name: "Hunt-and-Kill",
+    description: "Long winding passages, similar to the backtracker",
+    method: "huntAndKillGenerate",
+  },
+  binaryTree: {
+    id: "binaryTree",
+    name: "Binary Tree",
+    description: "Strong diagonal bias with open top row and left column",
+    method: "binaryTreeGenerate",
+  },
+  sidewinder: {
+    id: "sidewinder",
+    name: "Sidewinder",
+    description: "Horizontal runs with an open top row",
+    method: "sidewinderGenerate",
+  },
+  growingTree: {
+    id: "growingTree",
+    name: "Growing Tree",
+    description: "Mix of newest and random cell selection",
+    method: "growingTreeGenerate",
+  },
+  dungeon: {
+    id: "dungeon",
+    name: "Dungeon (Rooms)",
+    description: "Open rooms joined by winding corridors, no dead ends",
+    method: "dungeonGenerate",
+  },
+};
+
+export const DEFAULT_MAZE_ALGORITHM = "recursiveBacktracker";
+
+// Cell value of a staircase in a layered maze (0 is open, 1 a wall); see
+// the layered topology in topology.js
+export const STAIRS = 2;
+
+// Layered mazes: floors are stacked top to bottom in one grid, so floor f
+// covers rows f * height .. (f + 1) * height - 1
+export const MAX_MAZE_FLOORS = 5;
+
+// About one staircase per this many cells between each pair of floors
+const CELLS_PER_STAIRCASE = 50;
+
+// Dungeon rooms: sides in cells, and the share of cells they may cover
+const MIN_ROOM_SIDE = 2;
+const MAX_ROOM_SIDE = 6;
+const ROOM_COVERAGE = 0.45;
+
+export const MIN_MAZE_DIMENSION = 5;
+export const MAX_MAZE_DIMENSION = 1001;
+
+// Cells sit on odd coordinates, so the outer wall needs odd dimensions for
+// the bottom-right goal to be a real cell; round even values up
+export const normalizeMazeDimension = (value) => {
+  const size = Math.min(
+    MAX_MAZE_DIMENSION,
+    Math.max(MIN_MAZE_DIMENSION, Math.floor(Number(value)) || 0)
+  );
+  return size % 2 === 0 ? Math.min(MAX_MAZE_DIMENSION, size + 1) : size;
+};
 
 export class MazeGenerator {
-  constructor(width, height) {
+  constructor(width, height, options = {}) {
     this.width = width;
-    this.height = height;
+    // `height` is one floor; layered mazes stack `floors` of them
+    this.floors = Math.min(
+      MAX_MAZE_FLOORS,
+      Math.max(1, Math.floor(options.floors) || 1)
+    );
+    this.floorHeight = height;
+    this.height = height * this.floors;
     this.maze = [];
     this.visited = [];
+    // Pluggable PRNG (see utils/random.js); Math.random when not seeded
+    this.rng = options.rng || Math.random;
+    this.algorithm = MAZE_ALGORITHMS[options.algorithm]
+      ? options.algorithm
+      : DEFAULT_MAZE_ALGORITHM;
+    // Growing Tree: probability of picking the newest cell over a random one
+    this.growingTreeNewestBias =
+      options.growingTreeNewestBias !== undefined
+        ? options.growingTreeNewestBias
+        : 0.5;
+    // Braiding: share of dead ends (0..1) opened up to create loops
+    this.braid = Math.min(1, Math.max(0, options.braid || 0));
+    // Terrain: share of open cells (0..1) covered by weighted terrain
+    this.terrainDensity = Math.min(1, Math.max(0, options.terrain || 0));
+    this.terrain = null;
+    // Start and goals as [row, col]; defaults are top-left and bottom-right
+    const { start, goals } = fitEndpoints(options, width, this.height);
+    this.start = start;
+    this.goals = goals;
+
+    // Progress tracking: a spanning tree over N cells has N - 1 passages
+    this.carvedPassages = 0;
+    this.totalPassages = 0;
   }
 
   generateMaze() {
+    const steps = this.generateSteps();
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return this.maze;
+  }
+
+  // Time-sliced generation for large grids: carves for `sliceMs`, reports
+  // progress, then yields to the event loop. Resolves to null if aborted.
+  async generateMazeAsync({ onProgress, signal, sliceMs = 12 } = {}) {
+    const steps = this.generateSteps();
+    let step = steps.next();
+
+    while (!step.done) {
+      const sliceEnd = performance.now() + sliceMs;
+      for (let i = 1; !step.done; i++) {
+        step = steps.next();
+        if (i % 256 === 0 && performance.now() >= sliceEnd) break;
+      }
+      onProgress?.(this.getProgress());
+
+      if (!step.done) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (signal?.aborted) return null;
+      }
+    }
+
+    return this.maze;
+  }
+
+  // Resumable generation; every `yield` marks one carved passage
+  *generateSteps() {
+    if (this.floors > 1) {
+      yield* this.generateFloors();
+      return;
+    }
+
     // Initialize maze with all walls
     this.maze = Array(this.height)
       .fill()
@@ -17,32 +184,159 @@ export class MazeGenerator {
     this.visited = Array(this.height)
       .fill()
       .map(() => Array(this.width).fill(false));
+    this.carvedPassages = 0;
+    this.totalPassages = Math.max(0, this.getCellCount() - 1);
 
-    // Start from top-left corner
-    this.recursiveBacktrack(1, 1);
+    // Carve with the selected algorithm; the backtracker starts top-left
+    const { method } = MAZE_ALGORITHMS[this.algorithm];
+    yield* this[method](1, 1);
 
-    // Ensure start and end points are open
-    this.maze[1][1] = 0; // Start
-    this.maze[this.height - 2][this.width - 2] = 0; // End
+    // Optional braiding turns the perfect maze into a multiply-connected one
+    if (this.braid > 0) {
+      yield* this.braidDeadEnds(this.braid);
+    }
 
-    return this.maze;
+    // Ensure start and goal points are open and reachable
+    for (const [row, col] of [this.start, ...this.goals]) {
+      this.openEndpoint(col, row);
+    }
   }
 
-  recursiveBacktrack(x, y) {
-    this.visited[y][x] = true;
-    this.maze[y][x] = 0; // Mark as path
+  // Layered maze: each floor is carved (and braided) by a single-floor
+  // generator sharing this rng, the floors are stacked into one grid and
+  // then joined by staircases. Each floor gets the endpoints that lie on it
+  // in its own rows (the rest fall back to its corners), so the dungeon's
+  // dead-end filling keeps their corridors.
+  *generateFloors() {
+    const floors = Array.from({ length: this.floors }, (_, floor) => {
+      const onFloor = ([row, col]) => [row - floor * this.floorHeight, col];
+      return new MazeGenerator(this.width, this.floorHeight, {
+        algorithm: this.algorithm,
+        growingTreeNewestBias: this.growingTreeNewestBias,
+        braid: this.braid,
+        rng: this.rng,
+        start: onFloor(this.start),
+        goals: this.goals.map(onFloor),
+      });
+    });
+    this.carvedPassages = 0;
+    this.totalPassages =
+      this.floors * Math.max(0, floors[0].getCellCount() - 1);
 
-    // Get random directions
-    const directions = this.getShuffledDirections();
+    // Bare yields (setup rows, long walks) carve nothing, so progress
+    // follows each floor's own passage count
+    let carved = 0;
+    for (const floor of floors) {
+      for (const step of floor.generateSteps()) {
+        this.carvedPassages = carved + floor.carvedPassages;
+        yield step;
+      }
+      carved += floor.carvedPassages;
+    }
+    this.maze = floors.flatMap((floor) => floor.maze);
+    this.placeStairs();
 
-    for (const [dx, dy] of directions) {
+    for (const [row, col] of [this.start, ...this.goals]) {
+      this.openEndpoint(col, row);
+    }
+  }
+
+  // Staircases join the same open cell on two neighbouring floors. A cell
+  // holds at most one flight and never sits over a flight on the floor
+  // below (STAIRS cells above each other connect), and endpoints are
+  // avoided unless nothing else is open on both floors (dungeon floors keep
+  // their own corner endpoints open, so there always is a cell).
+  placeStairs() {
+    const perFloor = Math.floor((this.floorHeight - 1) / 2);
+    const cellsPerFloor = Math.floor((this.width - 1) / 2) * perFloor;
+    const count = Math.max(1, Math.round(cellsPerFloor / CELLS_PER_STAIRCASE));
+    const endpoints = new Set(
+      [this.start, ...this.goals].map(([row, col]) => `${row},${col}`)
+    );
+    const isEndpoint = (row, col) => endpoints.has(`${row},${col}`);
+
+    for (let floor = 0; floor < this.floors - 1; floor++) {
+      const offset = floor * this.floorHeight;
+      const above = offset + this.floorHeight;
+      const below = offset - this.floorHeight;
+      const open = this.getCells().filter(
+        ([x, y]) =>
+          y < this.floorHeight &&
+          this.maze[offset + y][x] === 0 &&
+          this.maze[above + y][x] === 0 &&
+          this.maze[below + y]?.[x] !== STAIRS
+      );
+      const free = open.filter(
+        ([x, y]) => !isEndpoint(offset + y, x) && !isEndpoint(above + y, x)
+      );
+      const candidates = this.shuffle(free.length > 0 ? free : open);
+      for (const [x, y] of candidates.slice(0, count)) {
+        this.maze[offset + y][x] = STAIRS;
+        this.maze[above + y][x] = STAIRS;
+      }
+    }
+  }
+
+  // Cells sit on odd coordinates and passages between them, so an endpoint
+  // that was a passage slot is already connected once opened. A pillar
+  // (even, even) touches only passage slots, so one of them is opened too.
+  openEndpoint(x, y) {
+    if (this.maze[y][x] === 1) this.maze[y][x] = 0; // Staircases stay
+    const neighbors = [
+      [x + 1, y],
+      [x - 1, y],
+      [x, y + 1],
+      [x, y - 1],
+    ].filter(
+      ([nx, ny]) =>
+        nx > 0 && nx < this.width - 1 && ny > 0 && ny < this.height - 1
+    );
+    if (!neighbors.some(([nx, ny]) => this.maze[ny][nx] === 0)) {
+      const [nx, ny] = neighbors[0];
+      this.maze[ny][nx] = 0;
+    }
+  }
+
+  // Optional layer of terrain ids over the finished maze (see terrain.js).
+  // Drawn after carving, so the maze itself does not depend on it.
+  generateTerrain() {
+    this.terrain = createTerrain(this.maze, {
+      density: this.terrainDensity,
+      rng: this.rng,
+    });
+    return this.terrain;
+  }
+
+  getProgress() {
+    return this.totalPassages > 0
+      ? Math.min(1, this.carvedPassages / this.totalPassages)
+      : 1;
+  }
+
+  // Depth-first backtracker with an explicit stack instead of recursion.
+  // Frames are [x, y, shuffledDirections, nextDirectionIndex]; directions
+  // are shuffled when a cell is entered, matching the recursive order.
+  *backtrackGenerate(startX, startY) {
+    this.markCell(startX, startY);
+    const stack = [[startX, startY, this.getShuffledDirections(), 0]];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const [x, y, directions] = frame;
+      if (frame[3] >= directions.length) {
+        stack.pop();
+        continue;
+      }
+
+      const [dx, dy] = directions[frame[3]++];
       const newX = x + dx * 2;
       const newY = y + dy * 2;
 
       if (this.isValidCell(newX, newY) && !this.visited[newY][newX]) {
         // Remove wall between current cell and new cell
-        this.maze[y + dy][x + dx] = 0;
-        this.recursiveBacktrack(newX, newY);
+        this.carvePassage(x, y, newX, newY);
+        stack.push([newX, newY, this.getShuffledDirections(), 0]);
+        yield;
       }
     }
   }
@@ -54,57 +348,630 @@ export class MazeGenerator {
       [0, -1],
       [-1, 0],
     ];
-    // Fisher-Yates shuffle
-    for (let i = directions.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [directions[i], directions[j]] = [directions[j], directions[i]];
-    }
-    return directions;
+    return this.shuffle(directions);
   }
 
   isValidCell(x, y) {
     return x > 0 && x < this.width - 1 && y > 0 && y < this.height - 1;
   }
 
-  // Find the solution path using BFS for validation
-  findSolution() {
-    const queue = [[1, 1, []]];
-    const visited = new Set();
-    const endX = this.width - 2;
-    const endY = this.height - 2;
+  // --- Shared helpers for cell-based algorithms ---
+  // Cells live on odd coordinates; walls between them on the even ones
 
-    while (queue.length > 0) {
-      const [x, y, path] = queue.shift();
-      const key = `${x},${y}`;
+  getCellCount() {
+    return Math.floor((this.width - 1) / 2) * Math.floor((this.height - 1) / 2);
+  }
 
-      if (visited.has(key)) continue;
-      visited.add(key);
+  getCells() {
+    const cells = [];
+    for (let y = 1; y < this.height - 1; y += 2) {
+      for (let x = 1; x < this.width - 1; x += 2) {
+        cells.push([x, y]);
+      }
+    }
+    return cells;
+  }
 
-      const newPath = [...path, [x, y]];
+  getRandomCell() {
+    const cols = Math.floor((this.width - 1) / 2);
+    const rows = Math.floor((this.height - 1) / 2);
+    return [
+      1 + 2 * Math.floor(this.rng() * cols),
+      1 + 2 * Math.floor(this.rng() * rows),
+    ];
+  }
+
+  // Neighbouring cells (two steps away) inside the outer wall
+  getCellNeighbors(x, y) {
+    const neighbors = [];
+    for (const [dx, dy] of this.getShuffledDirections()) {
+      const newX = x + dx * 2;
+      const newY = y + dy * 2;
+      if (this.isValidCell(newX, newY)) {
+        neighbors.push([newX, newY]);
+      }
+    }
+    return neighbors;
+  }
+
+  markCell(x, y) {
+    this.visited[y][x] = true;
+    this.maze[y][x] = 0;
+  }
+
+  // Open both cells and the wall between them
+  carvePassage(x1, y1, x2, y2) {
+    this.markCell(x1, y1);
+    this.markCell(x2, y2);
+    this.openWall(x1, y1, x2, y2);
+  }
+
+  openWall(x1, y1, x2, y2) {
+    this.maze[(y1 + y2) / 2][(x1 + x2) / 2] = 0;
+    this.carvedPassages++;
+  }
+
+  pickRandom(items) {
+    return items[Math.floor(this.rng() * items.length)];
+  }
+
+  // --- Generation algorithms (see MAZE_ALGORITHMS) ---
+
+  // Randomized Prim's: grow from a random cell by connecting frontier cells
+  *primGenerate() {
+    const frontier = [];
+    const inFrontier = new Set();
+    const addFrontier = (x, y) => {
+      for (const [nx, ny] of this.getCellNeighbors(x, y)) {
+        const key = `${nx},${ny}`;
+        if (!this.visited[ny][nx] && !inFrontier.has(key)) {
+          inFrontier.add(key);
+          frontier.push([nx, ny]);
+        }
+      }
+    };
+
+    const [startX, startY] = this.getRandomCell();
+    this.markCell(startX, startY);
+    addFrontier(startX, startY);
+
+    while (frontier.length > 0) {
+      // Swap-remove a random frontier cell
+      const index = Math.floor(this.rng() * frontier.length);
+      const [x, y] = frontier[index];
+      frontier[index] = frontier[frontier.length - 1];
+      frontier.pop();
+
+      const inMaze = this.getCellNeighbors(x, y).filter(
+        ([nx, ny]) => this.visited[ny][nx]
+      );
+      const [px, py] = this.pickRandom(inMaze);
+      this.carvePassage(x, y, px, py);
+      yield;
+      addFrontier(x, y);
+    }
+  }
+
+  // Randomized Kruskal's: join cells through shuffled walls via union-find
+  *kruskalGenerate() {
+    const cols = Math.floor((this.width - 1) / 2);
+    const rows = Math.floor((this.height - 1) / 2);
+    yield* this.joinCells(new DisjointSet(cols * rows));
+  }
+
+  // Kruskal's pass over every wall in random order, opening those between
+  // two sets. Walls are numbers (cell index * 2, +1 for the one below) so
+  // large grids don't leave millions of small arrays to the collector; bare
+  // yields per row keep the setup time-sliced
+  *joinCells(sets) {
+    const cols = Math.floor((this.width - 1) / 2);
+    const indexOf = (x, y) => ((y - 1) / 2) * cols + (x - 1) / 2;
 
-      if (x === endX && y === endY) {
-        return newPath;
+    const walls = [];
+    for (let y = 1; y < this.height - 1; y += 2) {
+      for (let x = 1; x < this.width - 1; x += 2) {
+        this.markCell(x, y);
+        if (this.isValidCell(x + 2, y)) walls.push(indexOf(x, y) * 2);
+        if (this.isValidCell(x, y + 2)) walls.push(indexOf(x, y) * 2 + 1);
       }
+      yield;
+    }
+    this.shuffle(walls);
+
+    for (const wall of walls) {
+      const cell = wall >> 1;
+      const x1 = 2 * (cell % cols) + 1;
+      const y1 = 2 * Math.floor(cell / cols) + 1;
+      const [x2, y2] = wall & 1 ? [x1, y1 + 2] : [x1 + 2, y1];
+      if (sets.union(cell, indexOf(x2, y2))) {
+        this.carvePassage(x1, y1, x2, y2);
+        yield;
+      }
+    }
+  }
+
+  // Wilson's: loop-erased random walks give a uniform spanning tree
+  *wilsonGenerate() {
+    const { width } = this;
+    const cols = Math.floor((width - 1) / 2);
+    const root = Math.floor(this.rng() * this.getCellCount());
+    this.markCell(2 * (root % cols) + 1, 2 * Math.floor(root / cols) + 1);
+    // Last exit out of each grid position (y * width + x), reused by every
+    // walk: the carve below only follows cells the current walk set
+    const exits = new Int32Array(width * this.height);
+
+    for (let cellY = 1; cellY < this.height - 1; cellY += 2) {
+      for (let cellX = 1; cellX < width - 1; cellX += 2) {
+        if (this.visited[cellY][cellX]) continue;
+
+        // Walk until hitting the maze, remembering only the last exit per cell
+        let [x, y] = [cellX, cellY];
+        while (!this.visited[y][x]) {
+          const [nx, ny] = this.pickRandom(this.getCellNeighbors(x, y));
+          exits[y * width + x] = ny * width + nx;
+          [x, y] = [nx, ny];
+          yield; // The first walks can wander for millions of steps
+        }
+
+        // Carve the loop-erased path up to (not into) the existing maze
+        [x, y] = [cellX, cellY];
+        while (!this.visited[y][x]) {
+          const next = exits[y * width + x];
+          const [nx, ny] = [next % width, Math.floor(next / width)];
+          this.markCell(x, y);
+          this.openWall(x, y, nx, ny);
+          [x, y] = [nx, ny];
+          yield;
+        }
+      }
+    }
+  }
 
-      const directions = [
+  // Eller's: one row at a time, tracking which set each cell belongs to
+  *ellerGenerate() {
+    const rows = [];
+    for (let y = 1; y < this.height - 1; y += 2) rows.push(y);
+    const xs = [];
+    for (let x = 1; x < this.width - 1; x += 2) xs.push(x);
+
+    let nextSet = 0;
+    let rowSets = xs.map(() => nextSet++);
+
+    for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+      const y = rows[rowIndex];
+      const isLastRow = rowIndex === rows.length - 1;
+      xs.forEach((x) => this.markCell(x, y));
+
+      // Randomly merge horizontally adjacent cells of different sets
+      for (let i = 0; i < xs.length - 1; i++) {
+        if (rowSets[i] === rowSets[i + 1]) continue;
+        if (isLastRow || this.rng() < 0.5) {
+          this.carvePassage(xs[i], y, xs[i + 1], y);
+          yield;
+          const kept = rowSets[i];
+          const merged = rowSets[i + 1];
+          rowSets = rowSets.map((set) => (set === merged ? kept : set));
+        }
+      }
+      if (isLastRow) break;
+
+      // Every set extends down at least once
+      const members = new Map();
+      rowSets.forEach((set, i) => {
+        if (!members.has(set)) members.set(set, []);
+        members.get(set).push(i);
+      });
+      const nextRowSets = xs.map(() => null);
+      for (const [set, indices] of members) {
+        this.shuffle(indices);
+        const count = 1 + Math.floor(this.rng() * indices.length);
+        for (const i of indices.slice(0, count)) {
+          this.carvePassage(xs[i], y, xs[i], y + 2);
+          yield;
+          nextRowSets[i] = set;
+        }
+      }
+      rowSets = nextRowSets.map((set) => (set === null ? nextSet++ : set));
+    }
+  }
+
+  // Hunt-and-Kill: random walk until stuck, then hunt for a new start cell
+  *huntAndKillGenerate(startX, startY) {
+    const cells = this.getCells();
+    let huntFrom = 0; // Every cell before this index is already visited
+    let current = [startX, startY];
+    this.markCell(startX, startY);
+
+    while (current) {
+      const [x, y] = current;
+      const unvisited = this.getCellNeighbors(x, y).filter(
+        ([nx, ny]) => !this.visited[ny][nx]
+      );
+
+      if (unvisited.length > 0) {
+        const [nx, ny] = unvisited[0];
+        this.carvePassage(x, y, nx, ny);
+        yield;
+        current = [nx, ny];
+        continue;
+      }
+
+      // Hunt: first unvisited cell adjacent to the maze, scanning row-wise
+      current = null;
+      while (huntFrom < cells.length) {
+        const [hx, hy] = cells[huntFrom];
+        if (!this.visited[hy][hx]) break;
+        huntFrom++;
+      }
+      for (let i = huntFrom; i < cells.length; i++) {
+        const [cx, cy] = cells[i];
+        if (this.visited[cy][cx]) continue;
+        const inMaze = this.getCellNeighbors(cx, cy).filter(
+          ([nx, ny]) => this.visited[ny][nx]
+        );
+        if (inMaze.length > 0) {
+          const [nx, ny] = inMaze[0];
+          this.carvePassage(cx, cy, nx, ny);
+          yield;
+          current = [cx, cy];
+          break;
+        }
+      }
+    }
+  }
+
+  // Binary Tree: every cell opens either north or west
+  *binaryTreeGenerate() {
+    for (const [x, y] of this.getCells()) {
+      this.markCell(x, y);
+      const options = [];
+      if (this.isValidCell(x, y - 2)) options.push([x, y - 2]);
+      if (this.isValidCell(x - 2, y)) options.push([x - 2, y]);
+      if (options.length > 0) {
+        const [nx, ny] = this.pickRandom(options);
+        this.carvePassage(x, y, nx, ny);
+        yield;
+      }
+    }
+  }
+
+  // Sidewinder: horizontal runs, each closed by one passage north
+  *sidewinderGenerate() {
+    for (let y = 1; y < this.height - 1; y += 2) {
+      let run = [];
+      for (let x = 1; x < this.width - 1; x += 2) {
+        this.markCell(x, y);
+        run.push(x);
+
+        const atEastWall = !this.isValidCell(x + 2, y);
+        const atNorthWall = !this.isValidCell(x, y - 2);
+        const closeRun = atEastWall || (!atNorthWall && this.rng() < 0.5);
+
+        if (closeRun) {
+          if (!atNorthWall) {
+            const runX = this.pickRandom(run);
+            this.carvePassage(runX, y, runX, y - 2);
+            yield;
+          }
+          run = [];
+        } else {
+          this.carvePassage(x, y, x + 2, y);
+          yield;
+        }
+      }
+    }
+  }
+
+  // Growing Tree: keep an active list and pick newest or random cells.
+  // Removed cells become holes that are compacted lazily, keeping the
+  // list ordered (for "newest") without O(n) splices.
+  *growingTreeGenerate(startX, startY) {
+    let active = [[startX, startY]];
+    let live = 1;
+    this.markCell(startX, startY);
+
+    while (live > 0) {
+      while (active[active.length - 1] === null) active.pop();
+      let index = active.length - 1;
+      if (this.rng() >= this.growingTreeNewestBias) {
+        do {
+          index = Math.floor(this.rng() * active.length);
+        } while (active[index] === null);
+      }
+
+      const [x, y] = active[index];
+      const unvisited = this.getCellNeighbors(x, y).filter(
+        ([nx, ny]) => !this.visited[ny][nx]
+      );
+
+      if (unvisited.length > 0) {
+        const [nx, ny] = unvisited[0];
+        this.carvePassage(x, y, nx, ny);
+        yield;
+        active.push([nx, ny]);
+        live++;
+      } else {
+        active[index] = null;
+        live--;
+        if (live * 2 < active.length) {
+          active = active.filter((cell) => cell !== null);
+        }
+      }
+    }
+  }
+
+  // Dungeon: open rooms first, then Kruskal's over all cells with every
+  // room already one set, so corridors join the rooms (and any cell left
+  // between them) into one tree. Dead-end corridors are filled back in
+  // afterwards, leaving rooms and the corridors that link them.
+  *dungeonGenerate() {
+    const cols = Math.floor((this.width - 1) / 2);
+    const rows = Math.floor((this.height - 1) / 2);
+    const indexOf = (x, y) => ((y - 1) / 2) * cols + (x - 1) / 2;
+    const sets = new DisjointSet(cols * rows);
+
+    const { rooms, roomMask } = yield* this.placeRooms();
+    for (const { x, y, width, height } of rooms) {
+      for (let row = y; row < y + height; row++) {
+        for (let col = x; col < x + width; col++) this.maze[row][col] = 0;
+      }
+      // Every cell but the first joins the room's set (one passage each)
+      const first = indexOf(x, y);
+      for (let cellY = y; cellY < y + height; cellY += 2) {
+        for (let cellX = x; cellX < x + width; cellX += 2) {
+          this.visited[cellY][cellX] = true;
+          if (!sets.union(first, indexOf(cellX, cellY))) continue;
+          this.carvedPassages++;
+          yield;
+        }
+      }
+    }
+
+    yield* this.joinCells(sets);
+
+    yield* this.fillDeadEnds(roomMask);
+  }
+
+  // Random non-overlapping rooms on cell coordinates, as grid rectangles
+  // { x, y, width, height } from one odd corner to another, and a grid
+  // mask (y * width + x) of the cells inside them. Rooms may sit a single
+  // wall apart; the corridor tree decides whether that wall opens. Yields
+  // before every attempt.
+  *placeRooms() {
+    const cols = Math.floor((this.width - 1) / 2);
+    const rows = Math.floor((this.height - 1) / 2);
+    const maxSide = Math.max(
+      MIN_ROOM_SIDE,
+      Math.min(MAX_ROOM_SIDE, Math.floor(Math.min(cols, rows) / 3))
+    );
+    const taken = new Uint8Array(cols * rows);
+    const roomMask = new Uint8Array(this.width * this.height);
+    const rooms = [];
+    let covered = 0;
+
+    const attempts = Math.ceil((cols * rows) / 4);
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      yield;
+      if (covered >= cols * rows * ROOM_COVERAGE) break;
+      const side = () =>
+        MIN_ROOM_SIDE + Math.floor(this.rng() * (maxSide - MIN_ROOM_SIDE + 1));
+      const roomCols = Math.min(cols, side());
+      const roomRows = Math.min(rows, side());
+      const left = Math.floor(this.rng() * (cols - roomCols + 1));
+      const top = Math.floor(this.rng() * (rows - roomRows + 1));
+
+      let free = true;
+      for (let r = top; free && r < top + roomRows; r++) {
+        for (let c = left; free && c < left + roomCols; c++) {
+          if (taken[r * cols + c]) free = false;
+        }
+      }
+      if (!free) continue;
+      for (let r = top; r < top + roomRows; r++) {
+        taken.fill(1, r * cols + left, r * cols + left + roomCols);
+      }
+      covered += roomCols * roomRows;
+      const room = {
+        x: 2 * left + 1,
+        y: 2 * top + 1,
+        width: 2 * roomCols - 1,
+        height: 2 * roomRows - 1,
+      };
+      for (let y = room.y; y < room.y + room.height; y++) {
+        const rowStart = y * this.width + room.x;
+        roomMask.fill(1, rowStart, rowStart + room.width);
+      }
+      rooms.push(room);
+    }
+    return { rooms, roomMask };
+  }
+
+  // Walls up corridor dead ends until none are left. Room cells and the
+  // cells around the start and goals stay open, so removing leaves of the
+  // corridor tree never cuts them off from each other. Yields per scanned
+  // row and filled cell, so large dungeons stay time-sliced to the end.
+  *fillDeadEnds(roomMask) {
+    const kept = roomMask.slice();
+    for (const [row, col] of [this.start, ...this.goals]) {
+      for (let y = row - 1; y <= row + 1; y++) {
+        for (let x = col - 1; x <= col + 1; x++) {
+          if (y >= 0 && y < this.height && x >= 0 && x < this.width) {
+            kept[y * this.width + x] = 1;
+          }
+        }
+      }
+    }
+
+    const stack = [];
+    for (let y = 1; y < this.height - 1; y += 2) {
+      for (let x = 1; x < this.width - 1; x += 2) {
+        if (this.isDeadEnd(x, y)) stack.push([x, y]);
+      }
+      yield;
+    }
+    while (stack.length > 0) {
+      const [x, y] = stack.pop();
+      if (!this.isDeadEnd(x, y) || kept[y * this.width + x]) continue;
+      this.maze[y][x] = 1;
+      for (const [dx, dy] of [
         [0, 1],
         [1, 0],
         [0, -1],
         [-1, 0],
-      ];
+      ]) {
+        if (this.maze[y + dy][x + dx] !== 0) continue;
+        this.maze[y + dy][x + dx] = 1;
+        stack.push([x + dx * 2, y + dy * 2]);
+      }
+      yield;
+    }
+  }
+
+  // --- Braiding ---
+
+  // Number of open passages leading out of a cell
+  countPassages(x, y) {
+    const directions = [
+      [0, 1],
+      [1, 0],
+      [0, -1],
+      [-1, 0],
+    ];
+    let count = 0;
+    for (const [dx, dy] of directions) {
+      if (
+        this.isValidCell(x + dx * 2, y + dy * 2) &&
+        this.maze[y + dy][x + dx] === 0
+      ) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  isDeadEnd(x, y) {
+    return this.maze[y][x] === 0 && this.countPassages(x, y) === 1;
+  }
+
+  // Knock out one wall at a `density` share of dead ends. Each removal
+  // closes a cycle; linking two dead ends removes both with one wall. Dead
+  // ends are kept as grid indexes (y * width + x), and bare yields per
+  // scanned row and per opened wall keep large grids time-sliced.
+  *braidDeadEnds(density) {
+    const { width } = this;
+    const deadEnds = [];
+    for (let y = 1; y < this.height - 1; y += 2) {
+      for (let x = 1; x < width - 1; x += 2) {
+        if (this.isDeadEnd(x, y)) deadEnds.push(y * width + x);
+      }
+      yield;
+    }
+    this.shuffle(deadEnds);
+
+    for (const index of deadEnds) {
+      const x = index % width;
+      const y = Math.floor(index / width);
+      // An earlier removal may already have opened this one up
+      if (!this.isDeadEnd(x, y)) continue;
+      if (this.rng() >= density) continue;
+
+      const closed = this.getCellNeighbors(x, y).filter(
+        ([nx, ny]) => this.maze[(y + ny) / 2][(x + nx) / 2] === 1
+      );
+      if (closed.length === 0) continue;
+      const deadEndNeighbors = closed.filter(([nx, ny]) =>
+        this.isDeadEnd(nx, ny)
+      );
+      const [nx, ny] = this.pickRandom(
+        deadEndNeighbors.length > 0 ? deadEndNeighbors : closed
+      );
+      this.maze[(y + ny) / 2][(x + nx) / 2] = 0;
+      yield;
+    }
+  }
+
+  // Fisher-Yates shuffle in place
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(this.rng() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  // Find the solution path using BFS for validation. Uses flat typed
+  // arrays and a parent table so it stays linear on million-cell grids.
+  // With several goals the path leads to the closest reachable one; in a
+  // layered maze it climbs staircases too.
+  findSolution(start = this.start, goals = this.goals) {
+    const { width, height, floorHeight } = this;
+    const [startY, startX] = start;
+    const startIndex = startY * width + startX;
+    if ((this.maze[startY]?.[startX] ?? 1) === 1) return null;
+
+    const isGoalIndex = new Uint8Array(width * height);
+    for (const [goalY, goalX] of goals) {
+      isGoalIndex[goalY * width + goalX] = 1;
+    }
+
+    const parent = new Int32Array(width * height).fill(-1);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = startIndex;
+    parent[startIndex] = startIndex;
+
+    const directions = [
+      [0, 1],
+      [1, 0],
+      [0, -1],
+      [-1, 0],
+    ];
+
+    while (head < tail) {
+      const index = queue[head++];
+      if (isGoalIndex[index]) {
+        // Walk parents back to the start; points are [x, y]
+        const path = [];
+        for (let i = index; ; i = parent[i]) {
+          path.push([i % width, Math.floor(i / width)]);
+          if (i === startIndex) break;
+        }
+        return path.reverse();
+      }
+
+      const x = index % width;
+      const y = Math.floor(index / width);
       for (const [dx, dy] of directions) {
         const newX = x + dx;
         const newY = y + dy;
+        const newIndex = newY * width + newX;
 
         if (
           newX >= 0 &&
-          newX < this.width &&
+          newX < width &&
+          newY >= 0 &&
+          newY < height &&
+          this.maze[newY][newX] !== 1 &&
+          parent[newIndex] === -1
+        ) {
+          parent[newIndex] = index;
+          queue[tail++] = newIndex;
+        }
+      }
+
+      // A flight of stairs is a staircase cell on both floors
+      if (this.maze[y][x] !== STAIRS) continue;
+      for (const newY of [y - floorHeight, y + floorHeight]) {
+        const newIndex = newY * width + x;
+        if (
           newY >= 0 &&
-          newY < this.height &&
-          this.maze[newY][newX] === 0 &&
-          !visited.has(`${newX},${newY}`)
+          newY < height &&
+          this.maze[newY][x] === STAIRS &&
+          parent[newIndex] === -1
         ) {
-          queue.push([newX, newY, newPath]);
+          parent[newIndex] = index;
+          queue[tail++] = newIndex;
         }
       }
     }
@@ -113,13 +980,59 @@ export class MazeGenerator {
   }
 }
 
-export const generateMaze = (width, height) => {
-  const generator = new MazeGenerator(width, height);
+// Minimal union-find used by Kruskal's algorithm (also on other topologies)
+export class DisjointSet {
+  constructor(size) {
+    this.parent = new Int32Array(size);
+    for (let i = 0; i < size; i++) this.parent[i] = i;
+  }
+
+  find(i) {
+    while (this.parent[i] !== i) {
+      this.parent[i] = this.parent[this.parent[i]]; // Path halving
+      i = this.parent[i];
+    }
+    return i;
+  }
+
+  // Returns true when the two sets were separate and are now merged
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA === rootB) return false;
+    this.parent[rootB] = rootA;
+    return true;
+  }
+}
+
+export const generateMaze = (width, height, options = {}) => {
+  const generator = new MazeGenerator(width, height, options);
   return generator.generateMaze();
 };
 
-export const findMazeSolution = (maze) => {
-  const generator = new MazeGenerator(maze[0].length, maze.length);
+// Non-blocking variant for large grids; see MazeGenerator.generateMazeAsync
+export const generateMazeAsync = (width, height, options = {}) => {
+  const generator = new MazeGenerator(width, height, options);
+  return generator.generateMazeAsync(options);
+};
+
+// Terrain for an existing (generated, imported or edited) maze; `options`
+// take `terrain` (density) and `rng`
+export const generateTerrain = (maze, options = {}) => {
+  const generator = new MazeGenerator(maze[0].length, maze.length, options);
+  generator.maze = maze;
+  return generator.generateTerrain();
+};
+
+// `endpoints` is { start, goals } in [row, col], plus `floors` for a
+// layered maze; the returned path keeps the generator's [x, y] points
+export const findMazeSolution = (maze, endpoints = {}) => {
+  const floors = endpoints.floors || 1;
+  const generator = new MazeGenerator(
+    maze[0].length,
+    maze.length / floors,
+    endpoints
+  );
   generator.maze = maze;
   return generator.findSolution();
 };
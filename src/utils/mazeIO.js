@@ -0,0 +1,288 @@
+// Maze import/export: versioned JSON, ASCII text and PNG bitmaps
+// JSON keeps everything needed to replay a run (grid, endpoints, seed, game
+// mode, generator settings, terrain, dynamic element placements). ASCII and
+// PNG keep the grid and endpoints only. Positions are [row, col].
+
+import { fitEndpoints, isGoal } from "./mazeEndpoints.js";
+import { fitTerrain, terrainType } from "./terrain.js";
+
+export const MAZE_FILE_FORMAT = "ai-maze";
+export const MAZE_FILE_VERSION = 1;
+
+// Colours for PNG endpoints; walls are black, open cells white
+const PNG_COLORS = {
+  wall: [0, 0, 0],
+  path: [255, 255, 255],
+  start: [74, 222, 128],
+  goal: [248, 113, 113],
+};
+
+const validateGrid = (maze) => {
+  const rows = maze.length;
+  const cols = maze[0]?.length || 0;
+  if (rows < 3 || cols < 3) {
+    throw new Error("Maze must be at least 3x3 cells");
+  }
+  if (maze.some((row) => row.length !== cols)) {
+    throw new Error("Maze rows must all have the same length");
+  }
+  return maze;
+};
+
+// Imported endpoints must lie inside the outer wall (defaults otherwise);
+// like the generator, their cells are always opened
+const validateEndpoints = (maze, endpoints) => {
+  const { start, goals } = fitEndpoints(endpoints, maze[0].length, maze.length);
+  for (const [row, col] of [start, ...goals]) {
+    maze[row][col] = 0;
+  }
+  return { start, goals };
+};
+
+// --- JSON ---
+
+export const mazeToJSON = ({
+  maze,
+  start,
+  goals,
+  seed = null,
+  gameMode = "classic",
+  algorithm = null,
+  braid = 0,
+  terrain = null,
+  terrainDensity = 0,
+  dynamicElements = null,
+}) => {
+  const data = {
+    format: MAZE_FILE_FORMAT,
+    version: MAZE_FILE_VERSION,
+    createdAt: new Date().toISOString(),
+    width: maze[0].length,
+    height: maze.length,
+    // One string of 0/1 per row keeps large grids compact and diffable
+    grid: maze.map((row) => row.join("")),
+    start,
+    goals,
+    seed,
+    gameMode,
+    generator: { algorithm, braid, terrain: terrainDensity },
+    // Terrain ids (see terrain.js) as one digit string per row
+    terrain: terrain ? terrain.map((row) => row.join("")) : null,
+    dynamicElements,
+  };
+  return JSON.stringify(data, null, 2);
+};
+
+// Unknown ids fall back to plain ground; a layer of the wrong shape is dropped
+const parseTerrain = (rows, maze) => {
+  if (!Array.isArray(rows)) return null;
+  const terrain = rows.map((row) =>
+    Array.from(row, (id) => terrainType(Number(id)).id)
+  );
+  return fitTerrain(terrain, maze);
+};
+
+export const parseMazeJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file");
+  }
+  if (data?.format !== MAZE_FILE_FORMAT) {
+    throw new Error(`Not an ${MAZE_FILE_FORMAT} file`);
+  }
+  if (!(data.version >= 1 && data.version <= MAZE_FILE_VERSION)) {
+    throw new Error(`Unsupported maze file version ${data.version}`);
+  }
+  if (!Array.isArray(data.grid)) {
+    throw new Error("Maze file has no grid");
+  }
+
+  // Rows may be "0101" strings or arrays of numbers
+  const maze = validateGrid(
+    data.grid.map((row) =>
+      Array.from(row, (cell) => (Number(cell) === 0 ? 0 : 1))
+    )
+  );
+
+  return {
+    maze,
+    ...validateEndpoints(maze, data),
+    seed: data.seed ?? null,
+    gameMode: data.gameMode || "classic",
+    algorithm: data.generator?.algorithm ?? null,
+    braid: data.generator?.braid ?? 0,
+    terrain: parseTerrain(data.terrain, maze),
+    dynamicElements: data.dynamicElements || null,
+  };
+};
+
+// --- ASCII ---
+// '#' wall, '.' or ' ' open, 'S' start, 'G' or 'E' goal; 0/1 also accepted
+
+export const mazeToAscii = ({ maze, start, goals }) =>
+  maze
+    .map((row, r) =>
+      row
+        .map((cell, c) => {
+          if (start && start[0] === r && start[1] === c) return "S";
+          if (goals && isGoal([r, c], goals)) return "G";
+          return cell === 1 ? "#" : ".";
+        })
+        .join("")
+    )
+    .join("\n") + "\n";
+
+export const parseAsciiMaze = (text) => {
+  const lines = text
+    .replace(/\r/g, "")
+    .split("\n")
+    .filter((line) => line.trim().length > 0);
+  const cols = Math.max(0, ...lines.map((line) => line.length));
+  let start = null;
+  const goals = [];
+
+  const maze = lines.map((line, r) =>
+    Array.from(line.padEnd(cols, "#"), (char, c) => {
+      switch (char) {
+        case "#":
+        case "1":
+          return 1;
+        case ".":
+        case " ":
+        case "0":
+          return 0;
+        case "S":
+          start = [r, c];
+          return 0;
+        case "G":
+        case "E":
+          goals.push([r, c]);
+          return 0;
+        default:
+          throw new Error(
+            `Unexpected character "${char}" at ${r + 1}:${c + 1}`
+          );
+      }
+    })
+  );
+
+  validateGrid(maze);
+  return { maze, ...validateEndpoints(maze, { start, goals }) };
+};
+
+// --- PNG ---
+// One pixel per cell; decoding also accepts upscaled images whose cells are
+// uniform blocks of pixels
+
+export const mazeToPngBlob = ({ maze, start, goals }) => {
+  const rows = maze.length;
+  const cols = maze[0].length;
+  const canvas = document.createElement("canvas");
+  canvas.width = cols;
+  canvas.height = rows;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(cols, rows);
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      let color = maze[r][c] === 1 ? PNG_COLORS.wall : PNG_COLORS.path;
+      if (start && start[0] === r && start[1] === c) color = PNG_COLORS.start;
+      else if (goals && isGoal([r, c], goals)) color = PNG_COLORS.goal;
+      const i = (r * cols + c) * 4;
+      image.data.set([...color, 255], i);
+    }
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+};
+
+// Size of the square pixel blocks that make up one cell: the greatest common
+// divisor of every horizontal and vertical run of same-class pixels
+const detectCellSize = (classes, width, height) => {
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  let size = 0;
+  const addRuns = (length, at) => {
+    let run = 1;
+    for (let i = 1; i <= length; i++) {
+      if (i < length && at(i) === at(i - 1)) {
+        run++;
+      } else {
+        size = gcd(size, run);
+        run = 1;
+      }
+    }
+  };
+  for (let y = 0; y < height && size !== 1; y++) {
+    addRuns(width, (x) => classes[y * width + x]);
+  }
+  for (let x = 0; x < width && size !== 1; x++) {
+    addRuns(height, (y) => classes[y * width + x]);
+  }
+  return Math.max(1, size);
+};
+
+export const parsePngMaze = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const { width, height } = bitmap;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  // 0 path, 1 wall, 2 start (green), 3 goal (red)
+  const classes = new Uint8Array(width * height);
+  for (let i = 0; i < classes.length; i++) {
+    const [r, g, b] = [data[i * 4], data[i * 4 + 1], data[i * 4 + 2]];
+    if (0.299 * r + 0.587 * g + 0.114 * b < 128) classes[i] = 1;
+    else if (g > r + 40 && g > b + 40) classes[i] = 2;
+    else if (r > g + 40 && r > b + 40) classes[i] = 3;
+  }
+
+  const cell = detectCellSize(classes, width, height);
+  const rows = Math.floor(height / cell);
+  const cols = Math.floor(width / cell);
+  let start = null;
+  const goals = [];
+  const maze = Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: cols }, (_, c) => {
+      const value = classes[r * cell * width + c * cell];
+      if (value === 2) start = [r, c];
+      if (value === 3) goals.push([r, c]);
+      return value === 1 ? 1 : 0;
+    })
+  );
+
+  validateGrid(maze);
+  return { maze, ...validateEndpoints(maze, { start, goals }) };
+};
+
+// --- Files ---
+
+// Pick the parser from the file type/extension
+export const importMazeFile = async (file) => {
+  const name = file.name.toLowerCase();
+  if (file.type === "image/png" || name.endsWith(".png")) {
+    return parsePngMaze(file);
+  }
+  const text = await file.text();
+  if (name.endsWith(".json") || text.trimStart().startsWith("{")) {
+    return parseMazeJSON(text);
+  }
+  return parseAsciiMaze(text);
+};
+
+export const downloadFile = (filename, content, type = "text/plain") => {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
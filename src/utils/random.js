@@ -0,0 +1,45 @@
+// Seedable pseudo-random number generation
+// Every source of randomness (maze generation, dynamic elements, agent
+// exploration) takes an `rng` function with the same contract as Math.random,
+// so a run can be reproduced exactly from its seed.
+
+const UINT32 = 0x100000000;
+
+// Mulberry32: tiny, fast 32-bit PRNG with good enough statistical quality
+export const createRng = (seed) => {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  };
+};
+
+// Fresh seed for a new run (not itself reproducible)
+export const randomSeed = () => Math.floor(Math.random() * UINT32);
+
+// Accept numbers or arbitrary strings (e.g. "tricky-maze-3") as seeds
+export const normalizeSeed = (seed) => {
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) % UINT32;
+  }
+  const text = String(seed ?? "").trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) % UINT32;
+  }
+  // FNV-1a string hash
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Independent stream for a named consumer, so that e.g. the agent's
+// exploration does not shift when maze generation consumes more numbers
+export const deriveSeed = (seed, stream) => {
+  return normalizeSeed(`${normalizeSeed(seed)}:${stream}`);
+};
@@ -0,0 +1,167 @@
+// Terrain layer: per-cell traversal costs on top of the 0/1 maze
+// A layer is a grid of terrain ids with the maze's shape (walls keep 0).
+// Entering a cell costs its terrain's `cost`; plain cells cost 1, so a maze
+// without terrain behaves exactly as before. Costs are multiples of
+// TERRAIN_COST_STEP, which lets A* break f ties by h without reordering.
+
+export const TERRAIN_TYPES = {
+  plain: { id: 0, key: "plain", name: "Plain", cost: 1 },
+  road: {
+    id: 1,
+    key: "road",
+    name: "Road",
+    cost: 0.5,
+    description: "Paved; twice as fast as plain ground",
+  },
+  ice: {
+    id: 2,
+    key: "ice",
+    name: "Ice",
+    cost: 1.5,
+    description: "Slippery; careful steps",
+  },
+  water: {
+    id: 3,
+    key: "water",
+    name: "Water",
+    cost: 3,
+    description: "Shallow water to wade through",
+  },
+  mud: {
+    id: 4,
+    key: "mud",
+    name: "Mud",
+    cost: 4,
+    description: "Deep mud; slowest ground",
+  },
+};
+
+// Terrain id -> type
+export const TERRAIN_BY_ID = Object.values(TERRAIN_TYPES).sort(
+  (a, b) => a.id - b.id
+);
+
+export const TERRAIN_COST_STEP = 0.5;
+// Cheapest step anywhere; scales the A* heuristic so it stays admissible
+export const MIN_TERRAIN_COST = Math.min(
+  ...TERRAIN_BY_ID.map((type) => type.cost)
+);
+
+// Relative frequency of each generated (non-plain) terrain
+const TERRAIN_WEIGHTS = { road: 3, ice: 2, water: 3, mud: 3 };
+
+// Generated patches grow to roughly this many cells (plus a size share)
+const PATCH_MIN_CELLS = 4;
+const PATCH_MAX_CELLS = 16;
+
+export const terrainType = (id) => TERRAIN_BY_ID[id] || TERRAIN_TYPES.plain;
+
+export const terrainCostAt = (terrain, [row, col]) =>
+  terrain ? terrainType(terrain[row]?.[col]).cost : 1;
+
+// Flat per-cell costs (index = row * cols + col), null without terrain
+export const terrainCostGrid = (terrain) => {
+  if (!terrain) return null;
+  const rows = terrain.length;
+  const cols = terrain[0].length;
+  const costs = new Float64Array(rows * cols);
+  for (let row = 0; row < rows; row++) {
+    const line = terrain[row];
+    for (let col = 0; col < cols; col++) {
+      costs[row * cols + col] = terrainType(line[col]).cost;
+    }
+  }
+  return costs;
+};
+
+// Total cost of walking `path` ([row, col] cells); the start is free
+export const pathCost = (path, terrain) => {
+  if (!path) return 0;
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) cost += terrainCostAt(terrain, path[i]);
+  return cost;
+};
+
+// Grow patches of random terrain over open cells until `density` (0..1) of
+// them are covered. Patches spread breadth-first, so in corridors they run
+// along the passage. Returns null for density 0.
+export const createTerrain = (
+  maze,
+  { density = 0, rng = Math.random } = {}
+) => {
+  if (density <= 0) return null;
+  const rows = maze.length;
+  const cols = maze[0].length;
+  const terrain = maze.map((line) => new Array(line.length).fill(0));
+  const open = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (maze[row][col] === 0) open.push(row * cols + col);
+    }
+  }
+
+  const weighted = Object.entries(TERRAIN_WEIGHTS);
+  const totalWeight = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+  const pickType = () => {
+    let roll = rng() * totalWeight;
+    for (const [key, weight] of weighted) {
+      roll -= weight;
+      if (roll < 0) return TERRAIN_TYPES[key].id;
+    }
+    return TERRAIN_TYPES[weighted[weighted.length - 1][0]].id;
+  };
+
+  const target = Math.round(Math.min(1, density) * open.length);
+  const sizeBonus = Math.floor(Math.max(rows, cols) / 8);
+  const queue = new Int32Array(rows * cols);
+  let covered = 0;
+  // Random seeds may land on covered cells; bound the attempts
+  for (
+    let attempt = 0;
+    covered < target && attempt < open.length * 2;
+    attempt++
+  ) {
+    const seedCell = open[Math.floor(rng() * open.length)];
+    if (terrain[Math.floor(seedCell / cols)][seedCell % cols] !== 0) continue;
+
+    const type = pickType();
+    const size =
+      PATCH_MIN_CELLS +
+      Math.floor(rng() * (PATCH_MAX_CELLS - PATCH_MIN_CELLS + sizeBonus));
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = seedCell;
+    let grown = 0;
+    while (head < tail && grown < size && covered < target) {
+      const cell = queue[head++];
+      const row = Math.floor(cell / cols);
+      const col = cell % cols;
+      if (terrain[row][col] !== 0) continue;
+      terrain[row][col] = type;
+      grown++;
+      covered++;
+      for (const [dr, dc] of [
+        [-1, 0],
+        [0, 1],
+        [1, 0],
+        [0, -1],
+      ]) {
+        const r = row + dr;
+        const c = col + dc;
+        if (maze[r]?.[c] === 0 && terrain[r][c] === 0 && tail < queue.length) {
+          queue[tail++] = r * cols + c;
+        }
+      }
+    }
+  }
+
+  return terrain;
+};
+
+// Keep a layer only when it matches the maze's shape
+export const fitTerrain = (terrain, maze) =>
+  Array.isArray(terrain) &&
+  terrain.length === maze.length &&
+  terrain.every((line, row) => line?.length === maze[row].length)
+    ? terrain
+    : null;
@@ -0,0 +1,460 @@
+// Maze topologies: which cells exist and how they connect
+// Every topology names cells [row, col] and gives each cell's neighbours
+// in fixed direction slots, so generators, solvers and agents only need
+// `adjacent` / `neighbour` and never assume four directions. Square mazes
+// keep the 0/1 grid where walls are cells; layered mazes stack square
+// floors in one such grid and add staircase moves. Hex, triangle and polar
+// mazes are passage mazes: maze[row][col] is a bitmask of the direction slots
+// with an open passage (rows of a polar maze differ in length).
+
+import {
+  defaultEndpoints,
+  fitEndpoints,
+  manhattan,
+  randomOpenCell,
+} from "./mazeEndpoints.js";
+import { STAIRS } from "./mazeGenerator.js";
+
+// Registry; `create(width, height, floors)` sizes a topology from the maze
+// size controls (only layered mazes use `floors`), `passages` marks the
+// passage-maze kinds
+export const TOPOLOGIES = {
+  square: {
+    id: "square",
+    name: "Square",
+    description: "Four-way grid; walls are cells",
+    passages: false,
+    create: (width, height) => createSquareTopology(width, height),
+  },
+  layered: {
+    id: "layered",
+    name: "Multi-level (3D)",
+    description: "Stacked square floors joined by staircases",
+    passages: false,
+    create: (width, height, floors = DEFAULT_FLOORS) =>
+      createLayeredTopology(width, height, floors),
+  },
+  hex: {
+    id: "hex",
+    name: "Hexagonal",
+    description: "Six neighbours per cell; no straight corridors",
+    passages: true,
+    create: (width, height) =>
+      createHexTopology(passageSize(width), passageSize(height)),
+  },
+  triangle: {
+    id: "triangle",
+    name: "Triangular",
+    description: "Three neighbours per cell; up and down triangles",
+    passages: true,
+    create: (width, height) =>
+      createTriangleTopology(2 * passageSize(width), passageSize(height)),
+  },
+  polar: {
+    id: "polar",
+    name: "Circular (theta)",
+    description: "Rings around a centre cell; outer rings split cells",
+    passages: true,
+    create: (width, height) =>
+      createPolarTopology(passageSize(Math.min(width, height))),
+  },
+};
+
+export const DEFAULT_TOPOLOGY = "square";
+
+// Floors of a new layered maze (see MAX_MAZE_FLOORS)
+export const DEFAULT_FLOORS = 3;
+
+// Passage mazes are drawn as SVG; past this many rows they get unreadable
+export const MAX_PASSAGE_ROWS = 75;
+
+// A square maze of size n holds (n - 1) / 2 cells per side; passage mazes
+// of the same size setting get about as many
+const passageSize = (size) =>
+  Math.min(MAX_PASSAGE_ROWS, Math.max(2, Math.floor((size - 1) / 2)));
+
+const SQUARE_DIRECTIONS = [
+  [-1, 0], // up
+  [0, 1], // right
+  [1, 0], // down
+  [0, -1], // left
+];
+
+export const createSquareTopology = (width, height) => ({
+  id: "square",
+  passages: false,
+  rows: height,
+  width,
+  height,
+  directions: 4,
+  columns: () => width,
+  adjacent: ([row, col], direction) => {
+    const [dr, dc] = SQUARE_DIRECTIONS[direction];
+    const r = row + dr;
+    const c = col + dc;
+    return r >= 0 && r < height && c >= 0 && c < width ? [r, c] : null;
+  },
+  neighbour(maze, position, direction) {
+    const next = this.adjacent(position, direction);
+    return next && maze[next[0]][next[1]] === 0 ? next : null;
+  },
+  distance: manhattan,
+  randomCell: randomOpenCell,
+  defaultEndpoints: () => defaultEndpoints(width, height),
+  fitEndpoints: (endpoints) => fitEndpoints(endpoints, width, height),
+});
+
+// Floors of `floorHeight` rows stacked top to bottom in one 0/1 grid (as
+// MazeGenerator builds them). Slots 0-3 are the square moves within a
+// floor; 4 climbs to the next floor (drawn below in the grid) and 5 goes
+// back down, both only between two STAIRS cells.
+export const createLayeredTopology = (width, floorHeight, floors) => {
+  const height = floorHeight * floors;
+  const square = createSquareTopology(width, height);
+  const floorOf = (row) => Math.floor(row / floorHeight);
+  const isCell = (position) =>
+    Array.isArray(position) &&
+    position[0] >= 0 &&
+    position[0] < height &&
+    position[1] >= 0 &&
+    position[1] < width;
+
+  return {
+    ...square,
+    id: "layered",
+    directions: 6,
+    floors,
+    floorHeight,
+    floorOf,
+    cellCount: width * height,
+    isCell,
+    index: ([row, col]) => row * width + col,
+    position: (index) => [Math.floor(index / width), index % width],
+    adjacent: ([row, col], direction) => {
+      if (direction < 4) {
+        const next = square.adjacent([row, col], direction);
+        return next && floorOf(next[0]) === floorOf(row) ? next : null;
+      }
+      const r = row + (direction === 4 ? floorHeight : -floorHeight);
+      return r >= 0 && r < height ? [r, col] : null;
+    },
+    neighbour(maze, position, direction) {
+      const next = this.adjacent(position, direction);
+      if (!next) return null;
+      const cell = maze[next[0]][next[1]];
+      if (direction < 4) return cell === 0 || cell === STAIRS ? next : null;
+      return cell === STAIRS && maze[position[0]][position[1]] === STAIRS
+        ? next
+        : null;
+    },
+    // Every floor change takes at least one step
+    distance: (a, b) =>
+      Math.abs((a[0] % floorHeight) - (b[0] % floorHeight)) +
+      Math.abs(a[1] - b[1]) +
+      Math.abs(floorOf(a[0]) - floorOf(b[0])),
+  };
+};
+
+// Shared by the passage topologies. `spec` gives id, rows, directions,
+// columns(row), adjacent(position, direction), distance(a, b), default
+// endpoints and the SVG geometry (bounds, center, cellPath, wallPath).
+const passageTopology = (spec) => {
+  const offsets = [0];
+  for (let row = 0; row < spec.rows; row++) {
+    offsets.push(offsets[row] + spec.columns(row));
+  }
+  const cellCount = offsets[spec.rows];
+  const isCell = (position) =>
+    Array.isArray(position) &&
+    position[0] >= 0 &&
+    position[0] < spec.rows &&
+    position[1] >= 0 &&
+    position[1] < spec.columns(position[0]);
+
+  const topology = {
+    ...spec,
+    passages: true,
+    width: Math.max(
+      ...Array.from({ length: spec.rows }, (_, row) => spec.columns(row))
+    ),
+    height: spec.rows,
+    cellCount,
+    isCell,
+    index: ([row, col]) => offsets[row] + col,
+    position: (index) => {
+      let row = 0;
+      while (offsets[row + 1] <= index) row++;
+      return [row, index - offsets[row]];
+    },
+    // Slot of `to` that leads back to `from` (-1 if not adjacent)
+    backDirection: (to, from) => {
+      for (let direction = 0; direction < spec.directions; direction++) {
+        const back = spec.adjacent(to, direction);
+        if (back && back[0] === from[0] && back[1] === from[1]) {
+          return direction;
+        }
+      }
+      return -1;
+    },
+    neighbour: (maze, [row, col], direction) =>
+      (maze[row]?.[col] >> direction) & 1
+        ? spec.adjacent([row, col], direction)
+        : null,
+    // Every cell of a passage maze is open
+    randomCell: (maze, rng = Math.random, exclude = []) => {
+      for (let attempt = 0; attempt < 64; attempt++) {
+        const cell = topology.position(Math.floor(rng() * cellCount));
+        if (!exclude.some((p) => p[0] === cell[0] && p[1] === cell[1])) {
+          return cell;
+        }
+      }
+      return null;
+    },
+    fitEndpoints: ({ start, goals } = {}) => {
+      const defaults = spec.defaultEndpoints();
+      const fittedGoals = (goals || []).filter(isCell);
+      return {
+        start: isCell(start) ? [...start] : defaults.start,
+        goals: fittedGoals.length > 0 ? fittedGoals : defaults.goals,
+      };
+    },
+  };
+  return topology;
+};
+
+const SQRT3 = Math.sqrt(3);
+const point = ([x, y]) => `${x.toFixed(3)} ${y.toFixed(3)}`;
+const polygon = (corners) => `M ${corners.map(point).join(" L ")} Z`;
+const segment = (a, b) => `M ${point(a)} L ${point(b)}`;
+
+// Pointy-top hexagons in "odd-r" offset rows (odd rows shifted right by
+// half a cell). Slots: 0 NE, 1 E, 2 SE, 3 SW, 4 W, 5 NW.
+const HEX_OFFSETS = [
+  [
+    [-1, 0],
+    [0, 1],
+    [1, 0],
+    [1, -1],
+    [0, -1],
+    [-1, -1],
+  ],
+  [
+    [-1, 1],
+    [0, 1],
+    [1, 1],
+    [1, 0],
+    [0, -1],
+    [-1, 0],
+  ],
+];
+
+// Offset -> cube coordinates, where hex distance is the largest axis delta
+const hexCube = ([row, col]) => {
+  const x = col - (row - (row & 1)) / 2;
+  return [x, row, -x - row];
+};
+
+export const createHexTopology = (columns, rows) => {
+  const center = ([row, col]) => [
+    SQRT3 * (col + 0.5 * (row & 1)) + SQRT3 / 2,
+    1.5 * row + 1,
+  ];
+  // Corner i sits at 60i - 30 degrees; side d runs from corner d - 1 to d
+  const corner = (position, i) => {
+    const [x, y] = center(position);
+    const angle = (Math.PI / 3) * i - Math.PI / 6;
+    return [x + Math.cos(angle), y + Math.sin(angle)];
+  };
+  return passageTopology({
+    id: "hex",
+    rows,
+    directions: 6,
+    columns: () => columns,
+    adjacent: ([row, col], direction) => {
+      const [dr, dc] = HEX_OFFSETS[row & 1][direction];
+      const r = row + dr;
+      const c = col + dc;
+      return r >= 0 && r < rows && c >= 0 && c < columns ? [r, c] : null;
+    },
+    distance: (a, b) => {
+      const [ax, ay, az] = hexCube(a);
+      const [bx, by, bz] = hexCube(b);
+      return Math.max(Math.abs(ax - bx), Math.abs(ay - by), Math.abs(az - bz));
+    },
+    defaultEndpoints: () => ({
+      start: [0, 0],
+      goals: [[rows - 1, columns - 1]],
+    }),
+    bounds: { width: SQRT3 * (columns + 0.5), height: 1.5 * rows + 0.5 },
+    center,
+    cellPath: (position) =>
+      polygon([0, 1, 2, 3, 4, 5].map((i) => corner(position, i))),
+    wallPath: (position, direction) =>
+      segment(corner(position, direction + 5), corner(position, direction)),
+  });
+};
+
+// Unit triangles in rows; (row + col) even points up. Slots: 0 left,
+// 1 right, 2 across the horizontal side (down from an up triangle, up
+// from a down one). Every step changes row or column by one, so the
+// Manhattan distance is a lower bound.
+const TRIANGLE_HEIGHT = SQRT3 / 2;
+
+export const createTriangleTopology = (columns, rows) => {
+  // Horizontal side a-b, apex c
+  const corners = ([row, col]) => {
+    const up = (row + col) % 2 === 0;
+    const base = (up ? row + 1 : row) * TRIANGLE_HEIGHT;
+    const apex = (up ? row : row + 1) * TRIANGLE_HEIGHT;
+    return [
+      [col / 2, base],
+      [col / 2 + 1, base],
+      [col / 2 + 0.5, apex],
+    ];
+  };
+  return passageTopology({
+    id: "triangle",
+    rows,
+    directions: 3,
+    columns: () => columns,
+    adjacent: ([row, col], direction) => {
+      if (direction === 0) return col > 0 ? [row, col - 1] : null;
+      if (direction === 1) return col < columns - 1 ? [row, col + 1] : null;
+      const r = (row + col) % 2 === 0 ? row + 1 : row - 1;
+      return r >= 0 && r < rows ? [r, col] : null;
+    },
+    distance: manhattan,
+    defaultEndpoints: () => ({
+      start: [0, 0],
+      goals: [[rows - 1, columns - 1]],
+    }),
+    bounds: { width: (columns + 1) / 2, height: rows * TRIANGLE_HEIGHT },
+    center: (position) => {
+      const [a, b, c] = corners(position);
+      return [(a[0] + b[0] + c[0]) / 3, (a[1] + b[1] + c[1]) / 3];
+    },
+    cellPath: (position) => polygon(corners(position)),
+    wallPath: (position, direction) => {
+      const [a, b, c] = corners(position);
+      return direction === 0
+        ? segment(a, c)
+        : direction === 1
+        ? segment(b, c)
+        : segment(a, b);
+    },
+  });
+};
+
+// Concentric rings of unit height around one centre cell. Ring 1 has six
+// cells; a ring doubles its cells when they would get about twice as wide
+// as they are high. Slots: 0 clockwise, 1 counter-clockwise, 2 inward,
+// 3 and 4 outward (the second only where the next ring splits the cell).
+// The centre uses slots 0-5 for the six cells of ring 1.
+const POLAR_FIRST_RING = 6;
+
+export const createPolarTopology = (rings) => {
+  const counts = [1];
+  for (let ring = 1; ring < rings; ring++) {
+    if (ring === 1) {
+      counts.push(POLAR_FIRST_RING);
+      continue;
+    }
+    const previous = counts[ring - 1];
+    const ratio = Math.round((2 * Math.PI * ring) / previous);
+    counts.push(previous * (ratio >= 2 ? 2 : 1));
+  }
+  const split = (ring) =>
+    ring + 1 < rings ? counts[ring + 1] / counts[ring] : 0;
+
+  const angle = (ring, col) => (2 * Math.PI * col) / counts[ring] - Math.PI / 2;
+  const at = (radius, theta) => [
+    rings + radius * Math.cos(theta),
+    rings + radius * Math.sin(theta),
+  ];
+  const arc = (radius, from, to) =>
+    `M ${point(at(radius, from))} A ${radius} ${radius} 0 0 1 ${point(
+      at(radius, to)
+    )}`;
+
+  return passageTopology({
+    id: "polar",
+    rows: rings,
+    directions: 6,
+    columns: (ring) => counts[ring],
+    adjacent: ([ring, col], direction) => {
+      if (ring === 0) return rings > 1 ? [1, direction] : null;
+      const count = counts[ring];
+      switch (direction) {
+        case 0:
+          return [ring, (col + 1) % count];
+        case 1:
+          return [ring, (col + count - 1) % count];
+        case 2:
+          return ring === 1
+            ? [0, 0]
+            : [ring - 1, Math.floor((col * counts[ring - 1]) / count)];
+        case 3:
+        case 4: {
+          const child = direction - 3;
+          return child < split(ring)
+            ? [ring + 1, col * split(ring) + child]
+            : null;
+        }
+        default:
+          return null;
+      }
+    },
+    // Each step changes the ring by at most one
+    distance: (a, b) => Math.abs(a[0] - b[0]),
+    defaultEndpoints: () => ({ start: [0, 0], goals: [[rings - 1, 0]] }),
+    bounds: { width: 2 * rings, height: 2 * rings },
+    center: ([ring, col]) =>
+      ring === 0
+        ? [rings, rings]
+        : at(ring + 0.5, (angle(ring, col) + angle(ring, col + 1)) / 2),
+    cellPath: ([ring, col]) => {
+      if (ring === 0) {
+        return `${arc(1, 0, Math.PI)} A 1 1 0 0 1 ${point(at(1, 0))} Z`;
+      }
+      const from = angle(ring, col);
+      const to = angle(ring, col + 1);
+      const outer = ring + 1;
+      return `${arc(ring, from, to)} L ${point(
+        at(outer, to)
+      )} A ${outer} ${outer} 0 0 0 ${point(at(outer, from))} Z`;
+    },
+    // Null for slots that are not a side of the cell
+    wallPath: ([ring, col], direction) => {
+      if (ring === 0) {
+        return rings > 1
+          ? arc(1, angle(1, direction), angle(1, direction + 1))
+          : null;
+      }
+      const from = angle(ring, col);
+      const to = angle(ring, col + 1);
+      switch (direction) {
+        case 0:
+          return segment(at(ring, to), at(ring + 1, to));
+        case 1:
+          return segment(at(ring, from), at(ring + 1, from));
+        case 2:
+          return arc(ring, from, to);
+        default: {
+          const parts = Math.max(1, split(ring));
+          const child = direction - 3;
+          if (child >= parts) return null;
+          const span = (to - from) / parts;
+          return arc(ring + 1, from + child * span, from + (child + 1) * span);
+        }
+      }
+    },
+  });
+};
+
+// Topology for a maze size and kind (square when unknown)
+export const createTopology = (id, width, height, floors) =>
+  (TOPOLOGIES[id] || TOPOLOGIES[DEFAULT_TOPOLOGY]).create(
+    width,
+    height,
+    floors
+  );
@@ -0,0 +1,249 @@
+// Maze generation on hex, triangle and polar topologies
+// The same spanning-tree algorithms as mazeGenerator.js, written against a
+// topology's `adjacent` instead of the odd-coordinate square grid. A maze
+// is a passage maze (see topology.js): carving a passage sets the slot bit
+// on both cells.
+
+import { DEFAULT_MAZE_ALGORITHM, DisjointSet } from "./mazeGenerator.js";
+
+// MAZE_ALGORITHMS ids that work on any topology. Eller's, binary tree,
+// sidewinder and the dungeon's rectangular rooms depend on square rows and
+// columns and fall back to the default algorithm.
+export const TOPOLOGY_MAZE_ALGORITHMS = [
+  "recursiveBacktracker",
+  "prim",
+  "kruskal",
+  "wilson",
+  "huntAndKill",
+  "growingTree",
+];
+
+// All passages closed
+export const createPassageMaze = (topology) =>
+  Array.from(
+    { length: topology.rows },
+    (_, row) => new Uint8Array(topology.columns(row))
+  );
+
+// Opens the passage between two adjacent cells
+export const link = (topology, maze, from, to) => {
+  for (const [a, b] of [
+    [from, to],
+    [to, from],
+  ]) {
+    const direction = topology.backDirection(a, b);
+    if (direction !== -1) maze[a[0]][a[1]] |= 1 << direction;
+  }
+};
+
+const neighbours = (topology, position) => {
+  const cells = [];
+  for (let direction = 0; direction < topology.directions; direction++) {
+    const next = topology.adjacent(position, direction);
+    if (next) cells.push(next);
+  }
+  return cells;
+};
+
+const passageCount = (topology, maze, position) => {
+  let count = 0;
+  for (let direction = 0; direction < topology.directions; direction++) {
+    if (topology.neighbour(maze, position, direction)) count++;
+  }
+  return count;
+};
+
+const pick = (items, rng) => items[Math.floor(rng() * items.length)];
+
+const shuffle = (items, rng) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Carvers: (topology, maze, rng) -> maze with a spanning tree of passages
+const CARVERS = {
+  recursiveBacktracker: (topology, maze, rng) =>
+    growingTree(topology, maze, rng, 1),
+  growingTree: (topology, maze, rng) => growingTree(topology, maze, rng, 0.5),
+
+  // Frontier cells are joined to a random visited neighbour
+  prim: (topology, maze, rng) => {
+    const visited = new Uint8Array(topology.cellCount);
+    const inFrontier = new Uint8Array(topology.cellCount);
+    const frontier = [];
+    const visit = (cell) => {
+      visited[topology.index(cell)] = 1;
+      for (const next of neighbours(topology, cell)) {
+        const index = topology.index(next);
+        if (!visited[index] && !inFrontier[index]) {
+          inFrontier[index] = 1;
+          frontier.push(next);
+        }
+      }
+    };
+    visit(topology.position(Math.floor(rng() * topology.cellCount)));
+    while (frontier.length > 0) {
+      const slot = Math.floor(rng() * frontier.length);
+      const cell = frontier[slot];
+      frontier[slot] = frontier[frontier.length - 1];
+      frontier.pop();
+      const inside = neighbours(topology, cell).filter(
+        (next) => visited[topology.index(next)]
+      );
+      link(topology, maze, cell, pick(inside, rng));
+      visit(cell);
+    }
+    return maze;
+  },
+
+  // Shuffled edges, joined whenever they connect two separate trees
+  kruskal: (topology, maze, rng) => {
+    const edges = [];
+    for (let index = 0; index < topology.cellCount; index++) {
+      const cell = topology.position(index);
+      for (const next of neighbours(topology, cell)) {
+        if (topology.index(next) > index) edges.push([cell, next]);
+      }
+    }
+    const sets = new DisjointSet(topology.cellCount);
+    for (const [a, b] of shuffle(edges, rng)) {
+      if (sets.union(topology.index(a), topology.index(b))) {
+        link(topology, maze, a, b);
+      }
+    }
+    return maze;
+  },
+
+  // Loop-erased random walks from unvisited cells into the tree
+  wilson: (topology, maze, rng) => {
+    const inTree = new Uint8Array(topology.cellCount);
+    const next = new Int32Array(topology.cellCount).fill(-1);
+    inTree[Math.floor(rng() * topology.cellCount)] = 1;
+    for (let origin = 0; origin < topology.cellCount; origin++) {
+      if (inTree[origin]) continue;
+      // Walk, remembering only the last exit of each cell (erases loops)
+      let index = origin;
+      while (!inTree[index]) {
+        const step = pick(neighbours(topology, topology.position(index)), rng);
+        next[index] = topology.index(step);
+        index = next[index];
+      }
+      for (index = origin; !inTree[index]; index = next[index]) {
+        inTree[index] = 1;
+        link(
+          topology,
+          maze,
+          topology.position(index),
+          topology.position(next[index])
+        );
+      }
+    }
+    return maze;
+  },
+
+  // Random walk until stuck, then hunt for an unvisited cell beside the tree
+  huntAndKill: (topology, maze, rng) => {
+    const visited = new Uint8Array(topology.cellCount);
+    let cell = topology.position(0);
+    visited[0] = 1;
+    let huntFrom = 0;
+    while (cell) {
+      const open = neighbours(topology, cell).filter(
+        (next) => !visited[topology.index(next)]
+      );
+      if (open.length > 0) {
+        const next = pick(open, rng);
+        link(topology, maze, cell, next);
+        visited[topology.index(next)] = 1;
+        cell = next;
+        continue;
+      }
+      cell = null;
+      for (let index = huntFrom; index < topology.cellCount; index++) {
+        if (visited[index]) {
+          if (index === huntFrom) huntFrom++;
+          continue;
+        }
+        const candidate = topology.position(index);
+        const inside = neighbours(topology, candidate).filter(
+          (next) => visited[topology.index(next)]
+        );
+        if (inside.length > 0) {
+          link(topology, maze, candidate, pick(inside, rng));
+          visited[index] = 1;
+          cell = candidate;
+          break;
+        }
+      }
+    }
+    return maze;
+  },
+};
+
+// Growing tree: extends the newest cell with probability `newestBias`,
+// otherwise a random one (1 is the recursive backtracker)
+const growingTree = (topology, maze, rng, newestBias) => {
+  const visited = new Uint8Array(topology.cellCount);
+  const active = [topology.position(0)];
+  visited[0] = 1;
+  while (active.length > 0) {
+    const slot =
+      rng() < newestBias
+        ? active.length - 1
+        : Math.floor(rng() * active.length);
+    const cell = active[slot];
+    const open = neighbours(topology, cell).filter(
+      (next) => !visited[topology.index(next)]
+    );
+    if (open.length === 0) {
+      active.splice(slot, 1);
+      continue;
+    }
+    const next = pick(open, rng);
+    link(topology, maze, cell, next);
+    visited[topology.index(next)] = 1;
+    active.push(next);
+  }
+  return maze;
+};
+
+// Opens one closed side of a `density` share of dead ends, preferring a
+// neighbour that is a dead end too (see MazeGenerator.braidDeadEnds)
+const braidDeadEnds = (topology, maze, density, rng) => {
+  const isDeadEnd = (cell) => passageCount(topology, maze, cell) === 1;
+  const deadEnds = [];
+  for (let index = 0; index < topology.cellCount; index++) {
+    const cell = topology.position(index);
+    if (isDeadEnd(cell)) deadEnds.push(cell);
+  }
+  for (const cell of shuffle(deadEnds, rng)) {
+    if (!isDeadEnd(cell) || rng() >= density) continue;
+    const closed = [];
+    for (let direction = 0; direction < topology.directions; direction++) {
+      const next = topology.adjacent(cell, direction);
+      if (next && !topology.neighbour(maze, cell, direction)) closed.push(next);
+    }
+    if (closed.length === 0) continue;
+    const deadEndNeighbours = closed.filter(isDeadEnd);
+    link(
+      topology,
+      maze,
+      cell,
+      pick(deadEndNeighbours.length > 0 ? deadEndNeighbours : closed, rng)
+    );
+  }
+};
+
+// Perfect maze over every cell of `topology`, optionally braided
+export const generateTopologyMaze = (
+  topology,
+  { algorithm = DEFAULT_MAZE_ALGORITHM, braid = 0, rng = Math.random } = {}
+) => {
+  const carve = CARVERS[algorithm] || CARVERS[DEFAULT_MAZE_ALGORITHM];
+  const maze = carve(topology, createPassageMaze(topology), rng);
+  if (braid > 0) braidDeadEnds(topology, maze, Math.min(1, braid), rng);
+  return maze;
+};
@@ -0,0 +1,118 @@
+// Main-thread side of the maze worker
+// request() posts a command and resolves with its RESULT (rejects on
+// ERROR); PROGRESS events go to `onProgress`. Grids are packed into
+// transferable buffers the first time and referenced by id afterwards,
+// following the worker's grid cache (see protocol.js).
+
+import {
+  WORKER_COMMANDS,
+  WORKER_EVENTS,
+  packGrid,
+  touchGrid,
+} from "./protocol.js";
+
+export class MazeWorkerClient {
+  constructor(options = {}) {
+    this.createWorker =
+      options.createWorker ||
+      (() =>
+        new Worker(new URL("./mazeWorker.js", import.meta.url), {
+          type: "module",
+        }));
+    this.worker = null; // Started on the first request
+    this.nextId = 1;
+    this.pending = new Map(); // Command id -> { resolve, reject, onProgress }
+    this.gridIds = new WeakMap(); // Grid -> id
+    this.nextGridId = 1;
+    this.gridOrder = []; // Mirror of the worker's grid cache
+  }
+
+  static isSupported() {
+    return typeof Worker !== "undefined";
+  }
+
+  start() {
+    if (this.worker) return this.worker;
+    this.worker = this.createWorker();
+    this.worker.onmessage = ({ data }) => this.handleEvent(data);
+    this.worker.onerror = (event) => {
+      // The worker itself failed (e.g. while loading): fail everything
+      event.preventDefault?.();
+      this.rejectAll(new Error(event.message || "Maze worker failed"));
+    };
+    return this.worker;
+  }
+
+  handleEvent({ id, type, payload }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    if (type === WORKER_EVENTS.PROGRESS) {
+      request.onProgress?.(payload);
+      return;
+    }
+    this.pending.delete(id);
+    if (type === WORKER_EVENTS.ERROR) {
+      request.reject(new Error(payload?.message || "Maze worker error"));
+    } else {
+      request.resolve(payload);
+    }
+  }
+
+  rejectAll(error) {
+    for (const { reject } of this.pending.values()) reject(error);
+    this.pending.clear();
+  }
+
+  // Grid reference for a payload: the full packed grid (its buffer added to
+  // `transfer`) unless the worker still holds it
+  gridRef(grid, transfer) {
+    if (!grid || grid.length === 0) return null;
+    let id = this.gridIds.get(grid);
+    const cached = id !== undefined && this.gridOrder.includes(id);
+    if (id === undefined) {
+      id = this.nextGridId++;
+      this.gridIds.set(grid, id);
+    }
+    touchGrid(this.gridOrder, id);
+    if (cached) return { id };
+    const packed = packGrid(grid, id);
+    transfer.push(packed.cells.buffer);
+    return packed;
+  }
+
+  // Posts `type` with `payload`; `grids` names the payload keys holding
+  // grids (maze, terrain). Returns { id, result } with `result` the promise
+  // of the RESULT payload. Aborting `signal` cancels a benchmark.
+  request(type, payload = {}, { grids = [], onProgress, signal } = {}) {
+    const worker = this.start();
+    const id = this.nextId++;
+    const transfer = [];
+    const message = { ...payload };
+    for (const key of grids) {
+      message[key] = this.gridRef(payload[key], transfer);
+    }
+
+    const result = new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, onProgress });
+    });
+    signal?.addEventListener("abort", () => this.cancel(id), { once: true });
+    worker.postMessage({ id, type, payload: message }, transfer);
+    return { id, result };
+  }
+
+  cancel(target) {
+    if (!this.worker) return;
+    this.worker.postMessage({
+      id: this.nextId++,
+      type: WORKER_COMMANDS.CANCEL,
+      payload: { target },
+    });
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.gridOrder = [];
+    this.rejectAll(new Error("Maze worker terminated"));
+  }
+}
@@ -0,0 +1,236 @@
+// Maze worker: training, solving and benchmarks off the main thread
+// Speaks the protocol in ./protocol.js. One training session at a time;
+// solves and benchmarks run beside it. The agent is rebuilt here from its
+// config and the learning the app hands over, and hands its learning back
+// when the loop stops.
+
+import {
+  WORKER_COMMANDS,
+  WORKER_EVENTS,
+  isWorkerCommand,
+  touchGrid,
+  unpackGrid,
+} from "./protocol.js";
+import { createMazeAgent } from "../ai/AgentFactory.js";
+import {
+  agentStats,
+  episodeView,
+  runTrainingStep,
+} from "../ai/TrainingLoop.js";
+import { AutoEpsilonScheduler } from "../ai/AutoEpsilonScheduler.js";
+import { fastSolver } from "../ai/FastMazeSolver.js";
+import { runBenchmarkSuite, runMazeBenchmark } from "../ai/SolverBenchmark.js";
+import { createRng } from "../utils/random.js";
+
+// Snapshots during training are posted at most this often, except when an
+// episode ends or restarts
+const PROGRESS_INTERVAL_MS = 50;
+// Pause on a finished episode before the next one, as on the main thread
+const EPISODE_PAUSE_MS = 500;
+
+const grids = new Map(); // id -> unpacked grid, least recently used first
+const order = []; // Grid ids in the client's use order
+let session = null; // { id, agent, maze, speed, scheduler, running, timer, pause, lastPost }
+const benchmarks = new Map(); // BENCHMARK command id -> AbortController
+
+const post = (id, type, payload = null) =>
+  self.postMessage({ id, type, payload });
+
+// Grid reference -> grid. Full grids are cached for later { id } references.
+const resolveGrid = (ref) => {
+  if (!ref) return null;
+  if (ref.cells) grids.set(ref.id, unpackGrid(ref));
+  if (!grids.has(ref.id)) throw new Error(`Unknown grid ${ref.id}`);
+  for (const id of touchGrid(order, ref.id)) grids.delete(id);
+  return grids.get(ref.id);
+};
+
+const statusOf = (outcome) =>
+  outcome === "win" ? "won" : outcome === "lose" ? "lost" : "playing";
+
+const step = () => {
+  const result = runTrainingStep(session.agent, session.maze, {
+    scheduler: session.scheduler,
+  });
+  return { ...result, status: statusOf(result.outcome) };
+};
+
+const tick = () => {
+  const snapshot = step();
+  const now = performance.now();
+  if (!snapshot.outcome && now - session.lastPost < PROGRESS_INTERVAL_MS) {
+    return;
+  }
+  session.lastPost = now;
+  post(session.id, WORKER_EVENTS.PROGRESS, snapshot);
+
+  if (snapshot.outcome) {
+    clearInterval(session.timer);
+    session.timer = null;
+    session.pause = setTimeout(() => {
+      session.pause = null;
+      session.agent.reset();
+      post(session.id, WORKER_EVENTS.PROGRESS, {
+        ...episodeView(session.agent),
+        stats: agentStats(session.agent),
+        status: "playing",
+        visualData: null,
+        replaceVisualData: true,
+        reset: true,
+      });
+      schedule();
+    }, EPISODE_PAUSE_MS);
+  }
+};
+
+const schedule = () => {
+  clearInterval(session.timer);
+  session.timer = setInterval(() => {
+    try {
+      tick();
+    } catch (error) {
+      // A failing step ends the session; its START gets the error
+      clearInterval(session.timer);
+      session.timer = null;
+      session.running = false;
+      post(session.id, WORKER_EVENTS.ERROR, { message: error.message });
+    }
+  }, session.speed);
+};
+
+// Ends the loop and answers the START command with the learning
+const stopTraining = () => {
+  if (!session?.running) return;
+  clearInterval(session.timer);
+  clearTimeout(session.pause);
+  session.timer = session.pause = null;
+  session.running = false;
+  session.agent.stopTraining?.();
+  post(session.id, WORKER_EVENTS.RESULT, {
+    learning: session.agent.exportLearning(),
+    stats: agentStats(session.agent),
+    autoTune: session.scheduler ? { ...session.scheduler } : null,
+  });
+};
+
+const startTraining = (id, payload) => {
+  if (!payload.agent) {
+    // New speed for the running loop; a paused one picks it up on resume
+    if (session && payload.speed) {
+      session.speed = payload.speed;
+      if (session.timer) schedule();
+    }
+    post(id, WORKER_EVENTS.RESULT, { speed: session?.speed ?? null });
+    return;
+  }
+  stopTraining();
+  const { kind, width, height, mode, options, seed } = payload.agent;
+  const maze = resolveGrid(payload.maze);
+  const agent = createMazeAgent(kind, width, height, mode, {
+    ...options,
+    ...payload.endpoints,
+    maze,
+    terrain: resolveGrid(payload.terrain),
+    rng: createRng(seed),
+  });
+  if (payload.learning) agent.importLearning(payload.learning);
+  agent.startTraining?.();
+  session = {
+    id,
+    agent,
+    maze,
+    speed: payload.speed ?? 50,
+    scheduler: payload.autoTune
+      ? Object.assign(new AutoEpsilonScheduler(), payload.autoTune)
+      : null,
+    running: true,
+    timer: null,
+    pause: null,
+    lastPost: -Infinity,
+  };
+  post(id, WORKER_EVENTS.PROGRESS, {
+    ...episodeView(agent),
+    stats: agentStats(agent),
+    status: "playing",
+  });
+  schedule();
+};
+
+const solve = ({ algorithm, maze, start, goals, terrain, fallback }) => {
+  const grid = resolveGrid(maze);
+  const options = { terrain: resolveGrid(terrain) };
+  const startTime = performance.now();
+  let path = fastSolver.solve(algorithm, grid, start, goals, options);
+  if (!path && fallback && fallback !== algorithm) {
+    path = fastSolver.solve(fallback, grid, start, goals, options);
+  }
+  return { path, time: performance.now() - startTime };
+};
+
+const benchmark = async (id, payload) => {
+  const controller = new AbortController();
+  benchmarks.set(id, controller);
+  const options = {
+    seed: payload.seed,
+    signal: controller.signal,
+    onProgress: (progress) => post(id, WORKER_EVENTS.PROGRESS, progress),
+  };
+  try {
+    return payload.sweep
+      ? await runBenchmarkSuite(payload.config, options)
+      : await runMazeBenchmark(
+          resolveGrid(payload.maze),
+          payload.start,
+          payload.goals,
+          payload.config,
+          { ...options, terrain: resolveGrid(payload.terrain) }
+        );
+  } finally {
+    benchmarks.delete(id);
+  }
+};
+
+const handleCommand = async ({ id, type, payload = {} }) => {
+  switch (type) {
+    case WORKER_COMMANDS.START:
+      startTraining(id, payload);
+      return;
+    case WORKER_COMMANDS.STOP:
+      stopTraining();
+      return null;
+    case WORKER_COMMANDS.STEP:
+      if (!session) throw new Error("No agent to step");
+      if (session.running) throw new Error("The training loop is running");
+      session.agent.startTraining?.();
+      try {
+        return step();
+      } finally {
+        session.agent.stopTraining?.();
+      }
+    case WORKER_COMMANDS.SOLVE:
+      return solve(payload);
+    case WORKER_COMMANDS.BENCHMARK:
+      return benchmark(id, payload);
+    case WORKER_COMMANDS.CANCEL:
+      benchmarks.get(payload.target)?.abort();
+      return null;
+  }
+};
+
+self.onmessage = async ({ data }) => {
+  if (!isWorkerCommand(data)) {
+    post(data?.id ?? null, WORKER_EVENTS.ERROR, {
+      message: `Unknown command ${data?.type}`,
+    });
+    return;
+  }
+  try {
+    const result = await handleCommand(data);
+    // START answers when its loop stops
+    if (data.type !== WORKER_COMMANDS.START) {
+      post(data.id, WORKER_EVENTS.RESULT, result ?? null);
+    }
+  } catch (error) {
+    post(data.id, WORKER_EVENTS.ERROR, { message: error.message });
+  }
+};
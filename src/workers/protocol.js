@@ -0,0 +1,72 @@
+// Message protocol between the app and the maze worker
+// Commands go app -> worker as { id, type, payload }; the worker answers
+// with events { id, type, payload } carrying the command's id: any number
+// of PROGRESS events, then one RESULT or ERROR.
+//
+// Commands and their payloads:
+//   START     { agent: { kind, width, height, mode, options, seed },
+//               maze, terrain, endpoints, learning, speed, autoTune }
+//             Runs the training loop, one step every `speed` ms. PROGRESS
+//             carries snapshots ({ position, path, visualData, stats,
+//             status }); RESULT ({ learning, stats }) follows once it stops.
+//             Without `agent`, only changes the running loop's `speed`.
+//   STOP      {} ends the training loop
+//   STEP      {} one training step of the worker's agent -> snapshot
+//   SOLVE     { algorithm, maze, start, goals, terrain } -> { path, time }
+//   BENCHMARK { sweep, config, seed, maze, start, goals, terrain }
+//             PROGRESS { done, total, label } -> SolverBenchmark result
+//   CANCEL    { target } aborts the benchmark started by command `target`
+//
+// Grids (maze, terrain) are sent once as { id, rows, cols, cells } with a
+// transferable Uint8Array and afterwards as { id } alone; see packGrid. The
+// worker keeps the GRID_CACHE_SIZE most recently used grids and the client
+// mirrors that order, so it knows when a grid has to be sent again.
+
+export const WORKER_COMMANDS = {
+  START: "start",
+  STOP: "stop",
+  STEP: "step",
+  SOLVE: "solve",
+  BENCHMARK: "benchmark",
+  CANCEL: "cancel",
+};
+
+export const WORKER_EVENTS = {
+  PROGRESS: "progress",
+  RESULT: "result",
+  ERROR: "error",
+};
+
+export const GRID_CACHE_SIZE = 8;
+
+const COMMAND_TYPES = new Set(Object.values(WORKER_COMMANDS));
+
+export const isWorkerCommand = (message) =>
+  Number.isInteger(message?.id) && COMMAND_TYPES.has(message.type);
+
+// Row-major copy of a grid of small integers (walls, terrain ids) in one
+// buffer that postMessage can transfer instead of cloning
+export const packGrid = (grid, id) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const cells = new Uint8Array(rows * cols);
+  for (let row = 0; row < rows; row++) cells.set(grid[row], row * cols);
+  return { id, rows, cols, cells };
+};
+
+// Rows as views into the packed buffer: grid[row][col] works without a copy
+export const unpackGrid = ({ rows, cols, cells }) =>
+  Array.from({ length: rows }, (_, row) =>
+    cells.subarray(row * cols, (row + 1) * cols)
+  );
+
+// Most-recently-used list of grid ids, as kept on both ends. Returns the ids
+// that fell out.
+export const touchGrid = (order, id) => {
+  const index = order.indexOf(id);
+  if (index !== -1) order.splice(index, 1);
+  order.push(id);
+  return order.length > GRID_CACHE_SIZE
+    ? order.splice(0, order.length - GRID_CACHE_SIZE)
+    : [];
+};